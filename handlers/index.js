@@ -30,16 +30,34 @@ const EVENT_HANDLERS = {
   'GROUP_PARTICIPANTS_UPDATE': groupHandler.handleParticipants
 };
 
+// Events whose handlers support dry-run mode (no storage, forwarding or stats)
+const DRY_RUN_EVENTS = ['MESSAGES_UPSERT', 'SEND_MESSAGE'];
+
 /**
  * Route an event to the appropriate handler
+ * @param {Object} options - { dryRun, trace } - dryRun implies trace
  */
-async function routeEvent(event, payload, req = {}) {
+async function routeEvent(event, payload, req = {}, options = {}) {
+  const traceEnabled = options.dryRun || options.trace || process.env.ENABLE_EVENT_TRACE === 'true';
   const context = {
     event,
     timestamp: new Date().toISOString(),
-    ip: req.ip || 'unknown'
+    ip: req.ip || 'unknown',
+    dryRun: !!options.dryRun,
+    trace: traceEnabled ? [] : null
   };
 
+  if (context.dryRun && !DRY_RUN_EVENTS.includes(event)) {
+    return {
+      success: true,
+      event,
+      action: 'not_simulated',
+      reason: `Dry run is only supported for: ${DRY_RUN_EVENTS.join(', ')}`,
+      dryRun: true,
+      trace: context.trace
+    };
+  }
+
   const handler = EVENT_HANDLERS[event] || genericHandler.handle;
 
   try {
@@ -47,18 +65,27 @@ async function routeEvent(event, payload, req = {}) {
     return {
       success: true,
       event,
-      ...result
+      ...result,
+      ...(context.trace ? { trace: context.trace } : {})
     };
   } catch (error) {
     logger.error('Event handler error', { event, error: error.message });
     return {
       success: false,
       event,
-      error: error.message
+      error: error.message,
+      ...(context.trace ? { trace: context.trace } : {})
     };
   }
 }
 
+/**
+ * Normalize an event name: messages.upsert / messages-upsert -> MESSAGES_UPSERT
+ */
+function normalizeEventName(event) {
+  return String(event).toUpperCase().replace(/[.-]/g, '_');
+}
+
 /**
  * Try to detect event type from payload
  */
@@ -113,5 +140,7 @@ module.exports = {
   setConfig,
   setConnectedPhone,
   getSupportedEvents,
-  EVENT_HANDLERS
+  normalizeEventName,
+  EVENT_HANDLERS,
+  DRY_RUN_EVENTS
 };
@@ -5,10 +5,14 @@
 
 const webhookService = require('../services/webhook');
 const statsService = require('../services/stats');
-const alertService = require('../services/alerts');
+const deliveryQueue = require('../services/deliveryQueue');
+const messageSchema = require('../services/messageSchema');
 const messageStore = require('../services/messageStore');
+const rulesService = require('../services/rules');
+const lidStore = require('../services/lidStore');
+const signing = require('../services/signing');
 const logger = require('../utils/logger');
-const { parseRemoteJid, normalizePhone, normalizeGroupId } = require('../utils/validators');
+const { parseRemoteJid, normalizePhone, normalizeGroupId, getContextInfo, getProtocolAction } = require('../utils/validators');
 
 // Config will be injected
 let config = null;
@@ -35,56 +39,118 @@ function setConnectedPhone(phone) {
 
 /**
  * Check if source is allowed
- * Returns: { isAllowed, sourceId, sourceType, entityType, reason }
+ * Looks the source up in allowedNumbers/allowedGroups, then runs the filter rules.
+ * Returns: { isAllowed, action, ruleId, routeUrl, sourceId, sourceType, entityType, entityTargets, reason }
  * entityType is the type of the contact/group (VIP, BUSINESS, etc.)
  *
  * @param {string} remoteJid - The remote JID
  * @param {string|null} senderPn - Optional sender phone number (from Baileys LID resolution)
+ * @param {Object|null} messageContent - Extracted message content (for type/body rule conditions)
+ * @param {Array|null} trace - Optional decision trace to record steps on
  */
-function checkAllowed(remoteJid, senderPn = null) {
+function checkAllowed(remoteJid, senderPn = null, messageContent = null, trace = null) {
   const { sourceId, sourceType, isStatusBroadcast } = parseRemoteJid(remoteJid);
+  traceStep(trace, 'parse_jid', { remoteJid, sourceId, sourceType, isStatusBroadcast });
 
   if (isStatusBroadcast) {
-    return { isAllowed: false, sourceId: '', sourceType: 'status', entityType: null, reason: 'status_broadcast' };
-  }
-
-  if (sourceType === 'group') {
-    // Normalize group ID for comparison (handles @g.us suffix variations)
-    const normalizedSourceId = normalizeGroupId(sourceId);
-    const matchedGroup = config?.allowedGroups?.find(g =>
-      normalizeGroupId(g.groupId) === normalizedSourceId
-    );
-    const isAllowed = !!matchedGroup;
-
-    // Debug logging for group matching
-    if (!isAllowed && config?.allowedGroups?.length > 0) {
-      logger.debug('Group match failed', {
-        incoming: sourceId,
-        normalized: normalizedSourceId,
-        configuredSample: config.allowedGroups.slice(0, 3).map(g => ({
-          original: g.groupId,
-          normalized: normalizeGroupId(g.groupId)
-        }))
-      });
-    }
+    return { isAllowed: false, action: 'deny', sourceId: '', sourceType: 'status', entityType: null, reason: 'status_broadcast' };
+  }
 
-    return {
-      isAllowed,
-      sourceId,
-      sourceType,
-      entityType: matchedGroup?.type || null,
-      entityName: matchedGroup?.name || null,
-      reason: isAllowed ? null : 'not_in_allowed_groups'
-    };
+  const source = sourceType === 'group'
+    ? lookupGroup(sourceId, trace)
+    : lookupContact(sourceId, senderPn, trace);
+
+  const { action, rule } = rulesService.evaluate({
+    sourceType,
+    sourceId: source.sourceId,
+    entityType: source.entityType,
+    listed: source.listed,
+    messageType: messageContent?.type,
+    body: messageContent?.body,
+    date: new Date()
+  });
+  const isAllowed = action === 'allow' || action === 'route';
+
+  let reason = null;
+  if (!isAllowed) {
+    // No matching rule keeps the classic allowlist reasons
+    reason = rule ? 'denied_by_rule' : (source.listed ? 'no_matching_rule' : source.notListedReason);
   }
 
+  traceStep(trace, 'rule', {
+    action,
+    ruleId: rule?.id || null,
+    ruleName: rule?.name || null,
+    isDefaultRuleSet: rulesService.isDefault(),
+    reason
+  });
+
+  return {
+    isAllowed,
+    action,
+    ruleId: rule?.id || null,
+    routeUrl: action === 'route' ? rule.webhookUrl : null,
+    sourceId: source.sourceId,
+    sourceType,
+    entityType: source.entityType,
+    entityName: source.entityName,
+    entityTargets: source.entityTargets,
+    reason
+  };
+}
+
+/**
+ * Look up a group in allowedGroups
+ */
+function lookupGroup(sourceId, trace = null) {
+  // Normalize group ID for comparison (handles @g.us suffix variations)
+  const normalizedSourceId = normalizeGroupId(sourceId);
+  const matchedGroup = config?.allowedGroups?.find(g =>
+    normalizeGroupId(g.groupId) === normalizedSourceId
+  );
+
+  traceStep(trace, 'normalize', { input: sourceId, normalized: normalizedSourceId });
+  traceStep(trace, 'match', {
+    listed: !!matchedGroup,
+    matched: matchedGroup ? { groupId: matchedGroup.groupId, name: matchedGroup.name, type: matchedGroup.type } : null,
+    configuredGroups: config?.allowedGroups?.length || 0
+  });
+
+  // Debug logging for group matching
+  if (!matchedGroup && config?.allowedGroups?.length > 0) {
+    logger.debug('Group match failed', {
+      incoming: sourceId,
+      normalized: normalizedSourceId,
+      configuredSample: config.allowedGroups.slice(0, 3).map(g => ({
+        original: g.groupId,
+        normalized: normalizeGroupId(g.groupId)
+      }))
+    });
+  }
+
+  return {
+    listed: !!matchedGroup,
+    sourceId,
+    entityType: matchedGroup?.type || null,
+    entityName: matchedGroup?.name || null,
+    entityTargets: webhookService.getEntityTargets(matchedGroup, 'group'),
+    notListedReason: 'not_in_allowed_groups'
+  };
+}
+
+/**
+ * Look up a personal contact in allowedNumbers (connected phone counts as listed)
+ */
+function lookupContact(sourceId, senderPn, trace = null) {
   // Personal message - normalize both sides for comparison
   let normalizedSourceId = normalizePhone(sourceId);
 
   // If sourceId looks like a LID and we have senderPn, use senderPn instead
-  if ((sourceId.includes('lid') || !normalizedSourceId.match(/^\d{10,15}$/)) && senderPn) {
-    const normalizedSenderPn = normalizePhone(senderPn);
-    if (normalizedSenderPn.match(/^\d{10,15}$/)) {
+  if (sourceId.includes('lid') || !normalizedSourceId.match(/^\d{10,15}$/)) {
+    const normalizedSenderPn = senderPn ? normalizePhone(senderPn) : '';
+    const resolved = !!normalizedSenderPn.match(/^\d{10,15}$/);
+
+    if (resolved) {
       logger.debug('Using senderPn for phone matching', {
         originalSourceId: sourceId,
         senderPn,
@@ -92,18 +158,34 @@ function checkAllowed(remoteJid, senderPn = null) {
       });
       normalizedSourceId = normalizedSenderPn;
     }
+
+    traceStep(trace, 'lid_resolution', {
+      lid: sourceId,
+      resolved: resolved ? normalizedSourceId : null,
+      via: resolved ? 'senderPn' : null,
+      senderPn: senderPn || null
+    });
   }
 
+  traceStep(trace, 'normalize', { input: sourceId, normalized: normalizedSourceId });
+
   // Auto-allow the connected phone number
   const isOwnPhone = connectedPhone && normalizedSourceId === connectedPhone;
 
   const matchedContact = config?.allowedNumbers?.find(c =>
     normalizePhone(c.phone) === normalizedSourceId
   );
-  const isAllowed = !!matchedContact || isOwnPhone;
+  const listed = !!matchedContact || !!isOwnPhone;
+
+  traceStep(trace, 'match', {
+    listed,
+    matched: matchedContact ? { phone: matchedContact.phone, name: matchedContact.name, type: matchedContact.type } : null,
+    isOwnPhone: !!isOwnPhone,
+    configuredContacts: config?.allowedNumbers?.length || 0
+  });
 
   // Debug logging for phone matching
-  if (!isAllowed && config?.allowedNumbers?.length > 0) {
+  if (!listed && config?.allowedNumbers?.length > 0) {
     logger.debug('Phone match failed', {
       incoming: sourceId,
       normalized: normalizedSourceId,
@@ -116,15 +198,41 @@ function checkAllowed(remoteJid, senderPn = null) {
   }
 
   return {
-    isAllowed,
+    listed,
     sourceId: normalizedSourceId, // Return the resolved phone number
-    sourceType,
     entityType: matchedContact?.type || (isOwnPhone ? 'SELF' : null),
     entityName: matchedContact?.name || (isOwnPhone ? 'Me' : null),
-    reason: isAllowed ? null : 'not_in_allowed_contacts'
+    entityTargets: webhookService.getEntityTargets(matchedContact, 'contact'),
+    notListedReason: 'not_in_allowed_contacts'
   };
 }
 
+/**
+ * Record a decision step on a trace (no-op when tracing is off)
+ */
+function traceStep(trace, step, details = {}) {
+  if (trace) {
+    trace.push({ step, ...details });
+  }
+}
+
+/**
+ * Increment a stat counter unless this is a dry run
+ */
+function countEvent(context, eventType, field) {
+  if (!context?.dryRun) {
+    statsService.increment(eventType, field);
+  }
+}
+
+/**
+ * Log to recent events unless this is a dry run (attaches the trace when enabled)
+ */
+function recordEvent(context, eventData) {
+  if (context?.dryRun) return null;
+  return statsService.logEvent(context?.trace ? { ...eventData, trace: [...context.trace] } : eventData);
+}
+
 /**
  * Extract message content from Evolution API payload
  */
@@ -137,6 +245,7 @@ function extractMessageContent(data) {
   let type = 'text';
   let hasMedia = false;
   let mediaType = null;
+  let reaction = null;
 
   if (message.conversation) {
     body = message.conversation;
@@ -178,13 +287,18 @@ function extractMessageContent(data) {
   } else if (message.reactionMessage) {
     body = message.reactionMessage.text || '';
     type = 'reaction';
+    // Empty text removes an earlier reaction
+    reaction = {
+      targetId: message.reactionMessage.key?.id || null,
+      emoji: body,
+      removed: !body,
+      targetPreview: null
+    };
   }
 
-  // Get quoted message if exists
+  // Get quoted message if exists (any message type can quote)
   let quotedMessage = null;
-  const contextInfo = message.extendedTextMessage?.contextInfo ||
-    message.imageMessage?.contextInfo ||
-    message.videoMessage?.contextInfo;
+  const contextInfo = getContextInfo(message);
 
   if (contextInfo?.quotedMessage) {
     quotedMessage = {
@@ -206,40 +320,139 @@ function extractMessageContent(data) {
     timestamp: data.messageTimestamp ?
       new Date(data.messageTimestamp * 1000).toISOString() :
       new Date().toISOString(),
-    quotedMessage
+    quotedMessage,
+    reaction
   };
 }
 
 /**
- * Handle MESSAGES_UPSERT - New incoming message
+ * Sender phone of an incoming message: the group participant (LIDs resolved through the LID map), or the chat itself
+ * Null for our own messages and unresolved LIDs.
+ */
+function getSenderPhone(data, messageContent, sourceId, sourceType) {
+  if (messageContent.fromMe) return null;
+  if (sourceType !== 'group') return sourceId;
+
+  const key = data.key || {};
+  for (const jid of [key.participantPn, data.participantPn, data.senderPn, key.participant, data.participant]) {
+    if (!jid) continue;
+    if (jid.endsWith('@lid')) {
+      const mapped = lidStore.resolve(jid);
+      if (mapped) return mapped.phone;
+      continue;
+    }
+    return normalizePhone(jid.replace(/[@:].*$/, '')) || null;
+  }
+  return null;
+}
+
+/**
+ * Who reacted: 'me' for our reactions, otherwise the sender phone
  */
-async function handleUpsert(payload, context) {
-  statsService.increment('MESSAGES_UPSERT', 'total');
+function getReactor(data, messageContent, sourceId, sourceType) {
+  if (messageContent.fromMe) return 'me';
+  return getSenderPhone(data, messageContent, sourceId, sourceType) || 'unknown';
+}
+
+/**
+ * Store a message with its sender - reactions are attached to the message they react to instead of stored as rows
+ * Sets messageContent.reaction.targetPreview from the stored target (null when the target is not stored).
+ */
+function storeMessageContent(data, messageContent, sourceId, sourceType, dryRun = false) {
+  const { reaction } = messageContent;
+  if (!reaction) {
+    if (!dryRun) {
+      messageStore.storeMessage(sourceId, {
+        ...messageContent,
+        sender: getSenderPhone(data, messageContent, sourceId, sourceType),
+        senderName: messageContent.fromMe ? null : (data.pushName || null)
+      });
+    }
+    return;
+  }
+  if (!reaction.targetId) return;
+
+  const target = dryRun
+    ? messageStore.getMessage(sourceId, reaction.targetId)
+    : messageStore.recordReaction(sourceId, reaction.targetId, {
+      reactor: getReactor(data, messageContent, sourceId, sourceType),
+      emoji: reaction.emoji,
+      fromMe: messageContent.fromMe,
+      timestamp: messageContent.timestamp
+    });
+  reaction.targetPreview = target ? truncatePreview(target.body) : null;
+}
+
+/**
+ * Truncate a body for previews
+ */
+function truncatePreview(body) {
+  return body.length > 50 ? body.substring(0, 50) + '...' : body;
+}
 
+/**
+ * Add reaction target details to a raw payload (data.reaction)
+ */
+function withReaction(payload, messageContent) {
+  if (!messageContent.reaction) return payload;
+  const data = payload.data || payload;
+  const withData = { ...data, reaction: messageContent.reaction };
+  return payload.data ? { ...payload, data: withData } : withData;
+}
+
+/**
+ * Handle MESSAGES_UPSERT - New incoming message
+ * In dry-run mode (context.dryRun) nothing is stored, forwarded or counted.
+ */
+async function handleUpsert(payload, context = {}) {
   // Extract sender info - Evolution API wraps data in 'data' field
   const data = payload.data || payload;
+
+  // Edits and deletes-for-everyone arrive as protocol messages referencing an earlier message
+  const protocolAction = getProtocolAction(data.message);
+  if (protocolAction) {
+    return handleEditOrRevoke(data, protocolAction, payload.instance, context);
+  }
+
+  countEvent(context, 'MESSAGES_UPSERT', 'total');
+  const trace = context.trace || null;
+
   const remoteJid = data.key?.remoteJid || '';
   // Get senderPn from Baileys payload (used for LID resolution fallback)
   const senderPn = data.senderPn || data.key?.senderPn || null;
-  const { isAllowed, sourceId, sourceType, entityType, entityName, reason } = checkAllowed(remoteJid, senderPn);
+  const messageContent = extractMessageContent(data);
+  const {
+    isAllowed, action, ruleId, routeUrl, sourceId, sourceType, entityType, entityName, entityTargets, reason
+  } = checkAllowed(remoteJid, senderPn, messageContent, trace);
+  const dryRun = context.dryRun ? { dryRun: true } : {};
+
+  // Index our own messages (sent from the phone or another device) for reply detection - whether allowed or not
+  if (messageContent.fromMe && !context.dryRun) {
+    messageStore.recordSent(messageContent.id);
+  }
 
   // Extract sender name (pushName) from Evolution API payload, fallback to entity name from config
   const senderName = data.pushName || entityName || '';
 
   // Skip status broadcasts silently
   if (sourceType === 'status') {
-    statsService.increment('MESSAGES_UPSERT', 'filtered');
-    return { action: 'filtered', reason: 'status_broadcast' };
+    countEvent(context, 'MESSAGES_UPSERT', 'filtered');
+    return { action: 'filtered', reason: 'status_broadcast', ...dryRun };
+  }
+
+  // Drop rules discard the message without logging it
+  if (action === 'drop') {
+    countEvent(context, 'MESSAGES_UPSERT', 'filtered');
+    logger.debug('Message dropped by rule', { source: sourceId, ruleId });
+    return { action: 'dropped', reason: 'dropped_by_rule', ruleId, ...dryRun };
   }
 
   if (!isAllowed) {
-    statsService.increment('MESSAGES_UPSERT', 'filtered');
-    // Extract message content for logging even for filtered messages
-    const messageContent = extractMessageContent(data);
+    countEvent(context, 'MESSAGES_UPSERT', 'filtered');
     const messagePreview = messageContent.body.length > 50
       ? messageContent.body.substring(0, 50) + '...'
       : messageContent.body;
-    statsService.logEvent({
+    recordEvent(context, {
       event: 'MESSAGES_UPSERT',
       source: sourceId,
       sourceType,
@@ -250,17 +463,21 @@ async function handleUpsert(payload, context) {
       messageType: messageContent.type,
       mediaId: messageContent.mediaId,
       thumbBase64: messageContent.thumbBase64,
-      reason
+      reason,
+      ruleId
     });
-    logger.filter(sourceId, false, sourceType);
-    return { action: 'filtered', reason };
+    if (!context.dryRun) {
+      logger.filter(sourceId, false, sourceType);
+    }
+    return { action: 'filtered', reason, ruleId, ...dryRun };
   }
 
   // Store the message for later retrieval (all allowed messages - personal and groups)
-  const messageContent = extractMessageContent(data);
   try {
-    messageStore.storeMessage(sourceId, messageContent);
-    logger.debug('Message stored', { source: sourceId, sourceType, type: messageContent.type });
+    storeMessageContent(data, messageContent, sourceId, sourceType, context.dryRun);
+    if (!context.dryRun) {
+      logger.debug('Message stored', { source: sourceId, sourceType, type: messageContent.type });
+    }
   } catch (storeError) {
     logger.error('Failed to store message', { error: storeError.message });
     // Don't fail the whole operation if storage fails
@@ -275,19 +492,26 @@ async function handleUpsert(payload, context) {
   const mentionEnabled = process.env.ENABLE_MENTION_DETECTION === 'true';
   if (mentionEnabled && sourceType === 'group' && connectedPhone) {
     const mention = checkMentioned(data, connectedPhone);
-    
+    traceStep(trace, 'mention', {
+      checked: true,
+      isMentioned: mention.isMentioned,
+      method: mention.method,
+      keywords: mention.keywords,
+      webhookConfigured: !!process.env.MENTION_WEBHOOK_URL
+    });
+
     if (mention.isMentioned) {
       // Forward to mention webhook (OpenClaw)
-      const mentionForwarded = await forwardMention(
+      const mentionForwarded = context.dryRun ? false : await forwardMention(
         payload,
         mention,
         sourceId,
         sourceType,
         senderName
       );
-      
+
       // Log mention detection
-      statsService.logEvent({
+      recordEvent(context, {
         event: 'MENTION_DETECTED',
         source: sourceId,
         sourceType,
@@ -299,38 +523,53 @@ async function handleUpsert(payload, context) {
         method: mention.method,
         keywords: mention.keywords
       });
-      
-      logger.info('Mention detected', { 
-        source: sourceId,
-        method: mention.method,
-        keywords: mention.keywords,
-        forwarded: mentionForwarded
-      });
-      
+
+      if (!context.dryRun) {
+        logger.info('Mention detected', {
+          source: sourceId,
+          method: mention.method,
+          keywords: mention.keywords,
+          forwarded: mentionForwarded
+        });
+      }
+
       // If configured to forward mentions only to OpenClaw (not n8n), return here
       if (process.env.MENTION_ONLY_OPENCLAW === 'true') {
-        statsService.increment('MESSAGES_UPSERT', 'forwarded');
-        return { 
-          action: 'mention_forwarded', 
-          source: sourceId, 
+        countEvent(context, 'MESSAGES_UPSERT', 'forwarded');
+        return {
+          action: 'mention_forwarded',
+          source: sourceId,
           sourceType,
           mention: true,
-          method: mention.method
+          method: mention.method,
+          ...dryRun
         };
       }
-      
+
       // Otherwise, continue to also forward to n8n (mention + regular flow)
     }
+  } else {
+    traceStep(trace, 'mention', {
+      checked: false,
+      reason: !mentionEnabled ? 'detection_disabled' : (sourceType !== 'group' ? 'not_a_group' : 'no_connected_phone')
+    });
   }
 
-  // Check if webhook is configured for this specific entity type (with fallback to default)
-  const targetWebhook = webhookService.getWebhookForType(entityType);
+  // Route rules override type-based routing; otherwise use the entity type targets (with fallback to default)
+  const { targets, via } = webhookService.resolveRouting({ entityType, event: 'MESSAGES_UPSERT', webhookUrl: routeUrl, entityTargets });
+  const targetWebhook = targets[0]?.url;
+  traceStep(trace, 'webhook', {
+    url: targetWebhook || null,
+    targets: targets.map(target => target.id),
+    via,
+    entityType
+  });
 
   // CRITICAL: If no webhook at all (not even default), this is a configuration error
   // We mark it as 'allowed' but log it clearly as no-webhook scenario
   if (!targetWebhook) {
-    statsService.increment('MESSAGES_UPSERT', 'allowed_no_webhook');
-    statsService.logEvent({
+    countEvent(context, 'MESSAGES_UPSERT', 'allowed_no_webhook');
+    recordEvent(context, {
       event: 'MESSAGES_UPSERT',
       source: sourceId,
       sourceType,
@@ -344,77 +583,258 @@ async function handleUpsert(payload, context) {
       thumbBase64: messageContent.thumbBase64,
       reason: 'no_webhook_configured'
     });
-    logger.filter(sourceId, true, sourceType);
-    logger.warn('Message allowed but no webhook configured', {
+    if (!context.dryRun) {
+      logger.filter(sourceId, true, sourceType);
+      logger.warn('Message allowed but no webhook configured', {
+        entityType,
+        sourceId,
+        hint: 'Set WEBHOOK_URL env var or configure type-specific webhook'
+      });
+    }
+    return { action: 'allowed_no_webhook', source: sourceId, sourceType, reason: 'no_webhook_configured', ...dryRun };
+  }
+
+  // Dry run stops right before anything leaves the process
+  if (context.dryRun) {
+    return {
+      action: 'forwarded',
+      source: sourceId,
+      sourceType,
       entityType,
-      sourceId,
-      hint: 'Set WEBHOOK_URL env var or configure type-specific webhook'
-    });
-    return { action: 'allowed_no_webhook', source: sourceId, sourceType, reason: 'no_webhook_configured' };
+      webhookUrl: targetWebhook,
+      webhookTargets: targets.map(target => target.id),
+      ...dryRun
+    };
   }
 
-  // Forward to n8n (with type-based routing)
+  // Queue for delivery to n8n (with type-based routing) - the queue retries until the target recovers
+  const event = recordEvent(context, {
+    event: 'MESSAGES_UPSERT',
+    source: sourceId,
+    sourceType,
+    entityType,
+    senderName,
+    action: 'queued',
+    messagePreview,
+    messageBody: messageContent.body,
+    messageType: messageContent.type,
+    mediaId: messageContent.mediaId,
+    thumbBase64: messageContent.thumbBase64,
+    ruleId,
+    deliveries: Object.fromEntries(targets.map(target => [target.id, 'queued']))
+  });
+
+  const metadata = { sourceId, sourceType, entityType, event: 'MESSAGES_UPSERT', eventId: event?.id, mediaId: messageContent.mediaId || null };
+  const normalized = messageSchema.normalize(data, {
+    event: 'MESSAGES_UPSERT', messageContent, sourceId, sourceType, entityType, entityName, senderName, connectedPhone
+  });
+
+  // Reactions carry their target message (data.reaction)
+  const forwardPayload = withReaction(payload, messageContent);
+
+  // Secondary webhook keeps its fire-and-forget semantics
+  webhookService.forwardToSecondary(forwardPayload, metadata).catch(() => {});
+
   try {
-    await webhookService.forward(payload, {
-      sourceId,
+    // One delivery per target, in the target's format - the first target decides the message's counters
+    // (media links are signed by the queue on each attempt)
+    const deliveries = [];
+    for (const [index, target] of targets.entries()) {
+      const targetPayload = webhookService.buildTargetPayload(target, forwardPayload, normalized);
+      deliveries.push(await deliveryQueue.enqueue(targetPayload, { ...metadata, primary: index === 0 }, target));
+    }
+
+    logger.filter(sourceId, true, sourceType);
+
+    return {
+      action: 'queued',
+      source: sourceId,
       sourceType,
       entityType,
-      event: 'MESSAGES_UPSERT'
-    });
+      deliveryIds: deliveries.map(delivery => delivery.id)
+    };
+  } catch (error) {
+    countEvent(context, 'MESSAGES_UPSERT', 'failed');
+    if (event) {
+      statsService.updateEvent(event.id, { action: 'failed', error: error.message });
+    }
+    logger.error('Failed to queue message for delivery', { sourceId, error: error.message });
 
-    statsService.increment('MESSAGES_UPSERT', 'forwarded');
-    statsService.logEvent({
-      event: 'MESSAGES_UPSERT',
-      source: sourceId,
+    return { action: 'failed', error: error.message };
+  }
+}
+
+/**
+ * Handle an edit or delete-for-everyone of an earlier message
+ * Updates the stored message (edit history / revoked flag) and forwards MESSAGE_EDITED / MESSAGE_REVOKED
+ * to the entity's webhook with the original body from the store.
+ * @param {Object} data - Message data (key of the protocol message's envelope)
+ * @param {Object} protocolAction - From getProtocolAction: { action, key, editedContent }
+ */
+async function handleEditOrRevoke(data, protocolAction, instance, context = {}) {
+  const isEdit = protocolAction.action === 'edit';
+  const eventName = isEdit ? 'MESSAGE_EDITED' : 'MESSAGE_REVOKED';
+  countEvent(context, eventName, 'total');
+  const trace = context.trace || null;
+  const dryRun = context.dryRun ? { dryRun: true } : {};
+
+  const remoteJid = data.key?.remoteJid || protocolAction.key.remoteJid || '';
+  const senderPn = data.senderPn || data.key?.senderPn || null;
+  const messageId = protocolAction.key.id;
+  const at = extractMessageContent(data).timestamp;
+
+  // Edits are filtered as the message they turn into
+  const edited = isEdit && protocolAction.editedContent
+    ? extractMessageContent({ key: protocolAction.key, message: protocolAction.editedContent })
+    : null;
+  if (isEdit && !edited) {
+    return { action: 'ignored', reason: 'no_edited_content', messageId, ...dryRun };
+  }
+
+  const {
+    isAllowed, action, ruleId, routeUrl, sourceId, sourceType, entityType, entityName, entityTargets, reason
+  } = checkAllowed(remoteJid, senderPn, edited || { type: 'revoke', body: '' }, trace);
+  traceStep(trace, 'protocol_message', { action: protocolAction.action, messageId });
+
+  if (!isAllowed) {
+    countEvent(context, eventName, 'filtered');
+    if (action !== 'drop' && sourceType !== 'status') {
+      recordEvent(context, { event: eventName, source: sourceId, sourceType, action: 'filtered', reason, ruleId });
+    }
+    return {
+      action: action === 'drop' ? 'dropped' : 'filtered',
+      reason: sourceType === 'status' ? 'status_broadcast' : reason,
+      ruleId,
+      ...dryRun
+    };
+  }
+
+  // Dry run reports the decision without touching the store
+  const result = context.dryRun
+    ? { message: messageStore.getMessage(sourceId, messageId), changed: true }
+    : applyEditOrRevoke(sourceId, messageId, edited, at);
+  const stored = result?.message || null;
+
+  if (result && !result.changed) {
+    countEvent(context, eventName, 'filtered');
+    return { action: 'ignored', reason: 'already_applied', messageId, ...dryRun };
+  }
+
+  const edits = stored?.edits || [];
+  const eventPayload = {
+    event: eventName,
+    instance: instance || null,
+    data: {
+      id: messageId,
+      chat: sourceId,
       sourceType,
       entityType,
-      senderName,
-      action: 'forwarded',
-      messagePreview,
-      messageBody: messageContent.body,
-      messageType: messageContent.type,
-      mediaId: messageContent.mediaId,
-      thumbBase64: messageContent.thumbBase64
-    });
-    logger.filter(sourceId, true, sourceType);
+      entityName,
+      fromMe: protocolAction.key.fromMe ?? stored?.fromMe ?? false,
+      participant: protocolAction.key.participant || data.key?.participant || null,
+      timestamp: stored?.timestamp || null,
+      stored: !!stored,
+      originalBody: stored ? (edits[0]?.body ?? stored.body) : null,
+      ...(isEdit
+        ? { previousBody: edits.length > 0 ? edits[edits.length - 1].body : null, body: edited?.body ?? null, editedAt: at, editCount: edits.length }
+        : { body: stored?.body ?? null, revokedAt: at })
+    }
+  };
 
-    return { action: 'forwarded', source: sourceId, sourceType, entityType };
-  } catch (error) {
-    statsService.increment('MESSAGES_UPSERT', 'failed');
-    statsService.logEvent({
-      event: 'MESSAGES_UPSERT',
+  const { targets, via } = webhookService.resolveRouting({ entityType, event: eventName, webhookUrl: routeUrl, entityTargets });
+  traceStep(trace, 'webhook', {
+    url: targets[0]?.url || null,
+    targets: targets.map(target => target.id),
+    via,
+    entityType
+  });
+
+  const preview = eventPayload.data.body || eventPayload.data.originalBody || '';
+  const eventData = {
+    event: eventName,
+    source: sourceId,
+    sourceType,
+    entityType,
+    senderName: data.pushName || entityName || '',
+    messagePreview: truncatePreview(preview),
+    messageBody: preview,
+    messageType: stored?.type || edited?.type || null,
+    ruleId
+  };
+
+  if (targets.length === 0) {
+    countEvent(context, eventName, 'allowed_no_webhook');
+    recordEvent(context, { ...eventData, action: 'allowed_no_webhook', reason: 'no_webhook_configured' });
+    return { action: 'allowed_no_webhook', source: sourceId, sourceType, messageId, stored: !!stored, ...dryRun };
+  }
+
+  if (context.dryRun) {
+    return {
+      action: 'forwarded',
       source: sourceId,
       sourceType,
       entityType,
-      senderName,
-      action: 'failed',
-      messagePreview,
-      messageBody: messageContent.body,
-      messageType: messageContent.type,
-      mediaId: messageContent.mediaId,
-      thumbBase64: messageContent.thumbBase64,
-      error: error.message
-    });
+      messageId,
+      stored: !!stored,
+      webhookTargets: targets.map(target => target.id),
+      ...dryRun
+    };
+  }
 
-    // Alert on repeated failures
-    const health = webhookService.getHealth();
-    if (health.consecutiveFailures === 3) {
-      await alertService.send({
-        level: alertService.ALERT_LEVELS.WARNING,
-        event: 'webhook_failed',
-        title: 'Webhook Forwarding Failed',
-        message: `Failed to forward ${health.consecutiveFailures} messages to n8n webhook.`,
-        details: {
-          lastError: error.message,
-          webhookUrl: health.url
-        }
-      });
+  const event = recordEvent(context, {
+    ...eventData,
+    action: 'queued',
+    deliveries: Object.fromEntries(targets.map(target => [target.id, 'queued']))
+  });
+  const metadata = { sourceId, sourceType, entityType, event: eventName, eventId: event?.id };
+  const normalized = messageSchema.normalizeChange(eventPayload, {
+    chatId: remoteJid || null,
+    type: stored?.type || edited?.type || null,
+    senderName: data.pushName || null,
+    connectedPhone
+  });
+
+  try {
+    const deliveries = [];
+    for (const [index, target] of targets.entries()) {
+      const targetPayload = messageSchema.formatPayload(target.format, eventPayload, normalized);
+      deliveries.push(await deliveryQueue.enqueue(targetPayload, { ...metadata, primary: index === 0 }, target));
     }
 
+    logger.info(isEdit ? 'Message edit forwarded' : 'Message revoke forwarded', { source: sourceId, messageId, stored: !!stored });
+    return {
+      action: 'queued',
+      source: sourceId,
+      sourceType,
+      entityType,
+      messageId,
+      deliveryIds: deliveries.map(delivery => delivery.id)
+    };
+  } catch (error) {
+    countEvent(context, eventName, 'failed');
+    if (event) {
+      statsService.updateEvent(event.id, { action: 'failed', error: error.message });
+    }
+    logger.error('Failed to queue message edit/revoke', { sourceId, messageId, error: error.message });
     return { action: 'failed', error: error.message };
   }
 }
 
+/**
+ * Record an edit or revoke in the message store
+ * @returns {Object|null} { message, changed } - null if the message is not stored
+ */
+function applyEditOrRevoke(sourceId, messageId, edited, at) {
+  try {
+    return edited
+      ? messageStore.recordEdit(sourceId, messageId, edited.body, at)
+      : messageStore.markRevoked(sourceId, messageId, at);
+  } catch (storeError) {
+    logger.error('Failed to update stored message', { messageId, error: storeError.message });
+    return null;
+  }
+}
+
 /**
  * Handle MESSAGES_UPDATE - Message status update (read, delivered)
  */
@@ -445,15 +865,23 @@ async function handleUpdate(payload, context) {
 }
 
 /**
- * Handle MESSAGES_DELETE - Message deleted
+ * Handle MESSAGES_DELETE - Message deleted for everyone
+ * data is the deleted message's key - handled like a REVOKE protocol message.
  */
-async function handleDelete(payload, context) {
+async function handleDelete(payload, context = {}) {
   statsService.increment('MESSAGES_DELETE', 'total');
-  statsService.logEvent({
-    event: 'MESSAGES_DELETE',
-    action: 'logged'
-  });
-  return { action: 'logged' };
+
+  const data = payload.data || payload;
+  const key = data.key || data;
+  if (!key?.id || !key.remoteJid) {
+    statsService.logEvent({
+      event: 'MESSAGES_DELETE',
+      action: 'logged'
+    });
+    return { action: 'logged' };
+  }
+
+  return handleEditOrRevoke({ ...data, key }, { action: 'revoke', key, editedContent: null }, payload.instance, context);
 }
 
 /**
@@ -470,9 +898,12 @@ async function handleSet(payload, context) {
 
 /**
  * Handle SEND_MESSAGE - Outgoing message sent
+ * In dry-run mode (context.dryRun) nothing is stored, forwarded or counted.
  */
-async function handleSend(payload, context) {
-  statsService.increment('SEND_MESSAGE', 'total');
+async function handleSend(payload, context = {}) {
+  countEvent(context, 'SEND_MESSAGE', 'total');
+  const trace = context.trace || null;
+  const dryRun = context.dryRun ? { dryRun: true } : {};
 
   // Extract and store outgoing message
   const data = payload.data || payload;
@@ -480,20 +911,28 @@ async function handleSend(payload, context) {
   // Get senderPn from Baileys payload (used for LID resolution fallback)
   const senderPn = data.senderPn || data.key?.senderPn || null;
 
-  // Check if recipient is in allowed list (only store messages to allowed contacts)
-  const { isAllowed, sourceId, sourceType, entityType } = checkAllowed(remoteJid, senderPn);
-
-  // Skip if recipient is not in allowed list
-  if (!isAllowed) {
-    statsService.increment('SEND_MESSAGE', 'filtered');
-    logger.filter(sourceId, false, sourceType);
-    return { action: 'filtered', reason: 'recipient_not_allowed' };
-  }
-
   // Extract message content
   const messageContent = extractMessageContent(data);
   messageContent.fromMe = true; // Mark as outgoing
 
+  if (!context.dryRun) {
+    messageStore.recordSent(messageContent.id);
+  }
+
+  // Run recipient through the filter rules (only store messages to allowed contacts)
+  const {
+    isAllowed, action, ruleId, routeUrl, sourceId, sourceType, entityType, entityName, entityTargets
+  } = checkAllowed(remoteJid, senderPn, messageContent, trace);
+
+  // Skip if recipient is not allowed
+  if (!isAllowed) {
+    countEvent(context, 'SEND_MESSAGE', 'filtered');
+    if (!context.dryRun) {
+      logger.filter(sourceId, false, sourceType);
+    }
+    return { action: action === 'drop' ? 'dropped' : 'filtered', reason: 'recipient_not_allowed', ruleId, ...dryRun };
+  }
+
   // Create preview of message
   const messagePreview = messageContent.body.length > 50
     ? messageContent.body.substring(0, 50) + '...'
@@ -506,20 +945,29 @@ async function handleSend(payload, context) {
   // Store outgoing message to allowed contact/group
   if (sourceId) {
     try {
-      messageStore.storeMessage(sourceId, messageContent);
-      logger.debug('Outgoing message stored', { source: sourceId, sourceType, type: messageContent.type });
+      storeMessageContent(data, messageContent, sourceId, sourceType, context.dryRun);
+      if (!context.dryRun) {
+        logger.debug('Outgoing message stored', { source: sourceId, sourceType, type: messageContent.type });
+      }
     } catch (storeError) {
       logger.error('Failed to store outgoing message', { error: storeError.message });
     }
   }
 
-  // Forward to webhook if configured (with fallback to default)
-  const targetWebhook = webhookService.getWebhookForType(entityType);
+  // Forward to webhook if configured (route rule, then type, then default)
+  const { targets, via } = webhookService.resolveRouting({ entityType, event: 'SEND_MESSAGE', webhookUrl: routeUrl, entityTargets });
+  const targetWebhook = targets[0]?.url;
+  traceStep(trace, 'webhook', {
+    url: targetWebhook || null,
+    targets: targets.map(target => target.id),
+    via,
+    entityType
+  });
 
   // CRITICAL: If no webhook at all, this is a configuration error
   if (!targetWebhook) {
-    statsService.increment('SEND_MESSAGE', 'allowed_no_webhook');
-    statsService.logEvent({
+    countEvent(context, 'SEND_MESSAGE', 'allowed_no_webhook');
+    recordEvent(context, {
       event: 'SEND_MESSAGE',
       source: sourceId,
       sourceType,
@@ -531,19 +979,37 @@ async function handleSend(payload, context) {
       messageType: messageContent.type,
       reason: 'no_webhook_configured'
     });
-    logger.warn('Outgoing message allowed but no webhook configured', {
+    if (!context.dryRun) {
+      logger.warn('Outgoing message allowed but no webhook configured', {
+        entityType,
+        sourceId,
+        hint: 'Set WEBHOOK_URL env var or configure type-specific webhook'
+      });
+    }
+    return { action: 'allowed_no_webhook', reason: 'no_webhook_configured', ...dryRun };
+  }
+
+  // Dry run stops right before anything leaves the process
+  if (context.dryRun) {
+    return {
+      action: 'forwarded',
+      source: sourceId,
+      sourceType,
       entityType,
-      sourceId,
-      hint: 'Set WEBHOOK_URL env var or configure type-specific webhook'
-    });
-    return { action: 'allowed_no_webhook', reason: 'no_webhook_configured' };
+      webhookUrl: targetWebhook,
+      webhookTargets: targets.map(target => target.id),
+      ...dryRun
+    };
   }
 
   // Webhook exists - forward the message
   try {
-    await webhookService.forward(payload, { event: 'SEND_MESSAGE', entityType });
-    statsService.increment('SEND_MESSAGE', 'forwarded');
-    statsService.logEvent({
+    const normalized = messageSchema.normalize(data, {
+      event: 'SEND_MESSAGE', messageContent, sourceId, sourceType, entityType, entityName, connectedPhone
+    });
+    await webhookService.forward(withReaction(payload, messageContent), { event: 'SEND_MESSAGE', entityType, webhookUrl: routeUrl }, targets, normalized);
+    countEvent(context, 'SEND_MESSAGE', 'forwarded');
+    recordEvent(context, {
       event: 'SEND_MESSAGE',
       source: sourceId,
       sourceType,
@@ -557,8 +1023,8 @@ async function handleSend(payload, context) {
     });
     return { action: 'forwarded' };
   } catch (error) {
-    statsService.increment('SEND_MESSAGE', 'failed');
-    statsService.logEvent({
+    countEvent(context, 'SEND_MESSAGE', 'failed');
+    recordEvent(context, {
       event: 'SEND_MESSAGE',
       source: sourceId,
       sourceType,
@@ -587,12 +1053,12 @@ function checkMentioned(messageData, connectedPhone) {
     return { isMentioned: false, method: null, keywords: [] };
   }
 
-  const message = messageData.message || {};
+  const contextInfo = getContextInfo(messageData.message) || {};
   const messageContent = extractMessageContent(messageData);
   const body = messageContent.body.toLowerCase();
   
-  // 1. Check for @mention in contextInfo
-  const mentioned = message.extendedTextMessage?.contextInfo?.mentionedJid || [];
+  // 1. Check for @mention in contextInfo (any message type, e.g. image captions)
+  const mentioned = contextInfo.mentionedJid || [];
   const isMentionedByTag = mentioned.some(jid => {
     const phone = jid.replace(/@.*$/, ''); // Extract phone from jid
     return phone === connectedPhone || phone.endsWith(connectedPhone);
@@ -611,10 +1077,11 @@ function checkMentioned(messageData, connectedPhone) {
     return { isMentioned: true, method: 'keyword', keywords: matchedKeywords };
   }
   
-  // 3. Check if it's a reply to our message
-  const quotedMsgKey = message.extendedTextMessage?.contextInfo?.stanzaId;
+  // 3. Check if it's a reply to our message - by sent ID index, or the quoted participant being us
+  const quotedMsgKey = contextInfo.stanzaId;
   if (quotedMsgKey) {
-    const isReplyToUs = messageStore.isOurMessage(quotedMsgKey);
+    const quotedPhone = contextInfo.participant ? normalizePhone(contextInfo.participant.replace(/[@:].*$/, '')) : null;
+    const isReplyToUs = messageStore.isOurMessage(quotedMsgKey) || quotedPhone === connectedPhone;
     if (isReplyToUs) {
       return { isMentioned: true, method: 'reply', keywords: [] };
     }
@@ -640,9 +1107,11 @@ async function forwardMention(payload, mention, sourceId, sourceType, senderName
     return false;
   }
   
-  // Build mention payload
+  // Build mention payload - media gets a signed URL (MENTION_MEDIA_URL_EXPIRY seconds, default MEDIA_URL_EXPIRY)
+  const mediaId = (payload.data || payload).mediaId;
+  const mentionExpiry = parseInt(process.env.MENTION_MEDIA_URL_EXPIRY);
   const mentionPayload = {
-    ...payload,
+    ...webhookService.withMediaUrl(payload, mediaId, mentionExpiry).payload,
     _mention: {
       detected: true,
       method: mention.method,
@@ -658,8 +1127,10 @@ async function forwardMention(payload, mention, sourceId, sourceType, senderName
   
   // Forward to mention webhook
   try {
+    const body = JSON.stringify(mentionPayload);
     const headers = {
-      'Content-Type': 'application/json'
+      'Content-Type': 'application/json',
+      ...signing.sign('mention', body)
     };
     
     if (mentionApiKey) {
@@ -669,7 +1140,7 @@ async function forwardMention(payload, mention, sourceId, sourceType, senderName
     const response = await fetch(mentionWebhookUrl, {
       method: 'POST',
       headers,
-      body: JSON.stringify(mentionPayload)
+      body
     });
     
     if (!response.ok) {
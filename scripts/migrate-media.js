@@ -0,0 +1,107 @@
+/**
+ * Move media files from local storage (config/media) to the S3 bucket
+ * Usage: node scripts/migrate-media.js [--dry-run] [--keep-local]
+ *
+ * Files keep their content-addressed names as object keys, so media IDs and the index do not change.
+ * Safe to run repeatedly: objects already in the bucket with the same size are skipped.
+ * Zero downtime: run with --keep-local, restart with MEDIA_STORAGE=s3, then run again to delete the local copies.
+ */
+
+const path = require('path');
+const mediaStorage = require('../services/mediaStorage');
+const encryption = require('../services/encryption');
+const logger = require('../utils/logger');
+
+const INDEX_FILE = path.join(__dirname, '..', 'config', 'media_index.json');
+
+/**
+ * Stored files from the media index: Map(key -> mimeType)
+ */
+async function loadKeys() {
+  let index;
+  try {
+    index = JSON.parse(await encryption.readFile(INDEX_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return new Map();
+    throw error;
+  }
+
+  const keys = new Map();
+  for (const entry of Object.values(index)) {
+    if (entry.hash && !keys.has(entry.fileName)) keys.set(entry.fileName, entry.mimeType);
+  }
+  return keys;
+}
+
+/**
+ * Copy one file to the bucket and verify its size
+ * @returns {Object} { result: copied | skipped | missing, size }
+ */
+async function migrateFile(key, mimeType, source, target, options) {
+  const sourceStat = await source.stat(key);
+  const targetStat = await target.stat(key);
+
+  if (!sourceStat) {
+    return { result: targetStat ? 'skipped' : 'missing', size: 0 };
+  }
+
+  let result = 'skipped';
+  if (targetStat?.size !== sourceStat.size) {
+    if (options.dryRun) return { result: 'copied', size: sourceStat.size };
+
+    await target.put(key, await source.get(key), mimeType);
+    const copied = await target.stat(key);
+    if (copied?.size !== sourceStat.size) {
+      throw new Error(`Size mismatch after upload (${copied?.size} != ${sourceStat.size})`);
+    }
+    result = 'copied';
+  }
+
+  if (!options.keepLocal && !options.dryRun) {
+    await source.remove(key);
+  }
+  return { result, size: result === 'copied' ? sourceStat.size : 0 };
+}
+
+async function main() {
+  const options = {
+    dryRun: process.argv.includes('--dry-run'),
+    keepLocal: process.argv.includes('--keep-local')
+  };
+
+  // The index may be encrypted (files are copied as stored, encrypted or not)
+  encryption.init();
+
+  const source = mediaStorage.getDriver('local');
+  const target = mediaStorage.getDriver('s3');
+  await target.init();
+
+  const keys = await loadKeys();
+  const report = { files: keys.size, copied: 0, skipped: 0, missing: 0, failed: 0 };
+  let bytes = 0;
+
+  for (const [key, mimeType] of keys) {
+    try {
+      const { result, size } = await migrateFile(key, mimeType, source, target, options);
+      report[result]++;
+      bytes += size;
+      if (result === 'missing') logger.warn('Media file missing locally and in the bucket', { key });
+    } catch (error) {
+      report.failed++;
+      logger.error('Failed to migrate media file', { key, error: error.message });
+    }
+  }
+
+  logger.info(options.dryRun ? 'Media migration dry run' : 'Media migration finished', {
+    ...report,
+    copiedMB: +(bytes / 1024 / 1024).toFixed(2),
+    localDeleted: !options.keepLocal && !options.dryRun
+  });
+
+  process.exit(report.failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  logger.error('Media migration failed', { error: error.message });
+  process.exit(1);
+});
@@ -19,6 +19,22 @@ const webhookService = require('./services/webhook');
 const messageStore = require('./services/messageStore');
 const mediaStore = require('./services/mediaStore');
 const baileysService = require('./services/baileys');
+const rulesService = require('./services/rules');
+const deliveryQueue = require('./services/deliveryQueue');
+const deadLetters = require('./services/deadLetters');
+const signing = require('./services/signing');
+const inboundAuth = require('./services/inboundAuth');
+const messageSchema = require('./services/messageSchema');
+const eventBus = require('./services/eventBus');
+const retention = require('./services/retention');
+const mediaLinks = require('./services/mediaLinks');
+const encryption = require('./services/encryption');
+const lidStore = require('./services/lidStore');
+const authState = require('./services/authState');
+const backup = require('./services/backup');
+const messageExport = require('./services/messageExport');
+const messageImport = require('./services/messageImport');
+const chatExportParser = require('./utils/chatExportParser');
 
 // Handlers
 const eventRouter = require('./handlers/index');
@@ -26,7 +42,7 @@ const baileysEvents = require('./handlers/baileysEvents');
 
 // Utils
 const logger = require('./utils/logger');
-const { isValidPhone, isValidGroupId, isValidContactType, isValidGroupType, isValidName, normalizeGroupId } = require('./utils/validators');
+const { isValidPhone, isValidGroupId, isValidContactType, isValidGroupType, isValidName, normalizePhone, normalizeGroupId } = require('./utils/validators');
 
 const app = express();
 app.set('trust proxy', 1); // Trust first proxy (nginx, Cloudflare, etc.)
@@ -53,7 +69,15 @@ app.use(helmet({
 }));
 
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body of ingest requests for HMAC verification
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/filter')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 
 // Session token store (in-memory)
 const sessions = new Map();
@@ -135,6 +159,33 @@ function ipWhitelist(req, res, next) {
   next();
 }
 
+// Inbound authentication for /filter endpoints (reject or audit-log failures)
+function inboundAuthMiddleware(req, res, next) {
+  const result = inboundAuth.verify(req);
+
+  if (result.mode === 'off') {
+    statsService.incrementInbound('unauthenticated');
+    return next();
+  }
+
+  if (result.ok) {
+    statsService.incrementInbound('authenticated');
+    return next();
+  }
+
+  const failure = { reason: result.reason, ip: req.ip, instance: result.instance };
+
+  if (inboundAuth.getEnforcement() === 'audit') {
+    statsService.incrementInbound('audited', failure);
+    logger.warn('Unauthenticated ingest request (audit mode)', { ...failure, path: req.originalUrl });
+    return next();
+  }
+
+  statsService.incrementInbound('rejected', failure);
+  logger.warn('Rejected unauthenticated ingest request', { ...failure, path: req.originalUrl });
+  return res.status(401).json({ error: 'Authentication required' });
+}
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 1 * 60 * 1000, // 1 minute
@@ -143,6 +194,17 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
+// Stores are closed while a restore replaces their files - incoming webhooks (/filter) are held until
+// it finishes so no message is lost, other requests are refused
+app.use(async (req, res, next) => {
+  if (!backup.isRestoring() || req.path === '/health') return next();
+  if (req.path === '/filter' || req.path.startsWith('/filter/')) {
+    await backup.waitForRestore();
+    return next();
+  }
+  res.status(503).json({ error: 'Restore in progress, try again shortly' });
+});
+
 // Configuration
 let config = {
   webhookUrl: process.env.WEBHOOK_URL,
@@ -161,7 +223,7 @@ async function loadConfig() {
 
   try {
     const configPath = path.join(__dirname, 'config', 'contacts.json');
-    const data = await fs.readFile(configPath, 'utf8');
+    const data = await encryption.readFile(configPath, 'utf8');
     const savedConfig = JSON.parse(data);
 
     // Environment webhook takes precedence over saved config
@@ -171,13 +233,35 @@ async function loadConfig() {
       ...savedConfig,
       webhookUrl,
       typeWebhooks: savedConfig.typeWebhooks || {},
+      defaultWebhooks: savedConfig.defaultWebhooks || [],
       customContactTypes: savedConfig.customContactTypes || [],
-      customGroupTypes: savedConfig.customGroupTypes || []
+      customGroupTypes: savedConfig.customGroupTypes || [],
+      rules: savedConfig.rules || null,
+      signing: savedConfig.signing || {},
+      inboundAuth: savedConfig.inboundAuth || {},
+      retention: savedConfig.retention || {}
     };
 
     // Initialize webhook service with the URL and type webhooks
     webhookService.init(webhookUrl);
     webhookService.setTypeWebhooks(config.typeWebhooks);
+    webhookService.setDefaultTargets(config.defaultWebhooks);
+
+    // Legacy string type webhooks are normalized to target lists
+    config.typeWebhooks = webhookService.getTypeWebhooks();
+    config.defaultWebhooks = webhookService.getExtraDefaultTargets();
+
+    // Load filter rules (null = default allowlist rules)
+    rulesService.setRules(config.rules);
+
+    // Load webhook signing secrets
+    signing.setSecrets(config.signing);
+
+    // Load inbound /filter authentication
+    inboundAuth.setSettings(config.inboundAuth);
+
+    // Load retention policies
+    retention.setPolicies(config.retention);
 
     // Set custom types in validators
     validators.setCustomTypes(config.customContactTypes, config.customGroupTypes);
@@ -192,6 +276,7 @@ async function loadConfig() {
       groups: config.allowedGroups?.length || 0,
       webhookConfigured: !!webhookUrl,
       typeWebhooks: Object.keys(config.typeWebhooks).length,
+      rules: config.rules ? config.rules.length : 'default',
       customTypes: config.customContactTypes.length + config.customGroupTypes.length,
       webhookSource: process.env.WEBHOOK_URL ? 'env' : (savedConfig.webhookUrl ? 'config' : 'none')
     });
@@ -203,15 +288,53 @@ async function loadConfig() {
     }
     config.webhookUrl = process.env.WEBHOOK_URL || '';
     config.typeWebhooks = {};
+    config.defaultWebhooks = [];
     config.customContactTypes = [];
     config.customGroupTypes = [];
+    config.rules = null;
+    config.signing = {};
+    config.inboundAuth = {};
+    config.retention = {};
     webhookService.init(config.webhookUrl);
+    rulesService.setRules(null);
+    signing.setSecrets(config.signing);
+    inboundAuth.setSettings(config.inboundAuth);
+    retention.setPolicies(config.retention);
+  }
+
+  // Signed media URLs need a stable secret - generated on first start unless MEDIA_URL_SECRET is set
+  if (!process.env.MEDIA_URL_SECRET && !config.mediaUrlSecret) {
+    config.mediaUrlSecret = mediaLinks.generateSecret();
+    await saveConfig();
   }
+  mediaLinks.setSecret(config.mediaUrlSecret);
 
   // Set config for event router
   eventRouter.setConfig(config);
 }
 
+// Encrypt contacts.json (signing secrets, inbound credentials), or re-encrypt it after a key rotation
+async function migrateConfigEncryption() {
+  try {
+    const migrated = await encryption.migrateFile(path.join(__dirname, 'config', 'contacts.json'));
+    encryption.recordMigration('config', { migrated: migrated ? 1 : 0, total: 1 });
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+// Map stored chats (normalized phone / group ID) to their contact or group type, for retention policies
+function getChatTypes() {
+  const chatTypes = {};
+  for (const contact of config.allowedNumbers || []) {
+    chatTypes[normalizePhone(contact.phone)] = contact.type;
+  }
+  for (const group of config.allowedGroups || []) {
+    chatTypes[normalizePhone(normalizeGroupId(group.groupId))] = group.type;
+  }
+  return chatTypes;
+}
+
 // Save configuration
 async function saveConfig() {
   try {
@@ -225,23 +348,58 @@ async function saveConfig() {
       allowedNumbers: config.allowedNumbers,
       allowedGroups: config.allowedGroups,
       typeWebhooks: config.typeWebhooks || {},
+      defaultWebhooks: config.defaultWebhooks || [],
       customContactTypes: config.customContactTypes || [],
       customGroupTypes: config.customGroupTypes || [],
       stats: statsService.getLegacyStats()
     };
 
+    // Only save signing secrets once configured
+    if (Object.keys(config.signing || {}).length > 0) {
+      configToSave.signing = config.signing;
+    }
+
+    // Only save inbound auth once configured
+    const inboundSettings = config.inboundAuth || {};
+    if (inboundSettings.mode || inboundSettings.enforcement || Object.keys(inboundSettings.credentials || {}).length > 0) {
+      configToSave.inboundAuth = inboundSettings;
+    }
+
+    // Only save retention policies once configured
+    if (retention.isConfigured(config.retention || {})) {
+      configToSave.retention = config.retention;
+    }
+
+    // Generated media URL secret (MEDIA_URL_SECRET overrides it)
+    if (config.mediaUrlSecret) {
+      configToSave.mediaUrlSecret = config.mediaUrlSecret;
+    }
+
+    // Only save rules once they were customized (otherwise defaults apply)
+    if (config.rules) {
+      configToSave.rules = config.rules;
+    }
+
     // Only save webhookUrl if it wasn't set via environment
     if (!process.env.WEBHOOK_URL && config.webhookUrl) {
       configToSave.webhookUrl = config.webhookUrl;
     }
 
-    await fs.writeFile(configPath, JSON.stringify(configToSave, null, 2));
+    await encryption.writeFile(configPath, JSON.stringify(configToSave, null, 2));
     logger.debug('Configuration saved');
   } catch (error) {
     logger.error('Failed to save config', { error: error.message });
   }
 }
 
+// EventSource cannot send headers - the event stream accepts the session token as a query param
+app.use('/api/events/stream', (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+});
+
 // Apply authentication and IP whitelist to admin routes
 app.use('/api', authMiddleware);
 app.use('/', ipWhitelist);
@@ -370,6 +528,12 @@ app.get('/health', (req, res) => {
 });
 
 // API Documentation
+// JSON Schema for the normalized message format (public, like /docs)
+app.get(`/schemas/${messageSchema.SCHEMA_ID}.json`, (req, res) => {
+  res.type('application/schema+json');
+  res.send(JSON.stringify(messageSchema.getJsonSchema(req.protocol + '://' + req.get('host')), null, 2));
+});
+
 app.get('/docs', (req, res) => {
   res.json({
     title: 'WhatsApp Filter API Documentation',
@@ -381,6 +545,19 @@ app.get('/docs', (req, res) => {
         description: 'System health check with connection status',
         auth_required: false
       },
+      [`GET /schemas/${messageSchema.SCHEMA_ID}.json`]: {
+        description: 'JSON Schema of the normalized message format (targets with format normalized or both)',
+        auth_required: false
+      },
+      'GET /media/:id': {
+        description: 'Download media through a signed, expiring URL (data.mediaUrl in forwarded payloads, media.signedUrl in normalized ones). Same headers as /api/media/:id',
+        auth_required: false,
+        query_params: {
+          exp: 'expiry (unix seconds)',
+          sig: 'HMAC signature',
+          download: 'true to send as an attachment instead of inline'
+        }
+      },
       'GET /api/status': {
         description: 'Detailed system status',
         auth_required: true
@@ -394,6 +571,44 @@ app.get('/docs', (req, res) => {
         auth_required: true,
         query_params: { limit: 'number (default 50)', event: 'event type filter' }
       },
+      'GET /api/events/stream': {
+        description: 'Server-Sent Events stream: event, event_update (delivery outcome), connection and qr messages',
+        auth_required: true,
+        query_params: {
+          token: 'session token (EventSource cannot send headers)',
+          event: 'comma-separated event types',
+          action: 'comma-separated actions',
+          sourceType: 'contact|group',
+          source: 'comma-separated source IDs'
+        }
+      },
+      'GET /api/deliveries': {
+        description: 'Pending webhook deliveries (durable queue) with per-target retry state',
+        auth_required: true,
+        query_params: { limit: 'number (default 50, max 500)', offset: 'number' }
+      },
+      'GET /api/deliveries/dead': {
+        description: 'Dead letters - deliveries that exhausted their retries, with payload, headers and every attempt',
+        auth_required: true,
+        query_params: { limit: 'number', offset: 'number', from: 'ISO date', to: 'ISO date', entityType: 'string', event: 'string' }
+      },
+      'POST /api/deliveries/dead/:id/replay': {
+        description: 'Put a dead letter back on the delivery queue',
+        auth_required: true
+      },
+      'POST /api/deliveries/dead/replay': {
+        description: 'Bulk replay dead letters (oldest first)',
+        auth_required: true,
+        body: { from: 'ISO date', to: 'ISO date', entityType: 'string', event: 'string' }
+      },
+      'DELETE /api/deliveries/dead': {
+        description: 'Purge dead letters (all, or filtered by from/to/entityType/event query params)',
+        auth_required: true
+      },
+      'DELETE /api/deliveries/dead/:id': {
+        description: 'Delete a single dead letter',
+        auth_required: true
+      },
       'GET /api/connection': {
         description: 'Connection status and history',
         auth_required: true
@@ -410,10 +625,84 @@ app.get('/docs', (req, res) => {
         description: 'Add single contact',
         auth_required: true
       },
+      'PUT /api/contacts/:phone': {
+        description: 'Update contact name/type and its webhook override (takes precedence over type routing for the events its targets accept)',
+        auth_required: true,
+        body: { name: 'string', type: 'string', webhookUrl: 'URL, or null to clear', webhooks: 'array of targets { id, url, enabled, timeout, headers, events, format }' }
+      },
       'POST /api/groups/add': {
         description: 'Add group',
         auth_required: true
       },
+      'GET /api/groups': {
+        description: 'Groups with their effective webhook (override, entity type or default)',
+        auth_required: true
+      },
+      'PUT /api/groups/:groupId': {
+        description: 'Update group name/type and its webhook override (takes precedence over type routing for the events its targets accept)',
+        auth_required: true,
+        body: { name: 'string', type: 'string', webhookUrl: 'URL, or null to clear', webhooks: 'array of targets { id, url, enabled, timeout, headers, events, format }' }
+      },
+      'GET /api/rules': {
+        description: 'Get ordered filter rules',
+        auth_required: true
+      },
+      'POST /api/rules': {
+        description: 'Add filter rule (optional position)',
+        auth_required: true,
+        body: { name: 'string', conditions: 'object', action: 'allow|deny|route|drop', webhookUrl: 'string (route only)', position: 'number' }
+      },
+      'PUT /api/rules/:id': {
+        description: 'Update or move filter rule',
+        auth_required: true
+      },
+      'DELETE /api/rules/:id': {
+        description: 'Delete filter rule',
+        auth_required: true
+      },
+      'POST /api/rules/reset': {
+        description: 'Restore default allowlist rules',
+        auth_required: true
+      },
+      'POST /api/filter/simulate': {
+        description: 'Dry-run a payload through the filter and return a step-by-step decision trace',
+        auth_required: true,
+        body: { event: 'optional event name', payload: 'Evolution/Baileys payload (or send the payload as the body)' }
+      },
+      'GET /api/webhooks/types': {
+        description: 'Webhook targets per entity type with coverage and per-target health',
+        auth_required: true
+      },
+      'POST /api/webhooks/types': {
+        description: 'Set webhook targets per type (fan-out). Each type maps to a URL or a list of targets',
+        auth_required: true,
+        body: {
+          typeWebhooks: '{ TYPE: [{ id, url, enabled, timeout, headers, events, format: raw|normalized|both, mediaUrlExpiry: seconds }] }',
+          defaultWebhooks: 'array of extra targets alongside the default webhook URL'
+        }
+      },
+      'GET /api/webhooks/signing': {
+        description: 'Webhook signing secrets per target (masked)',
+        auth_required: true
+      },
+      'PUT /api/webhooks/signing/:target': {
+        description: 'Set signing secret for a target (default, secondary, mention, alerts or entity type). Generated if omitted, returned once',
+        auth_required: true,
+        body: { secret: 'string (optional, min 16 chars)' }
+      },
+      'POST /api/webhooks/signing/:target/rotate': {
+        description: 'Rotate signing secret - requests are signed with both secrets until the previous one is retired',
+        auth_required: true,
+        body: { secret: 'string (optional)' }
+      },
+      'DELETE /api/webhooks/signing/:target/previous': {
+        description: 'Retire the previous secret after rotation',
+        auth_required: true
+      },
+      'DELETE /api/webhooks/signing/:target': {
+        description: 'Remove signing secrets for a target',
+        auth_required: true
+      },
       'POST /api/test-webhook': {
         description: 'Test webhook connection',
         auth_required: true
@@ -422,13 +711,155 @@ app.get('/docs', (req, res) => {
         description: 'Test alert system',
         auth_required: true
       },
+      'GET /api/messages': {
+        description: 'Stored messages of a chat, newest first, with reactions, edit history and sender (group participant phone and push name)',
+        auth_required: true,
+        query_params: {
+          phone: 'phone number or group ID (required)',
+          sender: "participant phone number, or 'me' for sent messages",
+          limit: 'number (default 50)',
+          offset: 'number'
+        }
+      },
+      'GET /api/messages/:phone/senders': {
+        description: "Message counts per sender in a chat (group participants), most active first - 'me' for sent messages",
+        auth_required: true
+      },
+      'GET /api/media/:id': {
+        description: 'Download stored media. Supports Range requests (206) for seeking in video/audio, ETag / If-None-Match, and sends the original document file name',
+        auth_required: true,
+        query_params: {
+          download: 'true to send as an attachment instead of inline'
+        }
+      },
+      'GET /api/media/:id/url': {
+        description: 'Direct download URL: presigned by the bucket with MEDIA_STORAGE=s3, a signed /media/:id link with local storage or encryption at rest',
+        auth_required: true,
+        query_params: {
+          expiresIn: 'seconds (default MEDIA_URL_EXPIRY, presigned URLs at most 7 days)',
+          download: 'true to download as an attachment'
+        }
+      },
+      'GET /api/media/stats': {
+        description: 'Media count, storage driver, storage usage and dedupe savings',
+        auth_required: true
+      },
+      'GET /api/messages/search': {
+        description: 'Full-text search over stored messages (Hebrew and English), ranked with snippets',
+        auth_required: true,
+        query_params: {
+          q: 'search text (every word must match, as a prefix)',
+          chat: 'phone number or group ID',
+          sender: "phone number, or 'me' for sent messages",
+          type: 'text|image|video|audio|document|...',
+          from: 'ISO date',
+          to: 'ISO date',
+          fromMe: 'true|false',
+          limit: 'number (default 50, max 500)',
+          offset: 'number'
+        }
+      },
+      'POST /api/messages/import': {
+        description: 'Import a WhatsApp "Export chat" file (Android or iOS, .txt or .zip with media) sent as the raw body. Re-importing skips messages already stored',
+        auth_required: true,
+        query_params: {
+          phone: 'phone number or group ID the chat belongs to (required)',
+          me: 'comma-separated sender names that are you (outgoing messages)',
+          tz: 'IANA time zone of the export timestamps (default server time zone)',
+          dateOrder: 'dmy|mdy|ymd (detected from the file if omitted)'
+        }
+      },
+      'GET /api/messages/:phone/export': {
+        description: 'Export a conversation as a file download. txt mirrors WhatsApp "Export chat"; html is a standalone page with thumbnails and media links',
+        auth_required: true,
+        query_params: {
+          format: 'json|csv|html|txt (default txt)',
+          from: 'ISO date',
+          to: 'ISO date',
+          tz: 'IANA time zone for txt/html timestamps (default server time zone)',
+          zip: 'true to bundle the transcript with its media files'
+        }
+      },
+      'GET /api/retention': {
+        description: 'Retention policies, sweep interval and the last sweep report',
+        auth_required: true
+      },
+      'PUT /api/retention': {
+        description: 'Set retention policies - age limits per contact/group type and media kind, total media size cap (null = no limit)',
+        auth_required: true,
+        body: {
+          messages: '{ maxAgeDays, byType: { TYPE: days } }',
+          media: '{ maxAgeDays, byKind: { image|video|audio|document: days }, maxTotalMB }'
+        }
+      },
+      'POST /api/retention/preview': {
+        description: 'Report what a sweep would delete, without deleting. Uses the saved policies unless policies are sent in the body',
+        auth_required: true
+      },
+      'POST /api/retention/run': {
+        description: 'Run a retention sweep now',
+        auth_required: true
+      },
+      'GET /api/encryption': {
+        description: 'Encryption at rest: whether it is enabled, current and previous key IDs (never the keys) and migration results per store',
+        auth_required: true
+      },
+      'GET /api/backup': {
+        description: 'Download a backup of the config directory (contacts, stats, messages, media, LID map, session, delivery queue), taken after flushing all stores',
+        auth_required: true,
+        query_params: {
+          media: 'false to leave out media files (local storage only - S3 media stays in the bucket)',
+          session: 'false to leave out the WhatsApp session',
+          encrypt: 'true to encrypt the archive with ENCRYPTION_KEY (default when encryption is enabled)'
+        }
+      },
+      'POST /api/restore': {
+        description: 'Restore a backup sent as the raw body, or a local backup. Validated first; the current state is kept as a pre-restore backup and all services are reloaded without a restart',
+        auth_required: true,
+        query_params: {
+          file: 'name of a local backup (from GET /api/backups) instead of a body',
+          dryRun: 'true to only validate the archive'
+        }
+      },
+      'GET /api/backups': {
+        description: 'Local backups (scheduled and pre-restore) and the backup schedule',
+        auth_required: true
+      },
+      'POST /api/backups': {
+        description: 'Create a local backup now (kept with the scheduled ones, oldest removed beyond BACKUP_KEEP)',
+        auth_required: true
+      },
+      'GET /api/backups/:name': {
+        description: 'Download a local backup',
+        auth_required: true
+      },
+      'GET /api/inbound-auth': {
+        description: 'Inbound /filter authentication settings (masked) and counters',
+        auth_required: true
+      },
+      'PUT /api/inbound-auth': {
+        description: 'Set inbound auth mode and enforcement',
+        auth_required: true,
+        body: { mode: 'off|apikey|bearer|hmac', enforcement: 'reject|audit' }
+      },
+      'PUT /api/inbound-auth/credentials/:instance': {
+        description: "Set credential for an Evolution instance ('default' = any instance without its own). Generated if omitted, returned once",
+        auth_required: true,
+        body: { secret: 'string (optional, min 16 chars)' }
+      },
+      'DELETE /api/inbound-auth/credentials/:instance': {
+        description: 'Remove an instance credential',
+        auth_required: true
+      },
       'POST /filter': {
         description: 'Fallback filter endpoint (auto-detects event)',
-        auth_required: false
+        auth_required: false,
+        inbound_auth: 'apikey, bearer or hmac when enabled (see /api/inbound-auth)'
       },
       'POST /filter/:event': {
         description: 'Event-specific filter endpoint',
-        auth_required: false
+        auth_required: false,
+        inbound_auth: 'apikey, bearer or hmac when enabled (see /api/inbound-auth)'
       }
     },
     supported_events: eventRouter.getSupportedEvents(),
@@ -439,10 +870,10 @@ app.get('/docs', (req, res) => {
 // ============ FILTER ENDPOINTS (NO AUTH) ============
 
 // Main filter endpoint with event type
-app.post('/filter/:event', async (req, res) => {
+app.post('/filter/:event', inboundAuthMiddleware, async (req, res) => {
   try {
     // Normalize event name: messages-upsert -> MESSAGES_UPSERT
-    const event = req.params.event.toUpperCase().replace(/-/g, '_');
+    const event = eventRouter.normalizeEventName(req.params.event);
     const payload = req.body;
 
     await eventRouter.routeEvent(event, payload, req);
@@ -461,7 +892,7 @@ app.post('/filter/:event', async (req, res) => {
 });
 
 // Fallback filter endpoint (tries to detect event type)
-app.post('/filter', async (req, res) => {
+app.post('/filter', inboundAuthMiddleware, async (req, res) => {
   try {
     const payload = req.body;
 
@@ -490,6 +921,32 @@ app.post('/filter', async (req, res) => {
 
 // ============ PROTECTED API ENDPOINTS ============
 
+// Simulate a payload through the filter pipeline (no forwarding, storage or stats)
+app.post('/api/filter/simulate', async (req, res) => {
+  try {
+    // Accept { event, payload } or a bare Evolution/Baileys payload
+    const body = req.body || {};
+    const payload = body.payload && typeof body.payload === 'object' ? body.payload : body;
+
+    if (!payload || typeof payload !== 'object' || Object.keys(payload).length === 0) {
+      return res.status(400).json({ error: 'Missing payload' });
+    }
+
+    const requestedEvent = (body.payload ? body.event : null) || payload.event;
+    const event = requestedEvent
+      ? eventRouter.normalizeEventName(requestedEvent)
+      : (eventRouter.detectEventType(payload) || 'MESSAGES_UPSERT');
+
+    const result = await eventRouter.routeEvent(event, payload, req, { dryRun: true });
+    const { trace, ...outcome } = result;
+
+    res.json({ event, dryRun: true, result: outcome, trace: trace || [] });
+  } catch (error) {
+    logger.error('Filter simulation failed', { error: error.message });
+    res.status(500).json({ error: 'Simulation failed' });
+  }
+});
+
 // Get system status
 app.get('/api/status', (req, res) => {
   const connection = connectionService.getState();
@@ -508,8 +965,11 @@ app.get('/api/status', (req, res) => {
         url: webhookHealth.url,
         healthy: webhookHealth.healthy,
         lastSuccess: webhookHealth.lastSuccess,
-        consecutiveFailures: webhookHealth.consecutiveFailures
+        consecutiveFailures: webhookHealth.consecutiveFailures,
+        targets: webhookHealth.targets
       },
+      deliveries: deliveryQueue.getStats(),
+      deadLetters: deadLetters.getStats(),
       alerts: {
         url: process.env.ALERTS_WEBHOOK_URL || null,
         configured: !!process.env.ALERTS_WEBHOOK_URL
@@ -522,7 +982,8 @@ app.get('/api/status', (req, res) => {
       version: VERSION,
       uptime: process.uptime(),
       startedAt,
-      totalEvents: stats.totals.allEvents
+      totalEvents: stats.totals.allEvents,
+      streamClients: eventBus.getSubscriberCount()
     }
   });
 });
@@ -532,6 +993,134 @@ app.get('/api/stats', (req, res) => {
   res.json(statsService.getStats());
 });
 
+// Get pending webhook deliveries
+app.get('/api/deliveries', (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = parseInt(req.query.offset) || 0;
+
+    res.json({
+      ...deliveryQueue.getStats(),
+      ...deliveryQueue.getPending({ limit, offset })
+    });
+  } catch (error) {
+    logger.error('Failed to get deliveries', { error: error.message });
+    res.status(500).json({ error: 'Failed to get deliveries' });
+  }
+});
+
+// Parse dead letter filter from query/body
+function parseDeadLetterFilter(source = {}) {
+  const filter = {};
+  for (const key of ['from', 'to']) {
+    if (source[key]) {
+      if (isNaN(new Date(source[key]).getTime())) {
+        return { error: `Invalid ${key} date` };
+      }
+      filter[key] = source[key];
+    }
+  }
+  if (source.entityType) filter.entityType = source.entityType;
+  if (source.event) filter.event = source.event;
+  return { filter };
+}
+
+// Get dead letters (deliveries that exhausted their retries)
+app.get('/api/deliveries/dead', (req, res) => {
+  try {
+    const { filter, error } = parseDeadLetterFilter(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = parseInt(req.query.offset) || 0;
+
+    res.json({
+      ...deadLetters.list({ ...filter, limit, offset }),
+      stats: deadLetters.getStats()
+    });
+  } catch (error) {
+    logger.error('Failed to get dead letters', { error: error.message });
+    res.status(500).json({ error: 'Failed to get dead letters' });
+  }
+});
+
+// Get single dead letter
+app.get('/api/deliveries/dead/:id', (req, res) => {
+  const letter = deadLetters.get(req.params.id);
+  if (!letter) {
+    return res.status(404).json({ error: 'Dead letter not found' });
+  }
+  res.json(letter);
+});
+
+// Bulk replay dead letters by time range / entity type (oldest first)
+app.post('/api/deliveries/dead/replay', async (req, res) => {
+  try {
+    const { filter, error } = parseDeadLetterFilter(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const letters = deadLetters.find(filter);
+    for (const letter of letters) {
+      await deliveryQueue.requeue(letter);
+      deadLetters.remove(letter.id);
+    }
+
+    logger.info('Dead letters replayed', { count: letters.length, filter });
+    res.json({ success: true, replayed: letters.length });
+  } catch (error) {
+    logger.error('Failed to replay dead letters', { error: error.message });
+    res.status(500).json({ error: 'Failed to replay dead letters' });
+  }
+});
+
+// Replay single dead letter
+app.post('/api/deliveries/dead/:id/replay', async (req, res) => {
+  try {
+    const letter = deadLetters.get(req.params.id);
+    if (!letter) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+
+    const delivery = await deliveryQueue.requeue(letter);
+    deadLetters.remove(letter.id);
+
+    logger.info('Dead letter replayed', { deadLetterId: letter.id, deliveryId: delivery.id });
+    res.json({ success: true, deliveryId: delivery.id });
+  } catch (error) {
+    logger.error('Failed to replay dead letter', { error: error.message });
+    res.status(500).json({ error: 'Failed to replay dead letter' });
+  }
+});
+
+// Purge dead letters (optionally filtered by time range / entity type)
+app.delete('/api/deliveries/dead', (req, res) => {
+  try {
+    const { filter, error } = parseDeadLetterFilter(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const purged = deadLetters.purge(filter);
+    logger.info('Dead letters purged', { count: purged, filter });
+    res.json({ success: true, purged });
+  } catch (error) {
+    logger.error('Failed to purge dead letters', { error: error.message });
+    res.status(500).json({ error: 'Failed to purge dead letters' });
+  }
+});
+
+// Delete single dead letter
+app.delete('/api/deliveries/dead/:id', (req, res) => {
+  if (!deadLetters.remove(req.params.id)) {
+    return res.status(404).json({ error: 'Dead letter not found' });
+  }
+  res.json({ success: true });
+});
+
 // Get recent events
 app.get('/api/events/recent', (req, res) => {
   const limit = parseInt(req.query.limit) || 50;
@@ -541,6 +1130,53 @@ app.get('/api/events/recent', (req, res) => {
   res.json(statsService.getRecentEvents({ limit, eventType, offset }));
 });
 
+// Live stream of events, connection changes and QR codes (Server-Sent Events)
+// Filters (comma-separated) apply to event/event_update messages: event, action, sourceType, source
+app.get('/api/events/stream', (req, res) => {
+  const filters = {};
+  for (const key of ['event', 'action', 'sourceType', 'source']) {
+    if (req.query[key]) {
+      filters[key] = String(req.query[key]).split(',').map(v => v.trim()).filter(Boolean);
+    }
+  }
+
+  const matchesFilters = event =>
+    Object.entries(filters).every(([key, values]) => values.includes(event[key]));
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let messageId = 0;
+  const send = (topic, data) => {
+    res.write(`id: ${++messageId}\nevent: ${topic}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Current state first, so clients don't need a separate request
+  res.write('retry: 3000\n\n');
+  send('connection', connectionService.getState());
+
+  const unsubscribe = eventBus.subscribe(({ topic, data }) => {
+    if ((topic === 'event' || topic === 'event_update') && !matchesFilters(data)) return;
+    send(topic, data);
+  });
+
+  // Keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    logger.debug('Event stream closed', { clients: eventBus.getSubscriberCount() });
+  });
+
+  logger.debug('Event stream opened', { clients: eventBus.getSubscriberCount(), filters });
+});
+
 // Get connection status
 app.get('/api/connection', (req, res) => {
   res.json(connectionService.getState());
@@ -714,6 +1350,18 @@ app.post('/api/webhook/test', async (req, res) => {
 // Get/Set type-specific webhooks with coverage analysis
 app.get('/api/webhooks/types', (req, res) => {
   const validators = require('./utils/validators');
+  const health = webhookService.getHealth();
+
+  // Per-target status for a type's effective targets
+  const describeTargets = (type) => webhookService.getTargetsForType(type).map(target => {
+    const targetHealth = health.targets.find(t => t.id === target.id);
+    return {
+      id: target.id,
+      url: target.url,
+      healthy: targetHealth ? targetHealth.healthy : true,
+      consecutiveFailures: targetHealth ? targetHealth.consecutiveFailures : 0
+    };
+  });
 
   // Analyze which groups/contacts have webhooks
   const groupTypes = [...new Set((config.allowedGroups || []).map(g => g.type))];
@@ -721,19 +1369,25 @@ app.get('/api/webhooks/types', (req, res) => {
 
   const groupCoverage = groupTypes.map(type => ({
     type,
-    hasWebhook: !!webhookService.getWebhookForType(type),
+    hasWebhook: webhookService.getTargetsForType(type).length > 0,
+    usesDefault: !webhookService.hasTypeTargets(type),
+    targets: describeTargets(type),
     count: (config.allowedGroups || []).filter(g => g.type === type).length
   }));
 
   const contactCoverage = contactTypes.map(type => ({
     type,
-    hasWebhook: !!webhookService.getWebhookForType(type),
+    hasWebhook: webhookService.getTargetsForType(type).length > 0,
+    usesDefault: !webhookService.hasTypeTargets(type),
+    targets: describeTargets(type),
     count: (config.allowedNumbers || []).filter(c => c.type === type).length
   }));
 
   res.json({
-    typeWebhooks: config.typeWebhooks || {},
+    typeWebhooks: webhookService.getTypeWebhooks(),
     defaultWebhook: webhookService.getUrl(),
+    defaultWebhooks: webhookService.getExtraDefaultTargets(),
+    targets: health.targets,
     availableTypes: {
       contact: validators.getValidContactTypes(),
       group: validators.getValidGroupTypes()
@@ -749,42 +1403,62 @@ app.get('/api/webhooks/types', (req, res) => {
   });
 });
 
+// Set type webhooks - each type maps to a URL (legacy) or a list of targets
+// { id, url, enabled, timeout, headers, events }
 app.post('/api/webhooks/types', async (req, res) => {
   try {
-    const { typeWebhooks } = req.body;
+    const { typeWebhooks, defaultWebhooks } = req.body;
 
-    if (!typeWebhooks || typeof typeWebhooks !== 'object') {
+    if (!typeWebhooks || typeof typeWebhooks !== 'object' || Array.isArray(typeWebhooks)) {
       return res.status(400).json({ error: 'Invalid typeWebhooks format' });
     }
 
-    // Validate URLs
-    for (const [type, url] of Object.entries(typeWebhooks)) {
-      if (url && typeof url === 'string' && url.trim()) {
-        try {
-          new URL(url);
-        } catch {
-          return res.status(400).json({ error: `Invalid URL for type ${type}` });
-        }
-      }
+    if (defaultWebhooks !== undefined && !Array.isArray(defaultWebhooks)) {
+      return res.status(400).json({ error: 'defaultWebhooks must be an array of targets' });
     }
 
-    // Filter out empty URLs
+    // Normalize, dropping empty URLs
     const cleanedWebhooks = {};
-    for (const [type, url] of Object.entries(typeWebhooks)) {
-      if (url && typeof url === 'string' && url.trim()) {
-        cleanedWebhooks[type] = url.trim();
+    for (const [type, value] of Object.entries(typeWebhooks)) {
+      if (value !== null && typeof value !== 'string' && !Array.isArray(value)) {
+        return res.status(400).json({ error: `Invalid targets for type ${type}` });
+      }
+      const targets = webhookService.normalizeTargets(value, type).filter(target => target.url);
+      if (targets.length > 0) {
+        cleanedWebhooks[type] = targets;
+      }
+    }
+
+    const cleanedDefaults = (defaultWebhooks || config.defaultWebhooks || [])
+      .map((target, index) => webhookService.normalizeTargets(target, `default-${index + 2}`)[0])
+      .filter(target => target.url);
+
+    // Validate targets and make sure IDs are unique (health and queues are tracked per ID)
+    const allTargets = [...cleanedDefaults, ...Object.values(cleanedWebhooks).flat()];
+    const seenIds = new Set(['default']);
+    for (const target of allTargets) {
+      const validationError = webhookService.validateTarget(target);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      if (seenIds.has(target.id)) {
+        return res.status(400).json({ error: `Duplicate target id: ${target.id}` });
       }
+      seenIds.add(target.id);
     }
 
     config.typeWebhooks = cleanedWebhooks;
+    config.defaultWebhooks = cleanedDefaults;
     webhookService.setTypeWebhooks(cleanedWebhooks);
+    webhookService.setDefaultTargets(cleanedDefaults);
     await saveConfig();
 
-    logger.info('Type webhooks updated', { types: Object.keys(cleanedWebhooks) });
+    logger.info('Type webhooks updated', { types: Object.keys(cleanedWebhooks), targets: allTargets.length });
 
     res.json({
       success: true,
-      typeWebhooks: cleanedWebhooks
+      typeWebhooks: cleanedWebhooks,
+      defaultWebhooks: cleanedDefaults
     });
   } catch (error) {
     logger.error('Failed to update type webhooks', { error: error.message });
@@ -792,13 +1466,189 @@ app.post('/api/webhooks/types', async (req, res) => {
   }
 });
 
-// Custom types management
-app.get('/api/types', (req, res) => {
+// Webhook signing secrets
+function isValidSigningTarget(target) {
+  const validators = require('./utils/validators');
+  return signing.FIXED_TARGETS.includes(target) ||
+    validators.isValidContactType(target) ||
+    validators.isValidGroupType(target);
+}
+
+app.get('/api/webhooks/signing', (req, res) => {
   const validators = require('./utils/validators');
   res.json({
-    contactTypes: {
-      default: validators.DEFAULT_CONTACT_TYPES,
-      custom: config.customContactTypes || []
+    targets: signing.getMasked(),
+    availableTargets: [...new Set([
+      ...signing.FIXED_TARGETS,
+      ...validators.getValidContactTypes(),
+      ...validators.getValidGroupTypes()
+    ])],
+    envFallback: !!process.env.WEBHOOK_SIGNING_SECRET
+  });
+});
+
+// Set (replace) a target's secret - generated when not supplied, returned once
+app.put('/api/webhooks/signing/:target', async (req, res) => {
+  try {
+    const { target } = req.params;
+    if (!isValidSigningTarget(target)) {
+      return res.status(400).json({ error: 'Invalid signing target' });
+    }
+
+    const secret = req.body.secret || signing.generateSecret();
+    const validationError = signing.validateSecret(secret);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    signing.setSecret(target, secret);
+    config.signing = signing.getSecrets();
+    await saveConfig();
+
+    res.json({ success: true, target, secret });
+  } catch (error) {
+    logger.error('Failed to set signing secret', { error: error.message });
+    res.status(500).json({ error: 'Failed to set signing secret' });
+  }
+});
+
+// Rotate a target's secret - the old one keeps signing until retired
+app.post('/api/webhooks/signing/:target/rotate', async (req, res) => {
+  try {
+    const { target } = req.params;
+    if (!isValidSigningTarget(target)) {
+      return res.status(400).json({ error: 'Invalid signing target' });
+    }
+
+    const secret = req.body.secret || signing.generateSecret();
+    const validationError = signing.validateSecret(secret);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    signing.rotate(target, secret);
+    config.signing = signing.getSecrets();
+    await saveConfig();
+
+    res.json({ success: true, target, secret, signing: signing.getMasked()[target] });
+  } catch (error) {
+    logger.error('Failed to rotate signing secret', { error: error.message });
+    res.status(500).json({ error: 'Failed to rotate signing secret' });
+  }
+});
+
+// Retire the previous secret after rotation
+app.delete('/api/webhooks/signing/:target/previous', async (req, res) => {
+  try {
+    if (!signing.retirePrevious(req.params.target)) {
+      return res.status(404).json({ error: 'No previous secret for this target' });
+    }
+
+    config.signing = signing.getSecrets();
+    await saveConfig();
+
+    res.json({ success: true, signing: signing.getMasked()[req.params.target] });
+  } catch (error) {
+    logger.error('Failed to retire signing secret', { error: error.message });
+    res.status(500).json({ error: 'Failed to retire signing secret' });
+  }
+});
+
+// Remove a target's secrets (falls back to 'default')
+app.delete('/api/webhooks/signing/:target', async (req, res) => {
+  try {
+    if (!signing.removeTarget(req.params.target)) {
+      return res.status(404).json({ error: 'No secrets for this target' });
+    }
+
+    config.signing = signing.getSecrets();
+    await saveConfig();
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Failed to remove signing secrets', { error: error.message });
+    res.status(500).json({ error: 'Failed to remove signing secrets' });
+  }
+});
+
+// Inbound /filter authentication
+app.get('/api/inbound-auth', (req, res) => {
+  res.json({
+    ...inboundAuth.getMasked(),
+    stats: statsService.getStats().inbound
+  });
+});
+
+app.put('/api/inbound-auth', async (req, res) => {
+  try {
+    const { mode, enforcement } = req.body;
+
+    if (mode !== undefined && !inboundAuth.AUTH_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Invalid mode. Must be: ${inboundAuth.AUTH_MODES.join(', ')}` });
+    }
+    if (enforcement !== undefined && !inboundAuth.ENFORCEMENT_MODES.includes(enforcement)) {
+      return res.status(400).json({ error: `Invalid enforcement. Must be: ${inboundAuth.ENFORCEMENT_MODES.join(', ')}` });
+    }
+
+    inboundAuth.configure({ mode, enforcement });
+    config.inboundAuth = inboundAuth.getSettings();
+    await saveConfig();
+
+    res.json({ success: true, ...inboundAuth.getMasked() });
+  } catch (error) {
+    logger.error('Failed to update inbound auth', { error: error.message });
+    res.status(500).json({ error: 'Failed to update inbound auth' });
+  }
+});
+
+// Set credential for an Evolution instance ('default' = any instance) - generated when not supplied, returned once
+app.put('/api/inbound-auth/credentials/:instance', async (req, res) => {
+  try {
+    const { instance } = req.params;
+    if (!/^[\w.-]{1,100}$/.test(instance)) {
+      return res.status(400).json({ error: 'Invalid instance name' });
+    }
+
+    const secret = req.body.secret || inboundAuth.generateSecret();
+    const validationError = inboundAuth.validateSecret(secret);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    inboundAuth.setCredential(instance, secret);
+    config.inboundAuth = inboundAuth.getSettings();
+    await saveConfig();
+
+    res.json({ success: true, instance, secret });
+  } catch (error) {
+    logger.error('Failed to set inbound credential', { error: error.message });
+    res.status(500).json({ error: 'Failed to set inbound credential' });
+  }
+});
+
+app.delete('/api/inbound-auth/credentials/:instance', async (req, res) => {
+  try {
+    if (!inboundAuth.removeCredential(req.params.instance)) {
+      return res.status(404).json({ error: 'No credential for this instance' });
+    }
+
+    config.inboundAuth = inboundAuth.getSettings();
+    await saveConfig();
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Failed to remove inbound credential', { error: error.message });
+    res.status(500).json({ error: 'Failed to remove inbound credential' });
+  }
+});
+
+// Custom types management
+app.get('/api/types', (req, res) => {
+  const validators = require('./utils/validators');
+  res.json({
+    contactTypes: {
+      default: validators.DEFAULT_CONTACT_TYPES,
+      custom: config.customContactTypes || []
     },
     groupTypes: {
       default: validators.DEFAULT_GROUP_TYPES,
@@ -866,14 +1716,21 @@ app.post('/api/contacts', async (req, res) => {
       return res.status(400).json({ error: 'Invalid contacts format' });
     }
 
-    // Validate contacts
+    // Validate contacts, including webhook overrides (as the single-contact routes do)
+    const updated = [];
     for (const contact of contacts) {
-      if (!contact.phone || !contact.name || !contact.type) {
+      if (!contact || !contact.phone || !contact.name || !contact.type) {
         return res.status(400).json({ error: 'Missing required fields' });
       }
+      const { webhookUrl, webhooks, ...entry } = contact;
+      const webhookError = applyWebhookOverride(entry, { webhookUrl, webhooks }, `contact-${normalizePhone(contact.phone)}`);
+      if (webhookError) {
+        return res.status(400).json({ error: `${contact.phone}: ${webhookError}` });
+      }
+      updated.push(entry);
     }
 
-    config.allowedNumbers = contacts;
+    config.allowedNumbers = updated;
     eventRouter.setConfig(config);
     await saveConfig();
 
@@ -929,9 +1786,68 @@ app.get('/api/contacts/:phone', (req, res) => {
     return res.status(404).json({ error: 'Contact not found' });
   }
 
-  res.json({ success: true, contact });
+  res.json({ success: true, contact, ...getEffectiveWebhook(contact, 'contact') });
 });
 
+// Apply a webhook override from a contact/group update - the entry is only changed when the override is valid
+// webhookUrl: string (single target) | webhooks: target array | null or '' on either clears the override
+function applyWebhookOverride(entry, body, baseId) {
+  const { webhookUrl, webhooks } = body;
+  if (webhookUrl === undefined && webhooks === undefined) return null;
+
+  if (webhookUrl !== undefined && webhooks !== undefined) {
+    return 'Use either webhookUrl or webhooks, not both';
+  }
+
+  const value = webhooks !== undefined ? webhooks : webhookUrl;
+  if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+    delete entry.webhookUrl;
+    delete entry.webhooks;
+    return null;
+  }
+
+  if (webhooks !== undefined && (!Array.isArray(webhooks) ||
+      !webhooks.every(target => typeof target === 'string' || (target && typeof target === 'object' && !Array.isArray(target))))) {
+    return 'webhooks must be an array of targets';
+  }
+  if (webhookUrl !== undefined && typeof webhookUrl !== 'string') {
+    return 'webhookUrl must be a string';
+  }
+
+  const targets = webhookService.normalizeTargets(value, baseId);
+  const seenIds = new Set();
+  for (const target of targets) {
+    const validationError = webhookService.validateTarget(target);
+    if (validationError) return validationError;
+    // Override IDs share health stats and delivery lanes with configured targets, so keep them apart
+    if (seenIds.has(target.id) || webhookService.findTarget(target.id)) {
+      return `Duplicate target id: ${target.id}`;
+    }
+    seenIds.add(target.id);
+  }
+
+  if (webhooks !== undefined) {
+    entry.webhooks = targets;
+    delete entry.webhookUrl;
+  } else {
+    entry.webhookUrl = targets[0].url;
+    delete entry.webhooks;
+  }
+  return null;
+}
+
+// Describe the targets a contact/group delivers to (override, then type, then default)
+function getEffectiveWebhook(entry, sourceType) {
+  const entityTargets = webhookService.getEntityTargets(entry, sourceType);
+  const { targets, via } = webhookService.resolveRouting({ entityType: entry.type, entityTargets });
+  return {
+    webhookConfigured: targets.length > 0,
+    webhookUrl: targets[0]?.url || null,
+    webhookSource: via,
+    webhookTargets: targets.map(target => ({ id: target.id, url: target.url }))
+  };
+}
+
 // Update single contact
 app.put('/api/contacts/:phone', async (req, res) => {
   try {
@@ -945,23 +1861,25 @@ app.put('/api/contacts/:phone', async (req, res) => {
 
     const contact = config.allowedNumbers[contactIndex];
 
-    if (name !== undefined) {
-      if (!isValidName(name)) {
-        return res.status(400).json({ error: 'Name must be 2-50 characters' });
-      }
-      contact.name = name;
+    // Validate everything before changing the live config
+    if (name !== undefined && !isValidName(name)) {
+      return res.status(400).json({ error: 'Name must be 2-50 characters' });
+    }
+    if (type !== undefined && !isValidContactType(type)) {
+      return res.status(400).json({ error: 'Invalid type. Must be: PERSONAL, BUSINESS, VIP, or TEMP' });
     }
 
-    if (type !== undefined) {
-      if (!isValidContactType(type)) {
-        return res.status(400).json({ error: 'Invalid type. Must be: PERSONAL, BUSINESS, VIP, or TEMP' });
-      }
-      contact.type = type;
+    const webhookError = applyWebhookOverride(contact, req.body, `contact-${normalizePhone(contact.phone)}`);
+    if (webhookError) {
+      return res.status(400).json({ error: webhookError });
     }
 
+    if (name !== undefined) contact.name = name;
+    if (type !== undefined) contact.type = type;
+
     eventRouter.setConfig(config);
     await saveConfig();
-    res.json({ success: true, contact });
+    res.json({ success: true, contact, ...getEffectiveWebhook(contact, 'contact') });
   } catch (error) {
     logger.error('Failed to update contact', { error: error.message });
     res.status(500).json({ error: 'Failed to update contact' });
@@ -989,18 +1907,135 @@ app.delete('/api/contacts/:phone', async (req, res) => {
   }
 });
 
+// ============ RULE ENDPOINTS ============
+
+// Get filter rules
+app.get('/api/rules', (req, res) => {
+  res.json({
+    rules: rulesService.getRules(),
+    isDefault: rulesService.isDefault(),
+    actions: rulesService.RULE_ACTIONS,
+    conditions: rulesService.CONDITION_KEYS
+  });
+});
+
+// Build a rule from request body (keeps only known fields)
+function buildRule(body, existing = {}) {
+  const rule = {
+    id: existing.id || rulesService.generateRuleId(),
+    name: body.name !== undefined ? body.name : (existing.name || ''),
+    enabled: body.enabled !== undefined ? body.enabled !== false : existing.enabled !== false,
+    conditions: body.conditions !== undefined ? (body.conditions || {}) : (existing.conditions || {}),
+    action: body.action !== undefined ? body.action : existing.action
+  };
+
+  const webhookUrl = body.webhookUrl !== undefined ? body.webhookUrl : existing.webhookUrl;
+  if (rule.action === 'route') {
+    rule.webhookUrl = typeof webhookUrl === 'string' ? webhookUrl.trim() : webhookUrl;
+  }
+
+  return rule;
+}
+
+// Add rule
+app.post('/api/rules', async (req, res) => {
+  try {
+    const rule = buildRule(req.body);
+    const error = rulesService.validateRule(rule);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // First change materializes the default rule set into config
+    const rules = rulesService.getRules();
+    const position = Number.isInteger(req.body.position) ? req.body.position : rules.length;
+    rules.splice(Math.max(0, Math.min(position, rules.length)), 0, rule);
+
+    config.rules = rules;
+    rulesService.setRules(config.rules);
+    await saveConfig();
+
+    logger.info('Filter rule added', { ruleId: rule.id, action: rule.action });
+    res.json({ success: true, rule, rules });
+  } catch (error) {
+    logger.error('Failed to add rule', { error: error.message });
+    res.status(500).json({ error: 'Failed to add rule' });
+  }
+});
+
+// Update rule (optionally move it with "position")
+app.put('/api/rules/:id', async (req, res) => {
+  try {
+    const rules = rulesService.getRules();
+    const ruleIndex = rules.findIndex(r => r.id === req.params.id);
+    if (ruleIndex === -1) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    const rule = buildRule(req.body, rules[ruleIndex]);
+    const error = rulesService.validateRule(rule);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    rules.splice(ruleIndex, 1);
+    const position = Number.isInteger(req.body.position) ? req.body.position : ruleIndex;
+    rules.splice(Math.max(0, Math.min(position, rules.length)), 0, rule);
+
+    config.rules = rules;
+    rulesService.setRules(config.rules);
+    await saveConfig();
+
+    res.json({ success: true, rule, rules });
+  } catch (error) {
+    logger.error('Failed to update rule', { error: error.message });
+    res.status(500).json({ error: 'Failed to update rule' });
+  }
+});
+
+// Delete rule
+app.delete('/api/rules/:id', async (req, res) => {
+  try {
+    const rules = rulesService.getRules();
+    const ruleIndex = rules.findIndex(r => r.id === req.params.id);
+    if (ruleIndex === -1) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    const removedRule = rules.splice(ruleIndex, 1)[0];
+    config.rules = rules;
+    rulesService.setRules(config.rules);
+    await saveConfig();
+
+    res.json({ success: true, removed: removedRule, rules });
+  } catch (error) {
+    logger.error('Failed to remove rule', { error: error.message });
+    res.status(500).json({ error: 'Failed to remove rule' });
+  }
+});
+
+// Restore default rules (plain allowlist)
+app.post('/api/rules/reset', async (req, res) => {
+  try {
+    config.rules = null;
+    rulesService.setRules(null);
+    await saveConfig();
+
+    res.json({ success: true, rules: rulesService.getRules() });
+  } catch (error) {
+    logger.error('Failed to reset rules', { error: error.message });
+    res.status(500).json({ error: 'Failed to reset rules' });
+  }
+});
+
 // ============ GROUP ENDPOINTS ============
 
 // Get all groups with webhook status
 app.get('/api/groups', (req, res) => {
-  const groupsWithWebhook = (config.allowedGroups || []).map(group => {
-    const webhookForType = webhookService.getWebhookForType(group.type);
-    return {
-      ...group,
-      webhookConfigured: !!webhookForType,
-      webhookUrl: webhookForType || null
-    };
-  });
+  const groupsWithWebhook = (config.allowedGroups || []).map(group => ({
+    ...group,
+    ...getEffectiveWebhook(group, 'group')
+  }));
   res.json({ groups: groupsWithWebhook });
 });
 
@@ -1075,23 +2110,26 @@ app.put('/api/groups/:groupId', async (req, res) => {
       return res.status(404).json({ error: 'Group not found' });
     }
 
-    if (name !== undefined) {
-      if (!isValidName(name)) {
-        return res.status(400).json({ error: 'Name must be 2-50 characters' });
-      }
-      config.allowedGroups[groupIndex].name = name;
+    // Validate everything before changing the live config
+    if (name !== undefined && !isValidName(name)) {
+      return res.status(400).json({ error: 'Name must be 2-50 characters' });
+    }
+    if (type !== undefined && !isValidGroupType(type)) {
+      return res.status(400).json({ error: 'Invalid group type' });
     }
 
-    if (type !== undefined) {
-      if (!isValidGroupType(type)) {
-        return res.status(400).json({ error: 'Invalid group type' });
-      }
-      config.allowedGroups[groupIndex].type = type;
+    const group = config.allowedGroups[groupIndex];
+    const webhookError = applyWebhookOverride(group, req.body, `group-${groupId}`);
+    if (webhookError) {
+      return res.status(400).json({ error: webhookError });
     }
 
+    if (name !== undefined) group.name = name;
+    if (type !== undefined) group.type = type;
+
     eventRouter.setConfig(config);
     await saveConfig();
-    res.json({ success: true, group: config.allowedGroups[groupIndex] });
+    res.json({ success: true, group, ...getEffectiveWebhook(group, 'group') });
   } catch (error) {
     logger.error('Failed to update group', { error: error.message });
     res.status(500).json({ error: 'Failed to update group' });
@@ -1167,7 +2205,7 @@ app.post('/api/webhook', (req, res) => {
 
 // Get messages for a phone number
 app.get('/api/messages', (req, res) => {
-  const { phone, limit, offset } = req.query;
+  const { phone, limit, offset, sender } = req.query;
 
   if (!phone) {
     return res.status(400).json({ error: 'Missing required parameter: phone' });
@@ -1175,12 +2213,22 @@ app.get('/api/messages', (req, res) => {
 
   const result = messageStore.getMessages(phone, {
     limit: parseInt(limit) || 50,
-    offset: parseInt(offset) || 0
+    offset: parseInt(offset) || 0,
+    sender: sender || null
   });
 
   res.json(result);
 });
 
+// Per-sender message counts for a chat (group participants)
+app.get('/api/messages/:phone/senders', (req, res) => {
+  try {
+    res.json({ chat: req.params.phone, senders: messageStore.getSenders(req.params.phone) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get all phones with stored messages
 app.get('/api/messages/phones', (req, res) => {
   const phones = messageStore.getPhones();
@@ -1192,6 +2240,132 @@ app.get('/api/messages/stats', (req, res) => {
   res.json(messageStore.getStats());
 });
 
+// Search stored messages (full text + filters)
+app.get('/api/messages/search', (req, res) => {
+  const { q, chat, sender, type, from, to, fromMe, limit, offset } = req.query;
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && isNaN(new Date(value).getTime())) {
+      return res.status(400).json({ error: `Invalid date: ${name}` });
+    }
+  }
+  if (fromMe !== undefined && !['true', 'false'].includes(fromMe)) {
+    return res.status(400).json({ error: 'fromMe must be true or false' });
+  }
+  if (!q && !chat && !sender && !type && !from && !to && fromMe === undefined) {
+    return res.status(400).json({ error: 'Provide a query (q) or at least one filter' });
+  }
+
+  try {
+    const result = messageStore.search({
+      q,
+      chat,
+      sender,
+      type,
+      from,
+      to,
+      fromMe: fromMe === undefined ? undefined : fromMe === 'true',
+      limit: Math.min(parseInt(limit) || 50, 500),
+      offset: parseInt(offset) || 0
+    });
+    res.json(result);
+  } catch (error) {
+    logger.error('Message search failed', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Import a WhatsApp "Export chat" file (.txt, or .zip with media) sent as the raw request body
+const IMPORT_MAX_MB = parseInt(process.env.IMPORT_MAX_MB) || 100;
+app.post('/api/messages/import', express.raw({ type: () => true, limit: `${IMPORT_MAX_MB}mb` }), async (req, res) => {
+  const { phone, me, tz, dateOrder } = req.query;
+
+  if (!phone || (!isValidPhone(phone) && !isValidGroupId(phone))) {
+    return res.status(400).json({ error: 'Missing or invalid parameter: phone (phone number or group ID)' });
+  }
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: 'Send the export (.txt or .zip) as the request body' });
+  }
+  if (tz && !messageExport.isValidTimeZone(tz)) {
+    return res.status(400).json({ error: `Invalid time zone: ${tz}` });
+  }
+  if (dateOrder && !chatExportParser.DATE_ORDERS.includes(dateOrder)) {
+    return res.status(400).json({ error: `Invalid dateOrder. Must be: ${chatExportParser.DATE_ORDERS.join(', ')}` });
+  }
+
+  let chatExport;
+  try {
+    chatExport = messageImport.readChatExport(req.body, { dateOrder });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const report = await messageImport.importChatExport(chatExport, {
+      chat: normalizePhone(normalizeGroupId(phone)),
+      me: me ? me.split(',') : [],
+      timeZone: tz || undefined
+    });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    logger.error('Chat import failed', { phone, error: error.message });
+    res.status(500).json({ error: 'Failed to import chat export' });
+  }
+});
+
+// Export a conversation (json, csv, html or WhatsApp-style txt), optionally zipped with its media
+app.get('/api/messages/:phone/export', async (req, res) => {
+  const { format = 'txt', from, to, tz, zip } = req.query;
+  const chat = normalizePhone(req.params.phone);
+
+  if (!messageExport.EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: `Invalid format. Must be: ${Object.keys(messageExport.EXPORT_FORMATS).join(', ')}` });
+  }
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && isNaN(new Date(value).getTime())) {
+      return res.status(400).json({ error: `Invalid date: ${name}` });
+    }
+  }
+  if (tz && !messageExport.isValidTimeZone(tz)) {
+    return res.status(400).json({ error: `Invalid time zone: ${tz}` });
+  }
+  if (messageStore.getMessages(chat, { limit: 1 }).total === 0) {
+    return res.status(404).json({ error: 'No messages found for this phone' });
+  }
+
+  try {
+    const messages = messageStore.getMessagesInRange(chat, { from, to });
+    const entry = (config.allowedNumbers || []).find(c => normalizePhone(c.phone) === chat) ||
+      (config.allowedGroups || []).find(g => normalizePhone(normalizeGroupId(g.groupId)) === chat);
+    const context = {
+      chat,
+      chatName: entry?.name || null,
+      baseUrl: process.env.BASE_URL || `${req.protocol}://${req.get('host')}`,
+      timeZone: tz || undefined,
+      from: from || null,
+      to: to || null
+    };
+
+    const { contentType, extension } = messageExport.EXPORT_FORMATS[format];
+    const fileName = `chat-${chat}-${new Date().toISOString().slice(0, 10)}`;
+
+    if (zip === 'true') {
+      res.set('Content-Type', 'application/zip');
+      res.set('Content-Disposition', `attachment; filename="${fileName}.zip"`);
+      await messageExport.writeZip(res, format, messages, context, `${fileName}.${extension}`);
+      return;
+    }
+
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${fileName}.${extension}"`);
+    res.send(messageExport.render(format, messages, context));
+  } catch (error) {
+    logger.error('Message export failed', { chat, format, error: error.message });
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: 'Message export failed' });
+  }
+});
+
 // Delete messages for a phone number
 app.delete('/api/messages/:phone', async (req, res) => {
   const { phone } = req.params;
@@ -1201,13 +2375,268 @@ app.delete('/api/messages/:phone', async (req, res) => {
     return res.status(404).json({ error: 'No messages found for this phone' });
   }
 
-  await messageStore.save();
   res.json({ success: true, deleted: count });
 });
 
+// ============ RETENTION ENDPOINTS ============
+
+// Get retention policies and last sweep
+app.get('/api/retention', (req, res) => {
+  res.json({
+    policies: retention.getPolicies(),
+    mediaKinds: retention.MEDIA_KINDS,
+    ...retention.getStatus()
+  });
+});
+
+// Set retention policies
+app.put('/api/retention', async (req, res) => {
+  try {
+    const validationError = retention.validatePolicies(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { messages, media } = req.body;
+    retention.setPolicies({ messages, media });
+    config.retention = retention.getPolicies();
+    await saveConfig();
+
+    logger.info('Retention policies updated', { configured: retention.isConfigured() });
+    res.json({ success: true, policies: retention.getPolicies() });
+  } catch (error) {
+    logger.error('Failed to update retention policies', { error: error.message });
+    res.status(500).json({ error: 'Failed to update retention policies' });
+  }
+});
+
+// Preview what a sweep would delete (saved policies, or the policies in the body)
+app.post('/api/retention/preview', async (req, res) => {
+  try {
+    const hasCandidate = req.body && (req.body.messages !== undefined || req.body.media !== undefined);
+    if (hasCandidate) {
+      const validationError = retention.validatePolicies(req.body);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+    }
+
+    const report = await retention.sweep({ preview: true, policies: hasCandidate ? req.body : undefined });
+    res.json(report);
+  } catch (error) {
+    logger.error('Retention preview failed', { error: error.message });
+    res.status(500).json({ error: 'Retention preview failed' });
+  }
+});
+
+// Run a sweep now
+app.post('/api/retention/run', async (req, res) => {
+  try {
+    const report = await retention.run();
+    if (!report) {
+      return res.status(409).json({ error: 'A retention sweep is already running' });
+    }
+    res.json(report);
+  } catch (error) {
+    logger.error('Retention sweep failed', { error: error.message });
+    res.status(500).json({ error: 'Retention sweep failed' });
+  }
+});
+
+// ============ ENCRYPTION ENDPOINTS ============
+
+// Encryption at rest status (keys are configured in the environment)
+app.get('/api/encryption', (req, res) => {
+  res.json(encryption.getStatus());
+});
+
+// ============ BACKUP ENDPOINTS ============
+
+const RESTORE_MAX_MB = parseInt(process.env.RESTORE_MAX_MB) || 512;
+
+// Download a backup of the config directory
+app.get('/api/backup', async (req, res) => {
+  const encrypt = req.query.encrypt ? req.query.encrypt === 'true' : encryption.isEnabled();
+  if (encrypt && !encryption.isEnabled()) {
+    return res.status(400).json({ error: 'Encrypted backups need ENCRYPTION_KEY' });
+  }
+
+  try {
+    const file = await backup.createBackup({
+      media: req.query.media !== 'false',
+      session: req.query.session !== 'false',
+      encrypt
+    });
+    if (!file) {
+      return res.status(409).json({ error: 'A backup or restore is already running' });
+    }
+
+    // Temporary files in BACKUP_DIR are dotfiles, which res.download refuses by default
+    res.download(file.path, file.fileName, { dotfiles: 'allow' }, (error) => {
+      fs.rm(file.path, { force: true }).catch(() => {});
+      if (!error) return;
+      logger.error('Failed to send backup', { error: error.message });
+      if (!res.headersSent) res.status(500).json({ error: 'Backup failed' });
+    });
+  } catch (error) {
+    logger.error('Backup failed', { error: error.message });
+    res.status(500).json({ error: 'Backup failed' });
+  }
+});
+
+// Restore a backup (raw body, or ?file= for a local backup) and reload all services
+app.post('/api/restore', express.raw({ type: () => true, limit: `${RESTORE_MAX_MB}mb` }), async (req, res) => {
+  let buffer = req.body;
+  if (req.query.file) {
+    try {
+      const filePath = await backup.getBackupPath(req.query.file);
+      if (!filePath) {
+        return res.status(404).json({ error: 'Backup not found' });
+      }
+      buffer = await fs.readFile(filePath);
+    } catch (error) {
+      // Removed by backup rotation in the meantime
+      if (error.code === 'ENOENT') {
+        return res.status(404).json({ error: 'Backup not found' });
+      }
+      logger.error('Failed to read backup', { file: req.query.file, error: error.message });
+      return res.status(500).json({ error: 'Failed to read backup' });
+    }
+  } else if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    return res.status(400).json({ error: 'Send the backup archive as the request body, or name a local backup with ?file=' });
+  }
+
+  let archive;
+  try {
+    archive = await backup.readArchive(buffer);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (req.query.dryRun === 'true') {
+    const { manifest } = archive;
+    return res.json({
+      valid: true,
+      createdAt: manifest.createdAt,
+      appVersion: manifest.appVersion,
+      includes: manifest.includes,
+      files: archive.files.size
+    });
+  }
+
+  try {
+    const report = await backup.restore(archive);
+    if (!report) {
+      return res.status(409).json({ error: 'A backup or restore is already running' });
+    }
+    res.json({ success: true, ...report });
+  } catch (error) {
+    logger.error('Restore failed', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Local backups and the backup schedule
+app.get('/api/backups', async (req, res) => {
+  try {
+    res.json({ ...backup.getStatus(), backups: await backup.listBackups() });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to list backups' });
+  }
+});
+
+// Create a local backup now
+app.post('/api/backups', async (req, res) => {
+  try {
+    const created = await backup.run();
+    if (!created) {
+      return res.status(409).json({ error: 'A backup or restore is already running' });
+    }
+    res.json({ success: true, backup: created });
+  } catch (error) {
+    logger.error('Backup failed', { error: error.message });
+    res.status(500).json({ error: 'Backup failed' });
+  }
+});
+
+// Download a local backup
+app.get('/api/backups/:name', async (req, res) => {
+  const filePath = await backup.getBackupPath(req.params.name);
+  if (!filePath) {
+    return res.status(404).json({ error: 'Backup not found' });
+  }
+  res.download(filePath, req.params.name);
+});
+
 // ============ MEDIA ENDPOINTS ============
 
-// Serve media file by ID
+// Get media stats (files, disk usage, dedupe savings) - registered before /api/media/:id
+app.get('/api/media/stats', (req, res) => {
+  res.json(mediaStore.getStats());
+});
+
+/**
+ * Content-Disposition with a UTF-8 file name (ASCII fallback for old clients)
+ */
+function contentDisposition(type, fileName) {
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+}
+
+/**
+ * Send a media file - supports single byte ranges (206), ETag / If-None-Match (304) and If-Range
+ * ?download=true sends it as an attachment instead of inline.
+ */
+async function sendMediaFile(req, res, media) {
+  const stat = await mediaStore.statMedia(media);
+  if (!stat) {
+    return res.status(404).json({ error: 'Media file missing' });
+  }
+
+  // Files are content-addressed, so the hash is a strong validator
+  const etag = `"${media.hash}"`;
+  res.set({
+    'Content-Type': media.mimeType,
+    'Cache-Control': 'public, max-age=86400',
+    'Accept-Ranges': 'bytes',
+    ETag: etag,
+    'Content-Disposition': contentDisposition(req.query.download === 'true' ? 'attachment' : 'inline', media.fileName)
+  });
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  let start = 0;
+  let end = stat.size - 1;
+  const ifRange = req.headers['if-range'];
+  if (req.headers.range && (!ifRange || ifRange === etag)) {
+    const ranges = req.range(stat.size, { combine: true });
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${stat.size}`);
+      return res.status(416).end();
+    }
+    // Malformed (-2), non-byte or multiple ranges get the whole file
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      ({ start, end } = ranges[0]);
+      res.status(206).set('Content-Range', `bytes ${start}-${end}/${stat.size}`);
+    }
+  }
+
+  res.set('Content-Length', String(stat.size === 0 ? 0 : end - start + 1));
+  if (req.method === 'HEAD' || stat.size === 0) {
+    return res.end();
+  }
+
+  const stream = await mediaStore.openMedia(media, { start, end });
+  stream.on('error', (error) => {
+    logger.error('Failed to stream media', { key: media.key, error: error.message });
+    res.destroy(error);
+  });
+  stream.pipe(res);
+}
+
+// Serve media file by ID (GET and HEAD)
 app.get('/api/media/:id', async (req, res) => {
   const media = mediaStore.getMedia(req.params.id);
   if (!media) {
@@ -1215,20 +2644,55 @@ app.get('/api/media/:id', async (req, res) => {
   }
 
   try {
-    res.set('Content-Type', media.mimeType);
-    res.set('Cache-Control', 'public, max-age=86400');
-    const fs = require('fs');
-    const stream = fs.createReadStream(media.filePath);
-    stream.on('error', () => res.status(404).json({ error: 'Media file missing' }));
-    stream.pipe(res);
+    await sendMediaFile(req, res, media);
   } catch (error) {
     res.status(500).json({ error: 'Failed to serve media' });
   }
 });
 
-// Get media stats
-app.get('/api/media/stats', (req, res) => {
-  res.json(mediaStore.getStats());
+// Get a direct download URL - presigned by the bucket with S3 storage, a signed /media link otherwise
+app.get('/api/media/:id/url', async (req, res) => {
+  const media = mediaStore.getMedia(req.params.id);
+  if (!media) {
+    return res.status(404).json({ error: 'Media not found' });
+  }
+
+  const expiresIn = req.query.expiresIn ? parseInt(req.query.expiresIn) : mediaLinks.getDefaultExpiry();
+  if (!mediaLinks.isValidExpiry(expiresIn)) {
+    return res.status(400).json({ error: `expiresIn must be ${mediaLinks.MIN_EXPIRY}-${mediaLinks.MAX_EXPIRY} seconds` });
+  }
+
+  try {
+    const link = await mediaStore.getDownloadUrl(media, {
+      expiresIn,
+      contentDisposition: contentDisposition(req.query.download === 'true' ? 'attachment' : 'inline', media.fileName)
+    }) || mediaLinks.createUrl(req.params.id, expiresIn, process.env.BASE_URL || `${req.protocol}://${req.get('host')}`);
+
+    res.json({ url: link.url, expiresAt: link.expiresAt, storage: mediaStore.getStorageName() });
+  } catch (error) {
+    logger.error('Failed to create media URL', { mediaId: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to create media URL' });
+  }
+});
+
+// Signed media URLs from forwarded payloads (no API auth - the signature and expiry are checked instead)
+app.get('/media/:id', async (req, res) => {
+  const failure = mediaLinks.verify(req.params.id, req.query.exp, req.query.sig);
+  if (failure) {
+    logger.warn('Rejected signed media request', { mediaId: req.params.id, reason: failure });
+    return res.status(403).json({ error: failure === 'expired' ? 'Link expired' : 'Invalid signature' });
+  }
+
+  const media = mediaStore.getMedia(req.params.id);
+  if (!media) {
+    return res.status(404).json({ error: 'Media not found' });
+  }
+
+  try {
+    await sendMediaFile(req, res, media);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to serve media' });
+  }
 });
 
 // 404 handler
@@ -1237,7 +2701,21 @@ app.use((req, res) => {
 });
 
 // Start server
-async function startServer() {
+/**
+ * Load configuration and all stores, and start the background workers
+ * Also used to reload everything after a backup is restored.
+ */
+async function loadServices() {
+  // Encryption keys are needed before any store is read - a malformed key stops startup,
+  // and so does data encrypted with a key that is not configured
+  encryption.init();
+  await migrateConfigEncryption();
+  await statsService.migrateEncryption();
+  await deliveryQueue.migrateEncryption();
+  await deadLetters.migrateEncryption();
+  await lidStore.migrateEncryption();
+  await authState.migrateEncryption();
+
   // Load configuration
   await loadConfig();
 
@@ -1247,24 +2725,66 @@ async function startServer() {
 
   // Load message store
   await messageStore.load();
-  messageStore.startAutoSave();
 
   // Initialize media store
   await mediaStore.init();
 
+  // Enforce retention policies on a schedule
+  retention.start(getChatTypes);
+
   // Initialize webhook service (only if URL is configured)
   if (config.webhookUrl) {
     webhookService.init(config.webhookUrl);
   }
 
-  // Initialize Baileys if enabled
+  // Resume pending webhook deliveries
+  await deadLetters.load();
+  await deliveryQueue.load();
+  deliveryQueue.start();
+
+  // Auto-connect Baileys if enabled
   if (BAILEYS_ENABLED) {
-    baileysEvents.initialize();
-    // Auto-connect Baileys on startup
     baileysEvents.start().catch(err => {
       logger.error('Failed to auto-start Baileys', { error: err.message });
     });
   }
+}
+
+/**
+ * Write pending state to config (before a backup)
+ */
+async function flushServices() {
+  await saveConfig();
+  await statsService.save();
+  await deliveryQueue.flush();
+  await deadLetters.flush();
+}
+
+/**
+ * Stop everything that writes to config and close the stores (before a restore replaces their files)
+ * Baileys is closed without logging out, so a session that is not restored stays valid.
+ */
+async function stopServices() {
+  if (BAILEYS_ENABLED) {
+    await baileysService.close();
+  }
+  await deliveryQueue.stop();
+  retention.stop();
+  statsService.stopAutoSave();
+  await deliveryQueue.flush();
+  await deadLetters.flush();
+  messageStore.close();
+}
+
+async function startServer() {
+  if (BAILEYS_ENABLED) {
+    baileysEvents.initialize();
+  }
+
+  await loadServices();
+
+  // Scheduled local backups (BACKUP_INTERVAL_HOURS); restores reload services through these hooks
+  backup.start({ flush: flushServices, stop: stopServices, reload: loadServices });
 
   app.listen(PORT, '0.0.0.0', () => {
     logger.info('WhatsApp Filter Server started', {
@@ -1305,28 +2825,26 @@ async function startServer() {
   });
 }
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  logger.info('Received SIGTERM, shutting down gracefully');
+// Graceful shutdown - deliveries in flight finish before the queue is saved
+async function shutdown(signal) {
+  logger.info(`Received ${signal}, shutting down gracefully`);
   if (BAILEYS_ENABLED) {
     await baileysEvents.stop();
   }
+  backup.stop();
+  await deliveryQueue.stop();
+  retention.stop();
+  statsService.stopAutoSave();
+  await deliveryQueue.flush();
+  await deadLetters.flush();
   await saveConfig();
   await statsService.save();
-  await messageStore.save();
+  messageStore.close();
   process.exit(0);
-});
+}
 
-process.on('SIGINT', async () => {
-  logger.info('Received SIGINT, shutting down gracefully');
-  if (BAILEYS_ENABLED) {
-    await baileysEvents.stop();
-  }
-  await saveConfig();
-  await statsService.save();
-  await messageStore.save();
-  process.exit(0);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 startServer().catch(error => {
   logger.error('Failed to start server', { error: error.message });
@@ -5,6 +5,7 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
 const statsService = require('./stats');
+const signing = require('./signing');
 
 const ALERT_LEVELS = {
   CRITICAL: 'critical',
@@ -87,12 +88,14 @@ async function sendToWebhook(payload) {
   if (!url) return;
 
   try {
-    await axios.post(url, payload, {
+    const body = JSON.stringify(payload);
+    await axios.post(url, body, {
       timeout: 5000,
       headers: {
         'Content-Type': 'application/json',
         'X-Alert-Source': 'whatsapp-filter',
-        'X-Alert-Level': payload.level
+        'X-Alert-Level': payload.level,
+        ...signing.sign('alerts', body)
       }
     });
     logger.debug('Alert sent to webhook', { event: payload.event });
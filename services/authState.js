@@ -0,0 +1,108 @@
+/**
+ * Baileys auth state (WhatsApp session keys) in config/baileys_auth
+ * Same file layout as Baileys' useMultiFileAuthState, with files encrypted at rest when a key is configured.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { useMultiFileAuthState, initAuthCreds, BufferJSON, proto } = require('@whiskeysockets/baileys');
+const encryption = require('./encryption');
+const logger = require('../utils/logger');
+
+const AUTH_DIR = path.join(__dirname, '..', 'config', 'baileys_auth');
+
+/**
+ * File name of a key, as Baileys names it
+ */
+function fixFileName(file) {
+  return file.replace(/\//g, '__').replace(/:/g, '-');
+}
+
+/**
+ * Load the auth state - Baileys' own implementation unless encryption keys are configured
+ * @returns {Object} { state, saveCreds }
+ */
+async function useAuthState(folder = AUTH_DIR) {
+  await fs.mkdir(folder, { recursive: true });
+  if (!encryption.hasKeys()) {
+    return useMultiFileAuthState(folder);
+  }
+
+  // Writes to the same file are serialized (Baileys writes keys in parallel)
+  const locks = new Map();
+  const withLock = (file, task) => {
+    const previous = locks.get(file) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    locks.set(file, next);
+    return next.finally(() => {
+      if (locks.get(file) === next) locks.delete(file);
+    });
+  };
+
+  const writeData = (data, file) => withLock(file, () =>
+    encryption.writeFile(path.join(folder, fixFileName(file)), JSON.stringify(data, BufferJSON.replacer))
+  );
+
+  // Missing files are empty keys; unreadable ones (unknown key, tampering) must not be mistaken for a new session
+  const readData = file => withLock(file, async () => {
+    try {
+      const data = await encryption.readFile(path.join(folder, fixFileName(file)), 'utf8');
+      return JSON.parse(data, BufferJSON.reviver);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      logger.error('Failed to read auth state file', { file, error: error.message });
+      throw error;
+    }
+  });
+
+  const removeData = file => withLock(file, () =>
+    fs.unlink(path.join(folder, fixFileName(file))).catch(() => {})
+  );
+
+  const creds = await readData('creds.json') || initAuthCreds();
+
+  return {
+    state: {
+      creds,
+      keys: {
+        get: async (type, ids) => {
+          const data = {};
+          await Promise.all(ids.map(async id => {
+            let value = await readData(`${type}-${id}.json`);
+            if (type === 'app-state-sync-key' && value) {
+              value = proto.Message.AppStateSyncKeyData.fromObject(value);
+            }
+            data[id] = value;
+          }));
+          return data;
+        },
+        set: async (data) => {
+          const tasks = [];
+          for (const category in data) {
+            for (const id in data[category]) {
+              const value = data[category][id];
+              const file = `${category}-${id}.json`;
+              tasks.push(value ? writeData(value, file) : removeData(file));
+            }
+          }
+          await Promise.all(tasks);
+        }
+      }
+    },
+    saveCreds: () => writeData(creds, 'creds.json')
+  };
+}
+
+/**
+ * Encrypt session files, or re-encrypt them after a key rotation
+ */
+async function migrateEncryption(folder = AUTH_DIR) {
+  const result = await encryption.migrateDirectory(folder);
+  encryption.recordMigration('baileysAuth', result);
+}
+
+module.exports = {
+  useAuthState,
+  migrateEncryption,
+  AUTH_DIR
+};
@@ -0,0 +1,548 @@
+/**
+ * Backup and restore of the config directory
+ * A backup is a zip of the config files, a consistent copy of messages.db and optionally the media files
+ * and the WhatsApp session, described by manifest.json. Files are archived as stored, so data encrypted
+ * at rest stays encrypted; the whole archive can also be encrypted with the master key.
+ * A restore validates the archive, keeps a pre-restore backup, replaces the files and reloads all services
+ * (rolling back to the pre-restore backup if they fail to load).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const AdmZip = require('adm-zip');
+const messageStore = require('./messageStore');
+const mediaStore = require('./mediaStore');
+const encryption = require('./encryption');
+const logger = require('../utils/logger');
+const { version: APP_VERSION } = require('../package.json');
+
+const CONFIG_DIR = path.join(__dirname, '..', 'config');
+const BACKUP_DIR = process.env.BACKUP_DIR ? path.resolve(process.env.BACKUP_DIR) : path.join(CONFIG_DIR, 'backups');
+const BACKUP_INTERVAL_HOURS = parseFloat(process.env.BACKUP_INTERVAL_HOURS) || 0;
+const BACKUP_KEEP = parseInt(process.env.BACKUP_KEEP) || 7;
+const SCHEDULED_OPTIONS = {
+  media: process.env.BACKUP_MEDIA !== 'false',
+  session: process.env.BACKUP_SESSION !== 'false'
+};
+
+const FORMAT = 'whatsapp-filter-backup';
+const FORMAT_VERSION = 1;
+const MANIFEST = 'manifest.json';
+const ENTRY_PREFIX = 'config/';
+const DB_NAME = 'messages.db';
+const MEDIA_DIR_NAME = 'media';
+const SESSION_DIR_NAME = 'baileys_auth';
+
+// Top-level files never archived: the live database and its journals (a snapshot is archived instead), temporary files
+const SKIPPED_FILE_REGEX = /^messages\.db(-wal|-shm|-journal)?$|\.tmp$/;
+// Files every backup has - a restore without them would start from an empty state
+const REQUIRED_FILES = ['contacts.json', 'media_index.json', DB_NAME];
+// State files removed on restore when the backup does not have them, so stale state does not survive (e.g. a delivery queue)
+const STATE_FILES = ['stats.json', 'delivery-queue.json', 'dead-letters.json', 'lid-map.json', 'messages.db-wal', 'messages.db-shm', 'messages.db-journal'];
+const BACKUP_NAME_REGEX = /^(backup|pre-restore)-[\dTZ-]+\.zip(\.enc)?$/;
+
+// Provided by the server: flush() writes pending state, stop() closes the stores, reload() loads everything again
+let services = {
+  flush: async () => {},
+  stop: async () => {},
+  reload: async () => {}
+};
+
+let backupTimer = null;
+let running = null; // 'backup' | 'restore'
+let lastBackup = null;
+let restoreWaiters = [];
+
+/**
+ * Random suffix for temporary files
+ */
+function tempName(prefix) {
+  return path.join(BACKUP_DIR, `.${prefix}-${crypto.randomBytes(4).toString('hex')}`);
+}
+
+/**
+ * Path of the master key file - never archived, even when kept in config
+ */
+function getKeyFile() {
+  return process.env.ENCRYPTION_KEY_FILE ? path.resolve(process.env.ENCRYPTION_KEY_FILE) : null;
+}
+
+/**
+ * Check if a relative path may be restored: a top-level file, or a file in media/ or baileys_auth/
+ */
+function isAllowedPath(name) {
+  if (name.includes('\\')) return false;
+  const parts = name.split('/');
+  if (parts.some(part => !part || part === '.' || part === '..')) return false;
+  if (parts.length === 1) {
+    if (path.join(CONFIG_DIR, name) === getKeyFile()) return false;
+    return name === DB_NAME || !SKIPPED_FILE_REGEX.test(name);
+  }
+  return parts.length === 2 && [MEDIA_DIR_NAME, SESSION_DIR_NAME].includes(parts[0]);
+}
+
+/**
+ * Files of a config subdirectory: [{ name, file }]
+ */
+async function listDir(dirName) {
+  const dir = path.join(CONFIG_DIR, dirName);
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  return entries
+    .filter(entry => entry.isFile() && !entry.name.endsWith('.tmp'))
+    .map(entry => ({ name: `${dirName}/${entry.name}`, file: path.join(dir, entry.name) }));
+}
+
+/**
+ * Build an archive in BACKUP_DIR (a temporary file)
+ * @param {Object} options - { media, session, encrypt }
+ * @returns {Object} { path, manifest }
+ */
+async function createArchive(options) {
+  await services.flush();
+  await fs.promises.mkdir(BACKUP_DIR, { recursive: true });
+
+  const includeMedia = options.media && mediaStore.getStorageName() === 'local';
+  const keyFile = getKeyFile();
+  const base = tempName('backup');
+  const entries = [];
+
+  // Small files are read right away, so they are consistent with each other
+  const topLevel = await fs.promises.readdir(CONFIG_DIR, { withFileTypes: true });
+  for (const entry of topLevel) {
+    const file = path.join(CONFIG_DIR, entry.name);
+    if (!entry.isFile() || SKIPPED_FILE_REGEX.test(entry.name) || file === keyFile) continue;
+    entries.push({ name: entry.name, data: await fs.promises.readFile(file) });
+  }
+  // No media saved yet - an empty index is the same state
+  if (!entries.some(entry => entry.name === 'media_index.json')) {
+    entries.push({ name: 'media_index.json', data: Buffer.from('{}') });
+  }
+  if (options.session) {
+    for (const entry of await listDir(SESSION_DIR_NAME)) {
+      entries.push({ name: entry.name, data: await fs.promises.readFile(entry.file) });
+    }
+  }
+
+  const dbCopy = `${base}.db`;
+  messageStore.snapshot(dbCopy);
+  entries.push({ name: DB_NAME, file: dbCopy, size: (await fs.promises.stat(dbCopy)).size });
+
+  // Media files are content-addressed, so they do not change while being archived
+  if (includeMedia) {
+    for (const entry of await listDir(MEDIA_DIR_NAME)) {
+      entries.push({ ...entry, size: (await fs.promises.stat(entry.file)).size });
+    }
+  }
+
+  const manifest = {
+    format: FORMAT,
+    version: FORMAT_VERSION,
+    appVersion: APP_VERSION,
+    createdAt: new Date().toISOString(),
+    storage: mediaStore.getStorageName(),
+    includes: { media: includeMedia, session: !!options.session },
+    encryptionKeyId: encryption.getStatus().keyId,
+    files: Object.fromEntries(entries.map(entry => [entry.name, entry.data ? entry.data.length : entry.size]))
+  };
+
+  const zipPath = `${base}.zip`;
+  try {
+    await new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(zipPath);
+      const archive = archiver('zip', { zlib: { level: 6 } });
+      output.on('close', resolve);
+      output.on('error', reject);
+      archive.on('error', reject);
+      archive.pipe(output);
+
+      for (const entry of entries) {
+        const name = `${ENTRY_PREFIX}${entry.name}`;
+        if (entry.data) archive.append(entry.data, { name });
+        else archive.file(entry.file, { name });
+      }
+      archive.append(JSON.stringify(manifest, null, 2), { name: MANIFEST });
+      archive.finalize();
+    });
+  } catch (error) {
+    await fs.promises.rm(zipPath, { force: true });
+    throw error;
+  } finally {
+    await fs.promises.rm(dbCopy, { force: true });
+  }
+
+  if (!options.encrypt) {
+    return { path: zipPath, manifest };
+  }
+
+  // GCM authenticates the whole archive, so it is encrypted in memory
+  const encryptedPath = `${zipPath}.enc`;
+  try {
+    await fs.promises.writeFile(encryptedPath, encryption.encrypt(await fs.promises.readFile(zipPath)));
+  } finally {
+    await fs.promises.rm(zipPath, { force: true });
+  }
+  return { path: encryptedPath, manifest };
+}
+
+/**
+ * Create a backup for download - the caller deletes the file once sent
+ * @param {Object} options - { media, session, encrypt }
+ * @returns {Object|null} { path, fileName, manifest }, null if a backup or restore is running
+ */
+async function createBackup(options) {
+  if (running) return null;
+  running = 'backup';
+  try {
+    const archive = await createArchive(options);
+    const fileName = `whatsapp-filter-backup-${archive.manifest.createdAt.replace(/[:.]/g, '-')}.zip${options.encrypt ? '.enc' : ''}`;
+    return { path: archive.path, fileName, manifest: archive.manifest };
+  } finally {
+    running = null;
+  }
+}
+
+/**
+ * Create a backup in BACKUP_DIR and remove the oldest ones of the same kind beyond BACKUP_KEEP
+ * @param {string} prefix - backup | pre-restore
+ * @returns {Object} { name, size, createdAt, encrypted }
+ */
+async function saveBackup(options, prefix) {
+  const archive = await createArchive(options);
+  const name = `${prefix}-${archive.manifest.createdAt.replace(/[:.]/g, '-')}.zip${options.encrypt ? '.enc' : ''}`;
+  await fs.promises.rename(archive.path, path.join(BACKUP_DIR, name));
+
+  const old = (await listBackups()).filter(backup => backup.name.startsWith(`${prefix}-`)).slice(BACKUP_KEEP);
+  for (const backup of old) {
+    await fs.promises.rm(path.join(BACKUP_DIR, backup.name), { force: true });
+  }
+
+  const { size } = await fs.promises.stat(path.join(BACKUP_DIR, name));
+  return { name, size, createdAt: archive.manifest.createdAt, encrypted: !!options.encrypt };
+}
+
+/**
+ * Create a backup in BACKUP_DIR now (scheduled options, encrypted when encryption is enabled)
+ * @returns {Object|null} { name, size, createdAt, encrypted }, null if a backup or restore is running
+ */
+async function run() {
+  if (running) return null;
+  running = 'backup';
+  try {
+    const backup = await saveBackup({ ...SCHEDULED_OPTIONS, encrypt: encryption.isEnabled() }, 'backup');
+    lastBackup = { ...backup, error: null };
+    logger.info('Backup created', { name: backup.name, sizeMB: +(backup.size / 1024 / 1024).toFixed(2) });
+    return backup;
+  } catch (error) {
+    lastBackup = { name: null, createdAt: new Date().toISOString(), error: error.message };
+    throw error;
+  } finally {
+    running = null;
+  }
+}
+
+/**
+ * Read and validate an archive (optionally encrypted) - nothing is changed
+ * @returns {Object} { manifest, files: Map(name -> Buffer) }
+ * @throws {Error} If it is not a valid backup, or its data cannot be read with the configured keys
+ */
+async function readArchive(buffer) {
+  const data = encryption.isEncrypted(buffer) ? encryption.decrypt(buffer) : buffer;
+
+  let entries;
+  try {
+    entries = new AdmZip(data).getEntries();
+  } catch (error) {
+    throw new Error('Not a backup archive (expected the .zip or .zip.enc from /api/backup)');
+  }
+
+  const manifestEntry = entries.find(entry => entry.entryName === MANIFEST);
+  if (!manifestEntry) {
+    throw new Error('Not a backup archive: manifest.json is missing');
+  }
+  let manifest;
+  try {
+    manifest = JSON.parse(manifestEntry.getData().toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid manifest.json');
+  }
+  if (manifest.format !== FORMAT || !manifest.files || typeof manifest.files !== 'object') {
+    throw new Error('Not a backup archive: unknown manifest format');
+  }
+  if (manifest.version > FORMAT_VERSION) {
+    throw new Error(`Backup format version ${manifest.version} is newer than this server supports (${FORMAT_VERSION})`);
+  }
+  const missingRequired = REQUIRED_FILES.find(name => !Object.hasOwn(manifest.files, name));
+  if (missingRequired) {
+    throw new Error(`Incomplete backup: ${missingRequired} is missing`);
+  }
+
+  const files = new Map();
+  for (const entry of entries) {
+    if (entry.isDirectory || entry === manifestEntry) continue;
+    const name = entry.entryName.startsWith(ENTRY_PREFIX) ? entry.entryName.slice(ENTRY_PREFIX.length) : null;
+    if (!name || !isAllowedPath(name) || !Object.hasOwn(manifest.files, name)) {
+      throw new Error(`Unexpected file in backup: ${entry.entryName}`);
+    }
+
+    // The declared size is checked before decompressing, so a small archive cannot expand into memory
+    if (entry.header.size !== manifest.files[name]) {
+      throw new Error(`${name} is damaged: expected ${manifest.files[name]} bytes, got ${entry.header.size}`);
+    }
+    let content;
+    try {
+      content = entry.getData();
+    } catch (error) {
+      throw new Error(`${name} is damaged: ${error.message}`);
+    }
+    if (content.length !== manifest.files[name]) {
+      throw new Error(`${name} is damaged: expected ${manifest.files[name]} bytes, got ${content.length}`);
+    }
+
+    // Data encrypted at rest must be readable here, and JSON files must parse (the database is checked below)
+    if (name !== DB_NAME) {
+      let plain = content;
+      if (encryption.isEncrypted(content)) {
+        try {
+          plain = encryption.decrypt(content);
+        } catch (error) {
+          throw new Error(`${name}: ${error.message}`);
+        }
+      }
+      if (name.endsWith('.json')) {
+        try {
+          JSON.parse(plain.toString('utf8'));
+        } catch (error) {
+          throw new Error(`${name} is not valid JSON: ${error.message}`);
+        }
+      }
+    }
+    files.set(name, content);
+  }
+
+  const missing = Object.keys(manifest.files).find(name => !files.has(name));
+  if (missing) {
+    throw new Error(`${missing} is listed in the manifest but missing from the archive`);
+  }
+
+  if (files.has(DB_NAME)) {
+    await fs.promises.mkdir(BACKUP_DIR, { recursive: true });
+    const dbCheck = `${tempName('check')}.db`;
+    try {
+      await fs.promises.writeFile(dbCheck, files.get(DB_NAME));
+      messageStore.checkDatabase(dbCheck);
+    } finally {
+      for (const suffix of ['', '-wal', '-shm']) {
+        await fs.promises.rm(`${dbCheck}${suffix}`, { force: true });
+      }
+    }
+  }
+
+  return { manifest, files };
+}
+
+/**
+ * Replace config files with an archive's files (services must be stopped)
+ * media/ and baileys_auth/ are only replaced when the backup includes them.
+ */
+async function applyArchive({ manifest, files }) {
+  // Stage next to config, so files are moved into place by rename
+  const stageDir = path.join(CONFIG_DIR, `.restore-${crypto.randomBytes(4).toString('hex')}`);
+  const replacedDirs = [
+    manifest.includes?.media && MEDIA_DIR_NAME,
+    manifest.includes?.session && SESSION_DIR_NAME
+  ].filter(Boolean);
+
+  try {
+    await fs.promises.mkdir(stageDir, { recursive: true });
+    for (const dirName of replacedDirs) {
+      await fs.promises.mkdir(path.join(stageDir, dirName), { recursive: true });
+    }
+    for (const [name, content] of files) {
+      await fs.promises.mkdir(path.dirname(path.join(stageDir, name)), { recursive: true });
+      await fs.promises.writeFile(path.join(stageDir, name), content);
+    }
+
+    // State files the backup does not have would otherwise survive the restore
+    for (const name of STATE_FILES) {
+      if (!files.has(name)) {
+        await fs.promises.rm(path.join(CONFIG_DIR, name), { force: true });
+      }
+    }
+
+    for (const [name] of files) {
+      if (!name.includes('/')) {
+        await fs.promises.rename(path.join(stageDir, name), path.join(CONFIG_DIR, name));
+      }
+    }
+    for (const dirName of replacedDirs) {
+      await fs.promises.rm(path.join(CONFIG_DIR, dirName), { recursive: true, force: true });
+      await fs.promises.rename(path.join(stageDir, dirName), path.join(CONFIG_DIR, dirName));
+    }
+  } finally {
+    await fs.promises.rm(stageDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Restore a validated archive (from readArchive) and reload all services
+ * The current state is saved as a pre-restore backup first, and restored if the services fail to load.
+ * @returns {Object|null} Report, null if a backup or restore is running
+ * @throws {Error} If the restore failed (the previous state is back in place)
+ */
+async function restore(archive) {
+  if (running) return null;
+  running = 'restore';
+  try {
+    const { manifest } = archive;
+    const preRestore = await saveBackup({
+      media: manifest.includes?.media,
+      session: manifest.includes?.session,
+      encrypt: encryption.isEnabled()
+    }, 'pre-restore');
+
+    await services.stop();
+    try {
+      await applyArchive(archive);
+      await services.reload();
+    } catch (error) {
+      logger.error('Restore failed, rolling back', { error: error.message, preRestoreBackup: preRestore.name });
+      const previous = await readArchive(await fs.promises.readFile(path.join(BACKUP_DIR, preRestore.name)));
+      await services.stop().catch(() => {});
+      await applyArchive(previous);
+      await services.reload();
+      throw new Error(`Restore failed, the previous state was restored: ${error.message}`);
+    }
+
+    const report = {
+      backupCreatedAt: manifest.createdAt,
+      appVersion: manifest.appVersion,
+      files: archive.files.size,
+      media: !!manifest.includes?.media,
+      session: !!manifest.includes?.session,
+      preRestoreBackup: preRestore.name
+    };
+    logger.info('Backup restored', report);
+    return report;
+  } finally {
+    running = null;
+    restoreWaiters.splice(0).forEach(resolve => resolve());
+  }
+}
+
+/**
+ * Check if a restore is running (requests are refused meanwhile)
+ */
+function isRestoring() {
+  return running === 'restore';
+}
+
+/**
+ * Resolves once the running restore has finished (right away if none is running)
+ */
+function waitForRestore() {
+  if (!isRestoring()) return Promise.resolve();
+  return new Promise(resolve => restoreWaiters.push(resolve));
+}
+
+/**
+ * Backups in BACKUP_DIR, newest first
+ * @returns {Array} [{ name, size, createdAt, encrypted }]
+ */
+async function listBackups() {
+  let names;
+  try {
+    names = await fs.promises.readdir(BACKUP_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const backups = [];
+  for (const name of names.filter(name => BACKUP_NAME_REGEX.test(name))) {
+    const stat = await fs.promises.stat(path.join(BACKUP_DIR, name));
+    backups.push({ name, size: stat.size, createdAt: stat.mtime.toISOString(), encrypted: name.endsWith('.enc') });
+  }
+  return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Path of a backup in BACKUP_DIR
+ * @returns {string|null} null for names that are not backups, or missing files
+ */
+async function getBackupPath(name) {
+  if (!BACKUP_NAME_REGEX.test(name || '')) return null;
+  const filePath = path.join(BACKUP_DIR, name);
+  try {
+    await fs.promises.access(filePath);
+    return filePath;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Scheduled backup
+ */
+function runScheduled() {
+  run().catch(error => logger.error('Scheduled backup failed', { error: error.message }));
+}
+
+/**
+ * Set the service hooks and start scheduled backups (if BACKUP_INTERVAL_HOURS is set)
+ * @param {Object} serviceHooks - { flush, stop, reload }
+ */
+function start(serviceHooks) {
+  if (serviceHooks) services = { ...services, ...serviceHooks };
+  if (backupTimer || !BACKUP_INTERVAL_HOURS) return;
+
+  backupTimer = setInterval(runScheduled, BACKUP_INTERVAL_HOURS * 60 * 60 * 1000);
+  logger.info('Scheduled backups enabled', { intervalHours: BACKUP_INTERVAL_HOURS, keep: BACKUP_KEEP, dir: BACKUP_DIR });
+}
+
+/**
+ * Stop scheduled backups
+ */
+function stop() {
+  if (backupTimer) {
+    clearInterval(backupTimer);
+    backupTimer = null;
+  }
+}
+
+/**
+ * Get schedule status
+ */
+function getStatus() {
+  return {
+    scheduled: !!BACKUP_INTERVAL_HOURS,
+    intervalHours: BACKUP_INTERVAL_HOURS || null,
+    keep: BACKUP_KEEP,
+    dir: BACKUP_DIR,
+    includes: SCHEDULED_OPTIONS,
+    encrypted: encryption.isEnabled(),
+    running,
+    lastBackup
+  };
+}
+
+module.exports = {
+  createBackup,
+  run,
+  readArchive,
+  restore,
+  isRestoring,
+  waitForRestore,
+  listBackups,
+  getBackupPath,
+  start,
+  stop,
+  getStatus
+};
@@ -5,7 +5,6 @@
 
 const {
   default: makeWASocket,
-  useMultiFileAuthState,
   DisconnectReason,
   fetchLatestBaileysVersion,
   makeCacheableSignalKeyStore,
@@ -15,11 +14,13 @@ const {
   downloadMediaMessage
 } = require('@whiskeysockets/baileys');
 const qrcode = require('qrcode');
-const path = require('path');
 const fs = require('fs').promises;
 const logger = require('../utils/logger');
 const mediaStore = require('./mediaStore');
+const messageStore = require('./messageStore');
 const lidStore = require('./lidStore');
+const authState = require('./authState');
+const { getProtocolAction } = require('../utils/validators');
 const pino = require('pino');
 
 // Service state
@@ -31,7 +32,7 @@ let connectionStatus = 'disconnected';
 let phoneNumber = null;
 let retryCount = 0;
 const MAX_RETRIES = 5;
-const AUTH_DIR = path.join(__dirname, '..', 'config', 'baileys_auth');
+const AUTH_DIR = authState.AUTH_DIR;
 
 // Event callbacks
 let onMessageCallback = null;
@@ -48,11 +49,8 @@ async function connect() {
     // Load persistent LID→Phone mappings
     await lidStore.load();
 
-    // Ensure auth directory exists
-    await fs.mkdir(AUTH_DIR, { recursive: true });
-
-    // Get auth state
-    const { state, saveCreds } = await useMultiFileAuthState(AUTH_DIR);
+    // Get auth state (encrypted at rest when a key is configured)
+    const { state, saveCreds } = await authState.useAuthState(AUTH_DIR);
 
     // Get latest Baileys version
     const { version } = await fetchLatestBaileysVersion();
@@ -321,6 +319,10 @@ async function handleIncomingMessage(msg) {
     if (messageContent.documentWithCaptionMessage?.message) {
       messageContent = messageContent.documentWithCaptionMessage.message;
     }
+    // Unwrap editedMessage (edits arrive as protocolMessage MESSAGE_EDIT inside it)
+    if (messageContent.editedMessage?.message) {
+      messageContent = messageContent.editedMessage.message;
+    }
     // Unwrap deviceSentMessage (outgoing messages sent from phone/other devices)
     if (messageContent.deviceSentMessage?.message) {
       logger.debug('Unwrapping deviceSentMessage', { remoteJid, fromMe, destinationJid: messageContent.deviceSentMessage.destinationJid });
@@ -478,7 +480,7 @@ async function handleIncomingMessage(msg) {
         });
         if (buffer) {
           const mimeType = mediaMsg?.mimetype || 'application/octet-stream';
-          mediaId = await mediaStore.saveMedia(msg.key.id, buffer, mimeType);
+          mediaId = await mediaStore.saveMedia(msg.key.id, buffer, mimeType, mediaMsg?.fileName || null);
           logger.info('Media downloaded and saved', { id: msg.key.id, type: msgType, size: buffer.length, mediaId });
         } else {
           logger.warn('Media download returned empty buffer', { id: msg.key.id, type: msgType, fromMe });
@@ -616,6 +618,8 @@ async function resolvePhoneFromLid(lidId, msg = null) {
  * Determine message type from content
  */
 function getMessageType(message) {
+  const protocolAction = getProtocolAction(message);
+  if (protocolAction) return protocolAction.action;
   if (message.conversation || message.extendedTextMessage) return 'text';
   if (message.imageMessage) return 'image';
   if (message.videoMessage) return 'video';
@@ -628,6 +632,17 @@ function getMessageType(message) {
   return 'unknown';
 }
 
+/**
+ * Index a message we sent for reply detection - the message is already sent, so a store failure is only logged
+ */
+function recordSent(messageId) {
+  try {
+    messageStore.recordSent(messageId);
+  } catch (error) {
+    logger.error('Failed to record sent message', { messageId, error: error.message });
+  }
+}
+
 /**
  * Send a text message
  */
@@ -641,6 +656,7 @@ async function sendMessage(to, text) {
 
   try {
     const result = await socket.sendMessage(jid, { text });
+    recordSent(result.key.id);
     logger.info('Message sent', { to: jid, messageId: result.key.id });
     return result;
   } catch (error) {
@@ -664,6 +680,7 @@ async function sendMedia(to, media, caption = '') {
       [media.type]: { url: media.url },
       caption
     });
+    recordSent(result.key.id);
     logger.info('Media sent', { to: jid, type: media.type, messageId: result.key.id });
     return result;
   } catch (error) {
@@ -690,6 +707,24 @@ async function disconnect() {
   phoneNumber = null;
 }
 
+/**
+ * Close the connection without logging out - the session stays valid (used while a restore replaces its files)
+ */
+async function close() {
+  if (socket) {
+    const current = socket;
+    socket = null;
+    // Drop the handlers first, so closing neither reconnects nor writes creds
+    current.ev.removeAllListeners('connection.update');
+    current.ev.removeAllListeners('creds.update');
+    current.end(undefined);
+  }
+  connectionStatus = 'disconnected';
+  qrCodeData = null;
+  qrCodeBase64 = null;
+  phoneNumber = null;
+}
+
 /**
  * Clear auth state (for logout)
  */
@@ -783,6 +818,7 @@ async function requestPairingCode(phone) {
 module.exports = {
   connect,
   disconnect,
+  close,
   sendMessage,
   sendMedia,
   getStatus,
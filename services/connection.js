@@ -2,6 +2,7 @@
  * Connection state management service
  */
 
+const eventBus = require('./eventBus');
 const logger = require('../utils/logger');
 
 const HISTORY_LIMIT = 20;
@@ -109,6 +110,10 @@ function updateStatus(state, payload = {}) {
     };
   }
 
+  if (newStatus !== previousStatus || payload.phoneNumber) {
+    eventBus.publish('connection', getState());
+  }
+
   return {
     previousStatus,
     newStatus,
@@ -129,6 +134,7 @@ function setQRCode(qrCode) {
   };
 
   logger.info('QR code updated');
+  eventBus.publish('qr', getQRCode());
 }
 
 /**
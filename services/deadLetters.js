@@ -0,0 +1,216 @@
+/**
+ * Dead-letter store for webhook deliveries that exhausted their retries
+ * Keeps the original payload, target, headers and every attempt so deliveries can be inspected and replayed.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const encryption = require('./encryption');
+const logger = require('../utils/logger');
+
+const DEAD_LETTERS_FILE = path.join(__dirname, '..', 'config', 'dead-letters.json');
+const MAX_DEAD_LETTERS = parseInt(process.env.DEAD_LETTERS_MAX) || 1000;
+
+// Dead letters, newest first
+// { id, url, payload, headers, metadata, attempts, reason, createdAt, failedAt }
+let deadLetters = [];
+
+// Serialized writes - at most one in flight, one pending
+let persistChain = Promise.resolve();
+let persistPending = false;
+
+/**
+ * Load dead letters from file
+ */
+async function load() {
+  try {
+    const data = await encryption.readFile(DEAD_LETTERS_FILE, 'utf8');
+    deadLetters = JSON.parse(data);
+    logger.info('Dead letters loaded', { count: deadLetters.length });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Failed to load dead letters', { error: error.message });
+    }
+    deadLetters = [];
+  }
+}
+
+/**
+ * Encrypt the dead letters file, or re-encrypt it after a key rotation
+ */
+async function migrateEncryption() {
+  try {
+    const migrated = await encryption.migrateFile(DEAD_LETTERS_FILE);
+    encryption.recordMigration('deadLetters', { migrated: migrated ? 1 : 0, total: 1 });
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+/**
+ * Persist dead letters to file (atomic write via rename)
+ */
+function persist() {
+  if (persistPending) return persistChain;
+  persistPending = true;
+
+  persistChain = persistChain.then(async () => {
+    persistPending = false;
+    try {
+      await fs.mkdir(path.dirname(DEAD_LETTERS_FILE), { recursive: true });
+      const tmpFile = `${DEAD_LETTERS_FILE}.tmp`;
+      await fs.writeFile(tmpFile, encryption.encrypt(JSON.stringify(deadLetters)));
+      await fs.rename(tmpFile, DEAD_LETTERS_FILE);
+    } catch (error) {
+      logger.error('Failed to persist dead letters', { error: error.message });
+    }
+  });
+
+  return persistChain;
+}
+
+/**
+ * Wait for pending writes (used on shutdown)
+ */
+async function flush() {
+  await persistChain;
+}
+
+/**
+ * Add a failed delivery
+ * @param {Object} delivery - { url, payload, headers, metadata, attempts: [{ at, status, error }], reason, createdAt }
+ */
+function add(delivery) {
+  const now = Date.now();
+  const letter = {
+    id: `dl_${now}_${Math.random().toString(36).substr(2, 9)}`,
+    url: delivery.url,
+    payload: delivery.payload,
+    headers: delivery.headers || {},
+    metadata: delivery.metadata || {},
+    attempts: delivery.attempts || [],
+    reason: delivery.reason || 'retries_exhausted',
+    createdAt: delivery.createdAt || new Date(now).toISOString(),
+    failedAt: new Date(now).toISOString()
+  };
+
+  deadLetters.unshift(letter);
+
+  // Trim to limit
+  if (deadLetters.length > MAX_DEAD_LETTERS) {
+    deadLetters = deadLetters.slice(0, MAX_DEAD_LETTERS);
+  }
+
+  logger.warn('Delivery moved to dead letters', {
+    deadLetterId: letter.id,
+    url: letter.url,
+    sourceId: letter.metadata.sourceId,
+    event: letter.metadata.event,
+    reason: letter.reason,
+    attempts: letter.attempts.length
+  });
+
+  persist();
+  return letter;
+}
+
+/**
+ * Check if a dead letter matches a filter
+ * @param {Object} filter - { from, to, entityType, event } - from/to compare against failedAt
+ */
+function matches(letter, filter = {}) {
+  const { from, to, entityType, event } = filter;
+  const failedAt = new Date(letter.failedAt).getTime();
+
+  if (from && failedAt < new Date(from).getTime()) return false;
+  if (to && failedAt > new Date(to).getTime()) return false;
+  if (entityType && letter.metadata.entityType !== entityType) return false;
+  if (event && letter.metadata.event !== event) return false;
+
+  return true;
+}
+
+/**
+ * List dead letters with optional filtering
+ */
+function list(options = {}) {
+  const { limit = 50, offset = 0, ...filter } = options;
+
+  const filtered = deadLetters.filter(letter => matches(letter, filter));
+  const letters = filtered.slice(offset, offset + limit);
+
+  return {
+    deadLetters: letters,
+    total: filtered.length,
+    hasMore: offset + letters.length < filtered.length
+  };
+}
+
+/**
+ * Get a dead letter by ID
+ */
+function get(id) {
+  return deadLetters.find(letter => letter.id === id) || null;
+}
+
+/**
+ * Find all dead letters matching a filter (oldest first, for replay in order)
+ */
+function find(filter = {}) {
+  return deadLetters.filter(letter => matches(letter, filter)).reverse();
+}
+
+/**
+ * Remove dead letters by ID
+ * @returns {number} Number removed
+ */
+function remove(ids) {
+  const idSet = new Set(Array.isArray(ids) ? ids : [ids]);
+  const before = deadLetters.length;
+
+  deadLetters = deadLetters.filter(letter => !idSet.has(letter.id));
+
+  const removed = before - deadLetters.length;
+  if (removed > 0) persist();
+  return removed;
+}
+
+/**
+ * Purge dead letters matching a filter (all when no filter is given)
+ * @returns {number} Number purged
+ */
+function purge(filter = {}) {
+  return remove(deadLetters.filter(letter => matches(letter, filter)).map(letter => letter.id));
+}
+
+/**
+ * Get dead letter stats
+ */
+function getStats() {
+  const byEntityType = {};
+  for (const letter of deadLetters) {
+    const type = letter.metadata.entityType || 'default';
+    byEntityType[type] = (byEntityType[type] || 0) + 1;
+  }
+
+  return {
+    count: deadLetters.length,
+    maxSize: MAX_DEAD_LETTERS,
+    oldest: deadLetters[deadLetters.length - 1]?.failedAt || null,
+    newest: deadLetters[0]?.failedAt || null,
+    byEntityType
+  };
+}
+
+module.exports = {
+  load,
+  migrateEncryption,
+  flush,
+  add,
+  list,
+  get,
+  find,
+  remove,
+  purge,
+  getStats
+};
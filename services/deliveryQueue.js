@@ -0,0 +1,436 @@
+/**
+ * Durable webhook delivery queue
+ * Deliveries are persisted to disk before any HTTP call, retried with exponential backoff
+ * until DELIVERY_MAX_AGE_HOURS, and drained in order per webhook target.
+ * A message fanned out to several targets gets one entry per target; the first (primary)
+ * target decides the message's counters and recent-event action.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const webhookService = require('./webhook');
+const statsService = require('./stats');
+const alertService = require('./alerts');
+const deadLetters = require('./deadLetters');
+const encryption = require('./encryption');
+const logger = require('../utils/logger');
+
+const QUEUE_FILE = path.join(__dirname, '..', 'config', 'delivery-queue.json');
+const MAX_AGE = (parseFloat(process.env.DELIVERY_MAX_AGE_HOURS) || 24) * 60 * 60 * 1000;
+const MAX_QUEUE_SIZE = parseInt(process.env.DELIVERY_QUEUE_MAX) || 10000;
+const MAX_BACKOFF = (parseInt(process.env.DELIVERY_MAX_BACKOFF_SECONDS) || 300) * 1000;
+const POLL_INTERVAL = 1000; // 1 second
+const ALERT_AFTER_FAILURES = 3;
+
+// Pending deliveries in arrival order
+// { id, target: { id, url, timeout, headers, mediaUrlExpiry }, url, payload, metadata, createdAt, nextAttemptAt, attempts: [{ at, status, error }] }
+// metadata.mediaId: media to link in the payload - the signed URL is created on each attempt, never stored
+let queue = [];
+let pollTimer = null;
+let running = false;
+let activeDrain = null;
+let drainRequested = false;
+
+// Serialized writes - at most one in flight, one pending
+let persistChain = Promise.resolve();
+let persistPending = false;
+
+/**
+ * Load queue from file
+ */
+async function load() {
+  try {
+    const data = await encryption.readFile(QUEUE_FILE, 'utf8');
+    queue = JSON.parse(data);
+    logger.info('Delivery queue loaded', { pending: queue.length });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Failed to load delivery queue', { error: error.message });
+    }
+    queue = [];
+  }
+}
+
+/**
+ * Encrypt the queue file, or re-encrypt it after a key rotation
+ */
+async function migrateEncryption() {
+  try {
+    const migrated = await encryption.migrateFile(QUEUE_FILE);
+    encryption.recordMigration('deliveryQueue', { migrated: migrated ? 1 : 0, total: 1 });
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+/**
+ * Persist queue to file (atomic write via rename)
+ */
+function persist() {
+  if (persistPending) return persistChain;
+  persistPending = true;
+
+  persistChain = persistChain.then(async () => {
+    persistPending = false;
+    try {
+      await fs.mkdir(path.dirname(QUEUE_FILE), { recursive: true });
+      const tmpFile = `${QUEUE_FILE}.tmp`;
+      await fs.writeFile(tmpFile, encryption.encrypt(JSON.stringify(queue)));
+      await fs.rename(tmpFile, QUEUE_FILE);
+    } catch (error) {
+      logger.error('Failed to persist delivery queue', { error: error.message });
+    }
+  });
+
+  return persistChain;
+}
+
+/**
+ * Wait for pending writes (used on shutdown)
+ */
+async function flush() {
+  await persistChain;
+}
+
+/**
+ * Start the delivery worker
+ */
+function start() {
+  if (pollTimer) return;
+  running = true;
+
+  pollTimer = setInterval(() => {
+    drain().catch(err => logger.error('Delivery queue drain failed', { error: err.message }));
+  }, POLL_INTERVAL);
+
+  drain().catch(err => logger.error('Delivery queue drain failed', { error: err.message }));
+}
+
+/**
+ * Stop the delivery worker
+ * Resolves once the attempts in flight are done, so nothing writes the queue file afterwards.
+ */
+async function stop() {
+  running = false;
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+  if (activeDrain) await activeDrain.catch(() => {});
+}
+
+/**
+ * Add a delivery to the queue
+ * Resolves once the entry is on disk - the HTTP call happens in the background.
+ * @param {Object} payload - Payload to POST
+ * @param {Object} metadata - { sourceId, sourceType, entityType, event, eventId, primary, mediaId }
+ * @param {Object} target - Webhook target { id, url, timeout, headers, mediaUrlExpiry }
+ */
+async function enqueue(payload, metadata, target) {
+  const now = Date.now();
+  const entry = {
+    id: `dlv_${now}_${Math.random().toString(36).substr(2, 9)}`,
+    target: {
+      id: target.id, url: target.url, timeout: target.timeout, headers: target.headers, mediaUrlExpiry: target.mediaUrlExpiry
+    },
+    url: target.url,
+    payload,
+    metadata,
+    createdAt: new Date(now).toISOString(),
+    nextAttemptAt: now,
+    attempts: []
+  };
+
+  queue.push(entry);
+
+  // Keep the queue bounded - the oldest entry gives way
+  if (queue.length > MAX_QUEUE_SIZE) {
+    const [oldest] = queue.splice(0, 1);
+    giveUp(oldest, 'queue_full');
+  }
+
+  await persist();
+  setImmediate(() => {
+    drain().catch(err => logger.error('Delivery queue drain failed', { error: err.message }));
+  });
+
+  return entry;
+}
+
+/**
+ * Put a dead letter back on the queue
+ * Retries start from scratch; if it fails again it returns to the dead letters as a new entry.
+ */
+async function requeue(letter) {
+  const metadata = { ...letter.metadata, replayOf: letter.id };
+
+  // Prefer the target's current settings; fall back to the URL, headers and link expiry it originally failed with
+  // (contact/group override targets are not registered with the webhook service)
+  const found = metadata.targetId ? webhookService.findTarget(metadata.targetId) : null;
+  const target = found?.target || {
+    id: metadata.targetId || letter.url, url: letter.url, headers: letter.headers, mediaUrlExpiry: metadata.mediaUrlExpiry ?? null
+  };
+
+  const entry = await enqueue(letter.payload, metadata, target);
+  recordOutcome(entry, 'queued', { error: null });
+
+  return entry;
+}
+
+/**
+ * Get an entry's target (entries queued before fan-out only have a URL)
+ */
+function getTarget(entry) {
+  return entry.target || { id: entry.url, url: entry.url };
+}
+
+/**
+ * Record a delivery outcome on the message's recent event
+ * Every target is tracked under `deliveries`; the primary target also sets the event's action.
+ */
+function recordOutcome(entry, outcome, changes = {}) {
+  const { eventId, primary = true } = entry.metadata;
+  if (!eventId) return;
+
+  const event = statsService.getEvent(eventId);
+  if (!event) return;
+
+  const deliveries = { ...(event.deliveries || {}), [getTarget(entry).id]: outcome };
+  statsService.updateEvent(eventId, primary ? { ...changes, action: outcome, deliveries } : { deliveries });
+}
+
+/**
+ * Deliver everything that is due, in order per target
+ * A target's lane stops at its first entry that is not due or fails, so order is kept.
+ */
+async function drain() {
+  if (!running) return;
+  if (activeDrain) {
+    drainRequested = true;
+    return;
+  }
+
+  activeDrain = (async () => {
+    do {
+      drainRequested = false;
+
+      const lanes = new Map();
+      for (const entry of queue) {
+        const targetId = getTarget(entry).id;
+        if (!lanes.has(targetId)) lanes.set(targetId, []);
+        lanes.get(targetId).push(entry);
+      }
+
+      await Promise.all([...lanes.values()].map(drainLane));
+    } while (drainRequested && running);
+  })();
+
+  try {
+    await activeDrain;
+  } finally {
+    activeDrain = null;
+  }
+}
+
+/**
+ * Deliver a single target's entries in order (stops early when the worker is stopped)
+ */
+async function drainLane(entries) {
+  for (const entry of entries) {
+    if (!running || entry.nextAttemptAt > Date.now()) return;
+    const delivered = await attempt(entry);
+    if (!delivered) return;
+  }
+}
+
+/**
+ * Try one delivery
+ * @returns {boolean} true if delivered (or given up), false if it should be retried later
+ */
+async function attempt(entry) {
+  const { metadata } = entry;
+  const target = getTarget(entry);
+  const attemptNumber = entry.attempts.length + 1;
+  const baseTimeout = target.timeout || 5000;
+  const timeout = attemptNumber === 1 ? baseTimeout : Math.max(baseTimeout, 10000);
+
+  try {
+    const payload = metadata.mediaId
+      ? webhookService.signTargetPayload(entry.payload, metadata.mediaId, target.mediaUrlExpiry)
+      : entry.payload;
+    await webhookService.deliver({ headers: {}, ...target }, payload, metadata, timeout);
+    remove(entry);
+
+    if (metadata.primary !== false) {
+      statsService.increment(metadata.event, 'forwarded');
+    }
+    recordOutcome(entry, 'forwarded', { deliveryAttempts: attemptNumber });
+
+    if (attemptNumber > 1) {
+      logger.info('Queued delivery succeeded after retry', {
+        deliveryId: entry.id, targetId: target.id, sourceId: metadata.sourceId, event: metadata.event, attempt: attemptNumber
+      });
+    } else {
+      logger.debug('Queued delivery succeeded', { deliveryId: entry.id, targetId: target.id, sourceId: metadata.sourceId });
+    }
+
+    await persist();
+    return true;
+  } catch (error) {
+    entry.attempts.push({
+      at: new Date().toISOString(),
+      status: error.response?.status || null,
+      error: error.message
+    });
+
+    const age = Date.now() - new Date(entry.createdAt).getTime();
+    if (!webhookService.isRetryable(error) || age >= MAX_AGE) {
+      remove(entry);
+      giveUp(entry, webhookService.isRetryable(error) ? 'max_age_exceeded' : 'not_retryable');
+      await persist();
+      return true;
+    }
+
+    const delay = Math.min(Math.pow(2, entry.attempts.length - 1) * 1000, MAX_BACKOFF);
+    entry.nextAttemptAt = Date.now() + delay;
+
+    logger.warn('Queued delivery failed, will retry', {
+      deliveryId: entry.id, targetId: target.id, sourceId: metadata.sourceId, event: metadata.event,
+      attempt: attemptNumber, retryDelay: delay, error: error.message
+    });
+
+    await persist();
+    await alertOnFailures(entry, error);
+    return false;
+  }
+}
+
+/**
+ * Remove an entry from the queue
+ */
+function remove(entry) {
+  const index = queue.indexOf(entry);
+  if (index !== -1) {
+    queue.splice(index, 1);
+  }
+}
+
+/**
+ * Record a delivery that will not be retried any more
+ */
+function giveUp(entry, reason) {
+  const { metadata } = entry;
+  const lastAttempt = entry.attempts[entry.attempts.length - 1];
+
+  if (metadata.primary !== false) {
+    statsService.increment(metadata.event, 'failed');
+  }
+  recordOutcome(entry, 'failed', {
+    error: lastAttempt?.error || reason,
+    deliveryAttempts: entry.attempts.length
+  });
+
+  logger.error('Delivery abandoned', {
+    deliveryId: entry.id,
+    sourceId: metadata.sourceId,
+    event: metadata.event,
+    reason,
+    attempts: entry.attempts.length,
+    error: lastAttempt?.error
+  });
+
+  const target = getTarget(entry);
+  deadLetters.add({
+    url: target.url,
+    payload: entry.payload,
+    headers: { ...webhookService.buildHeaders(metadata), ...target.headers },
+    metadata: { ...metadata, targetId: target.id, mediaUrlExpiry: target.mediaUrlExpiry ?? null },
+    attempts: entry.attempts,
+    reason,
+    createdAt: entry.createdAt
+  });
+}
+
+/**
+ * Alert once per outage, when a target's failures reach the threshold
+ */
+async function alertOnFailures(entry, error) {
+  const target = getTarget(entry);
+  const failures = webhookService.getConsecutiveFailures(target.id);
+  if (failures !== ALERT_AFTER_FAILURES) return;
+
+  await alertService.send({
+    level: alertService.ALERT_LEVELS.WARNING,
+    event: 'webhook_failed',
+    title: 'Webhook Forwarding Failed',
+    message: `Failed ${failures} delivery attempts in a row to ${target.id}. Messages are queued and will be retried.`,
+    details: {
+      lastError: error.message,
+      targetId: target.id,
+      webhookUrl: target.url,
+      queued: queue.length
+    }
+  });
+}
+
+/**
+ * Get queue stats, grouped by target
+ */
+function getStats() {
+  const targets = {};
+  for (const entry of queue) {
+    const { id, url } = getTarget(entry);
+    if (!targets[id]) {
+      targets[id] = { url, pending: 0, oldest: entry.createdAt, nextAttemptAt: null, lastError: null };
+    }
+    const target = targets[id];
+    target.pending++;
+    if (entry.attempts.length > 0 && !target.lastError) {
+      target.nextAttemptAt = new Date(entry.nextAttemptAt).toISOString();
+      target.lastError = entry.attempts[entry.attempts.length - 1];
+    }
+  }
+
+  return {
+    pending: queue.length,
+    oldest: queue[0]?.createdAt || null,
+    maxAgeHours: MAX_AGE / 60 / 60 / 1000,
+    maxSize: MAX_QUEUE_SIZE,
+    targets
+  };
+}
+
+/**
+ * List pending deliveries (without payloads)
+ */
+function getPending(options = {}) {
+  const { limit = 50, offset = 0 } = options;
+  const entries = queue.slice(offset, offset + limit).map(entry => ({
+    id: entry.id,
+    targetId: getTarget(entry).id,
+    url: entry.url,
+    metadata: entry.metadata,
+    createdAt: entry.createdAt,
+    nextAttemptAt: new Date(entry.nextAttemptAt).toISOString(),
+    attempts: entry.attempts
+  }));
+
+  return {
+    deliveries: entries,
+    total: queue.length,
+    hasMore: offset + entries.length < queue.length
+  };
+}
+
+module.exports = {
+  load,
+  migrateEncryption,
+  flush,
+  start,
+  stop,
+  enqueue,
+  requeue,
+  drain,
+  getStats,
+  getPending
+};
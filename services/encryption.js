@@ -0,0 +1,261 @@
+/**
+ * Encryption at rest (optional)
+ * A master key (ENCRYPTION_KEY, or a file at ENCRYPTION_KEY_FILE) enables AES-256-GCM for stored files
+ * and an encrypted SQLite database (ChaCha20-Poly1305). Files record the ID of the key that encrypted them:
+ * data under ENCRYPTION_PREVIOUS_KEYS stays readable and is re-encrypted with the current key on start,
+ * and plaintext files are encrypted the same way. Previous keys without a current key decrypt everything.
+ *
+ * File format: "WFE1" | key ID (8 bytes) | IV (12) | auth tag (16) | ciphertext
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const MAGIC = Buffer.from('WFE1');
+const KEY_ID_LENGTH = 8;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = MAGIC.length + KEY_ID_LENGTH + IV_LENGTH + TAG_LENGTH;
+const HEX_KEY_REGEX = /^[0-9a-f]{64}$/i;
+
+// Master keys: { id (hex), fileKey, databaseKey (hex) } - current first
+let currentKey = null;
+let previousKeys = [];
+let keySource = null;
+
+// Migration results reported by the stores: { store: { migrated, total, pending } }
+const migrations = {};
+
+/**
+ * Parse a master key - 32 bytes as hex (64 chars) or base64
+ * @throws {Error} For anything else
+ */
+function parseKey(value, name) {
+  const text = value.trim();
+  const key = HEX_KEY_REGEX.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`${name} must be 32 bytes as hex or base64 (generate one with: openssl rand -hex 32)`);
+  }
+
+  // Separate keys per use, and an ID that does not reveal the key
+  const derive = info => Buffer.from(crypto.hkdfSync('sha256', key, Buffer.alloc(0), info, 32));
+  return {
+    id: derive('wf-key-id').subarray(0, KEY_ID_LENGTH).toString('hex'),
+    fileKey: derive('wf-files-v1'),
+    databaseKey: derive('wf-sqlite-v1').toString('hex')
+  };
+}
+
+/**
+ * Load keys from the environment - called before any store is opened
+ * @throws {Error} If a key is malformed or the key file cannot be read
+ */
+function init() {
+  let value = process.env.ENCRYPTION_KEY || null;
+  keySource = value ? 'env' : null;
+  if (!value && process.env.ENCRYPTION_KEY_FILE) {
+    value = fs.readFileSync(process.env.ENCRYPTION_KEY_FILE, 'utf8');
+    keySource = 'file';
+  }
+
+  currentKey = value ? parseKey(value, 'ENCRYPTION_KEY') : null;
+  previousKeys = (process.env.ENCRYPTION_PREVIOUS_KEYS || '')
+    .split(',')
+    .filter(key => key.trim())
+    .map(key => parseKey(key, 'ENCRYPTION_PREVIOUS_KEYS'))
+    .filter(key => key.id !== currentKey?.id);
+
+  if (currentKey || previousKeys.length > 0) {
+    logger.info('Encryption at rest configured', {
+      enabled: !!currentKey,
+      keyId: currentKey?.id || null,
+      source: keySource,
+      previousKeys: previousKeys.length
+    });
+  }
+}
+
+/**
+ * Check if new data is encrypted
+ */
+function isEnabled() {
+  return !!currentKey;
+}
+
+/**
+ * Check if any key is configured (stored data may need migrating)
+ */
+function hasKeys() {
+  return !!currentKey || previousKeys.length > 0;
+}
+
+/**
+ * Check if a buffer is in the encrypted format
+ */
+function isEncrypted(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length >= HEADER_LENGTH && buffer.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+/**
+ * Encrypt with the current key (data is returned as is when encryption is off)
+ * @param {Buffer|string} data
+ * @returns {Buffer}
+ */
+function encrypt(data) {
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+  if (!currentKey) return buffer;
+
+  const header = Buffer.concat([MAGIC, Buffer.from(currentKey.id, 'hex')]);
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', currentKey.fileKey, iv);
+  cipher.setAAD(header);
+  const ciphertext = Buffer.concat([cipher.update(buffer), cipher.final()]);
+  return Buffer.concat([header, iv, cipher.getAuthTag(), ciphertext]);
+}
+
+/**
+ * Decrypt with whichever configured key encrypted the data (plaintext is returned as is)
+ * @throws {Error} If the key is not configured or the data was modified
+ */
+function decrypt(buffer) {
+  if (!isEncrypted(buffer)) return buffer;
+
+  const keyId = buffer.subarray(MAGIC.length, MAGIC.length + KEY_ID_LENGTH).toString('hex');
+  const key = [currentKey, ...previousKeys].find(candidate => candidate?.id === keyId);
+  if (!key) {
+    throw new Error(`Data is encrypted with key ${keyId}, which is not configured (ENCRYPTION_KEY / ENCRYPTION_PREVIOUS_KEYS)`);
+  }
+
+  let offset = MAGIC.length + KEY_ID_LENGTH;
+  const iv = buffer.subarray(offset, offset += IV_LENGTH);
+  const tag = buffer.subarray(offset, offset += TAG_LENGTH);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key.fileKey, iv);
+  decipher.setAAD(buffer.subarray(0, MAGIC.length + KEY_ID_LENGTH));
+  decipher.setAuthTag(tag);
+  try {
+    return Buffer.concat([decipher.update(buffer.subarray(offset)), decipher.final()]);
+  } catch (error) {
+    throw new Error('Decryption failed - the data was modified or is corrupt');
+  }
+}
+
+/**
+ * Check if stored data is not in the current state (plaintext, an old key, or encrypted with encryption off)
+ */
+function needsRewrite(buffer) {
+  if (!isEncrypted(buffer)) return !!currentKey;
+  const keyId = buffer.subarray(MAGIC.length, MAGIC.length + KEY_ID_LENGTH).toString('hex');
+  return keyId !== currentKey?.id;
+}
+
+/**
+ * Read a file, decrypting it if needed
+ * @param {string} encoding - Return a string in this encoding instead of a buffer
+ */
+async function readFile(filePath, encoding = null) {
+  const buffer = decrypt(await fs.promises.readFile(filePath));
+  return encoding ? buffer.toString(encoding) : buffer;
+}
+
+/**
+ * Write a file, encrypted when encryption is on
+ * Written through a temporary file - a half-written encrypted file could not be read back at all.
+ */
+async function writeFile(filePath, data) {
+  await replaceFile(filePath, encrypt(data));
+}
+
+/**
+ * Replace a file through a temporary file, so a crash never leaves it half-written
+ */
+async function replaceFile(filePath, buffer) {
+  const tempPath = `${filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.promises.writeFile(tempPath, buffer);
+  await fs.promises.rename(tempPath, filePath);
+}
+
+/**
+ * Re-encrypt a file in place if it is not in the current state
+ * @returns {boolean} true if the file was rewritten
+ */
+async function migrateFile(filePath) {
+  const buffer = await fs.promises.readFile(filePath);
+  if (!needsRewrite(buffer)) return false;
+  await replaceFile(filePath, encrypt(decrypt(buffer)));
+  return true;
+}
+
+/**
+ * Re-encrypt every file in a directory (not recursive)
+ * @returns {Object} { migrated, total }
+ */
+async function migrateDirectory(dir) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return { migrated: 0, total: 0 };
+    throw error;
+  }
+
+  let migrated = 0;
+  const files = entries.filter(entry => entry.isFile());
+  for (const entry of files) {
+    if (await migrateFile(path.join(dir, entry.name))) migrated++;
+  }
+  return { migrated, total: files.length };
+}
+
+/**
+ * SQLite keys (hex) - the database is opened with the current key, or one of the previous keys and rekeyed
+ * @returns {Object} { current, previous: [] }
+ */
+function getDatabaseKeys() {
+  return {
+    current: currentKey?.databaseKey || null,
+    previous: previousKeys.map(key => key.databaseKey)
+  };
+}
+
+/**
+ * Record a store's migration result (shown by getStatus)
+ */
+function recordMigration(store, result) {
+  if (!hasKeys()) return;
+  migrations[store] = { ...result, at: new Date().toISOString() };
+  if (result.migrated > 0) {
+    logger.info('Encrypted data migrated', { store, ...result, keyId: currentKey?.id || 'plaintext' });
+  }
+}
+
+/**
+ * Encryption status for the API (no key material)
+ */
+function getStatus() {
+  return {
+    enabled: !!currentKey,
+    keyId: currentKey?.id || null,
+    source: keySource,
+    previousKeys: previousKeys.map(key => key.id),
+    migrations
+  };
+}
+
+module.exports = {
+  init,
+  isEnabled,
+  hasKeys,
+  isEncrypted,
+  encrypt,
+  decrypt,
+  needsRewrite,
+  readFile,
+  writeFile,
+  migrateFile,
+  migrateDirectory,
+  getDatabaseKeys,
+  recordMigration,
+  getStatus
+};
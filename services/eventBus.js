@@ -0,0 +1,44 @@
+/**
+ * In-process event bus for live updates (SSE stream)
+ * Topics: event (new recent event), event_update (delivery outcome), connection, qr
+ */
+
+const logger = require('../utils/logger');
+
+// Subscribers: listener({ topic, data })
+const listeners = new Set();
+
+/**
+ * Publish to all subscribers - a failing subscriber never affects the publisher
+ */
+function publish(topic, data) {
+  for (const listener of listeners) {
+    try {
+      listener({ topic, data });
+    } catch (error) {
+      logger.error('Event bus subscriber failed', { topic, error: error.message });
+    }
+  }
+}
+
+/**
+ * Subscribe to all topics
+ * @returns {Function} Unsubscribe
+ */
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Get number of active subscribers
+ */
+function getSubscriberCount() {
+  return listeners.size;
+}
+
+module.exports = {
+  publish,
+  subscribe,
+  getSubscriberCount
+};
@@ -0,0 +1,217 @@
+/**
+ * Inbound authentication for the /filter ingest endpoints
+ * Modes: apikey (Evolution API `apikey` header), bearer (shared token) or hmac (signed body).
+ * Credentials are per Evolution instance, with a 'default' credential for instances without their own.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const AUTH_MODES = ['off', 'apikey', 'bearer', 'hmac'];
+const ENFORCEMENT_MODES = ['reject', 'audit'];
+
+const DEFAULT_CREDENTIAL = 'default';
+const HMAC_TOLERANCE_SECONDS = parseInt(process.env.INBOUND_HMAC_TOLERANCE_SECONDS) || 300;
+const MIN_SECRET_LENGTH = 16;
+
+// Saved settings - unset values fall back to environment variables
+// { mode, enforcement, credentials: { instance: { secret, updatedAt } } }
+let settings = {};
+
+/**
+ * Set inbound auth settings (from config)
+ */
+function setSettings(config) {
+  settings = config && typeof config === 'object' ? config : {};
+  if (!settings.credentials) settings.credentials = {};
+
+  logger.info('Inbound auth configured', {
+    mode: getMode(),
+    enforcement: getEnforcement(),
+    instances: Object.keys(settings.credentials)
+  });
+}
+
+/**
+ * Get inbound auth settings (for saving config)
+ */
+function getSettings() {
+  return settings;
+}
+
+/**
+ * Get active mode (config, then INBOUND_AUTH_MODE, then off)
+ */
+function getMode() {
+  return settings.mode || process.env.INBOUND_AUTH_MODE || 'off';
+}
+
+/**
+ * Get enforcement (config, then INBOUND_AUTH_ENFORCEMENT, then reject)
+ */
+function getEnforcement() {
+  return settings.enforcement || process.env.INBOUND_AUTH_ENFORCEMENT || 'reject';
+}
+
+/**
+ * Update mode/enforcement
+ */
+function configure({ mode, enforcement }) {
+  if (mode !== undefined) settings.mode = mode;
+  if (enforcement !== undefined) settings.enforcement = enforcement;
+  logger.info('Inbound auth updated', { mode: getMode(), enforcement: getEnforcement() });
+}
+
+/**
+ * Get the secret for an instance
+ * Instances with their own credential only accept that one; others use 'default', then INBOUND_AUTH_SECRET.
+ */
+function getSecret(instance) {
+  if (instance && settings.credentials[instance]) {
+    return settings.credentials[instance].secret;
+  }
+  return settings.credentials[DEFAULT_CREDENTIAL]?.secret || process.env.INBOUND_AUTH_SECRET || null;
+}
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Verify an HMAC-signed request (same scheme as outgoing webhooks)
+ * X-Filter-Signature: sha256=HMAC(secret, `${X-Filter-Timestamp}.${rawBody}`)
+ */
+function verifyHmac(req, secret) {
+  const timestamp = req.headers['x-filter-timestamp'];
+  const signatureHeader = req.headers['x-filter-signature'];
+
+  if (!timestamp || !signatureHeader) {
+    return 'missing_signature';
+  }
+
+  const age = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp));
+  if (isNaN(age) || age > HMAC_TOLERANCE_SECONDS) {
+    return 'stale_timestamp';
+  }
+
+  const body = req.rawBody ? req.rawBody.toString('utf8') : '';
+  const expected = 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+  return signatureHeader.split(',').some(sig => safeEqual(sig.trim(), expected)) ? null : 'invalid_signature';
+}
+
+/**
+ * Authenticate an ingest request
+ * @returns {Object} { ok, mode, instance, reason }
+ */
+function verify(req) {
+  const mode = getMode();
+  const instance = req.body?.instance || req.headers['x-instance'] || null;
+
+  if (mode === 'off') {
+    return { ok: true, mode, instance, reason: null };
+  }
+
+  const secret = getSecret(instance);
+  if (!secret) {
+    return { ok: false, mode, instance, reason: 'no_credentials' };
+  }
+
+  let reason = null;
+
+  if (mode === 'apikey') {
+    // Evolution API sends the instance API key as a header (and in the body on v2)
+    const apiKey = req.headers.apikey || req.body?.apikey;
+    if (!apiKey) reason = 'missing_apikey';
+    else if (!safeEqual(apiKey, secret)) reason = 'invalid_apikey';
+  } else if (mode === 'bearer') {
+    const auth = req.headers.authorization || '';
+    if (!auth.startsWith('Bearer ')) reason = 'missing_token';
+    else if (!safeEqual(auth.slice(7), secret)) reason = 'invalid_token';
+  } else if (mode === 'hmac') {
+    reason = verifyHmac(req, secret);
+  }
+
+  return { ok: !reason, mode, instance, reason };
+}
+
+/**
+ * Generate a random secret
+ */
+function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Validate a secret supplied through the API
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSecret(secret) {
+  if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH) {
+    return `Secret must be a string of at least ${MIN_SECRET_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Set credential for an instance ('default' = any instance without its own)
+ */
+function setCredential(instance, secret) {
+  settings.credentials[instance] = { secret, updatedAt: new Date().toISOString() };
+  logger.info('Inbound credential set', { instance });
+}
+
+/**
+ * Remove an instance credential
+ * @returns {boolean} false if the instance had none
+ */
+function removeCredential(instance) {
+  if (!settings.credentials[instance]) return false;
+  delete settings.credentials[instance];
+  logger.info('Inbound credential removed', { instance });
+  return true;
+}
+
+/**
+ * Get settings with masked secrets (for the API)
+ */
+function getMasked() {
+  const credentials = {};
+  for (const [instance, entry] of Object.entries(settings.credentials || {})) {
+    credentials[instance] = {
+      secret: `${entry.secret.slice(0, 4)}...${entry.secret.slice(-4)}`,
+      updatedAt: entry.updatedAt || null
+    };
+  }
+
+  return {
+    mode: getMode(),
+    enforcement: getEnforcement(),
+    credentials,
+    envFallback: !!process.env.INBOUND_AUTH_SECRET,
+    hmacToleranceSeconds: HMAC_TOLERANCE_SECONDS
+  };
+}
+
+module.exports = {
+  setSettings,
+  getSettings,
+  getMode,
+  getEnforcement,
+  configure,
+  verify,
+  generateSecret,
+  validateSecret,
+  setCredential,
+  removeCredential,
+  getMasked,
+  AUTH_MODES,
+  ENFORCEMENT_MODES,
+  DEFAULT_CREDENTIAL
+};
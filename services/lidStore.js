@@ -1,11 +1,12 @@
 /**
  * LID Store Service
  * Persistent LID↔Phone mapping table for WhatsApp's LID→JID migration.
- * In-memory Map backed by a JSON file for persistence across restarts.
+ * In-memory Map backed by a JSON file for persistence across restarts (encrypted at rest when a key is configured).
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const encryption = require('./encryption');
 const logger = require('../utils/logger');
 
 const LID_MAP_PATH = path.join(__dirname, '..', 'config', 'lid-map.json');
@@ -14,11 +15,12 @@ const LID_MAP_PATH = path.join(__dirname, '..', 'config', 'lid-map.json');
 const lidMap = new Map();
 
 /**
- * Load mappings from disk on startup
+ * Load mappings from disk on startup (replaces the ones in memory)
  */
 async function load() {
+  lidMap.clear();
   try {
-    const data = await fs.readFile(LID_MAP_PATH, 'utf8');
+    const data = await encryption.readFile(LID_MAP_PATH, 'utf8');
     const entries = JSON.parse(data);
     let count = 0;
     for (const [lid, value] of Object.entries(entries)) {
@@ -43,12 +45,24 @@ async function persist() {
     const dir = path.dirname(LID_MAP_PATH);
     await fs.mkdir(dir, { recursive: true });
     const obj = Object.fromEntries(lidMap);
-    await fs.writeFile(LID_MAP_PATH, JSON.stringify(obj, null, 2), 'utf8');
+    await encryption.writeFile(LID_MAP_PATH, JSON.stringify(obj, null, 2));
   } catch (err) {
     logger.warn('Failed to persist LID map', { error: err.message });
   }
 }
 
+/**
+ * Encrypt the map file, or re-encrypt it after a key rotation
+ */
+async function migrateEncryption() {
+  try {
+    const migrated = await encryption.migrateFile(LID_MAP_PATH);
+    encryption.recordMigration('lidMap', { migrated: migrated ? 1 : 0, total: 1 });
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+}
+
 /**
  * Save a LID→Phone mapping
  * @param {string} lid - LID number (without @lid suffix)
@@ -97,5 +111,6 @@ module.exports = {
   load,
   save,
   resolve,
-  size
+  size,
+  migrateEncryption
 };
@@ -0,0 +1,108 @@
+/**
+ * Signed, expiring public media URLs
+ * /media/:id?exp=<unix seconds>&sig=<HMAC-SHA256(secret, `${id}.${exp}`)> - downloadable without API credentials,
+ * so automations receiving a forwarded message can fetch its image, document or voice note directly.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const DEFAULT_EXPIRY = 24 * 60 * 60; // seconds
+const MIN_EXPIRY = 60;
+const MAX_EXPIRY = 30 * 24 * 60 * 60;
+
+let secret = null;
+let baseUrlWarned = false;
+
+/**
+ * Set the signing secret - MEDIA_URL_SECRET takes precedence over the one saved in config
+ */
+function setSecret(configSecret) {
+  secret = process.env.MEDIA_URL_SECRET || configSecret || null;
+  logger.info('Media URL signing configured', {
+    source: process.env.MEDIA_URL_SECRET ? 'env' : (configSecret ? 'config' : 'none')
+  });
+}
+
+/**
+ * Generate a random secret
+ */
+function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Default link lifetime in seconds (MEDIA_URL_EXPIRY)
+ */
+function getDefaultExpiry() {
+  const expiry = parseInt(process.env.MEDIA_URL_EXPIRY);
+  return isValidExpiry(expiry) ? expiry : DEFAULT_EXPIRY;
+}
+
+/**
+ * Validate a link lifetime (seconds)
+ */
+function isValidExpiry(expiry) {
+  return Number.isInteger(expiry) && expiry >= MIN_EXPIRY && expiry <= MAX_EXPIRY;
+}
+
+/**
+ * HMAC of a media ID and expiry (base64url)
+ */
+function computeSignature(mediaId, exp) {
+  return crypto.createHmac('sha256', secret).update(`${mediaId}.${exp}`).digest('base64url');
+}
+
+/**
+ * Create a signed URL for a media ID
+ * Links are absolute - without BASE_URL (or a base URL from the request) there is no link, since a relative one is useless to the receiver.
+ * @param {string} mediaId - Media ID
+ * @param {number} expiresIn - Lifetime in seconds (default MEDIA_URL_EXPIRY / 24h)
+ * @param {string} baseUrl - Public base URL (default BASE_URL)
+ * @returns {Object|null} { url, expiresAt }, null without a media ID, secret or base URL
+ */
+function createUrl(mediaId, expiresIn = null, baseUrl = process.env.BASE_URL) {
+  if (!mediaId || !secret) return null;
+  if (!baseUrl) {
+    if (!baseUrlWarned) {
+      logger.warn('BASE_URL is not set - forwarded payloads will not include signed media URLs');
+      baseUrlWarned = true;
+    }
+    return null;
+  }
+
+  const exp = Math.floor(Date.now() / 1000) + (isValidExpiry(expiresIn) ? expiresIn : getDefaultExpiry());
+  const sig = computeSignature(mediaId, exp);
+  return {
+    url: `${baseUrl.replace(/\/+$/, '')}/media/${encodeURIComponent(mediaId)}?exp=${exp}&sig=${sig}`,
+    expiresAt: new Date(exp * 1000).toISOString()
+  };
+}
+
+/**
+ * Verify a signed URL's parameters
+ * @returns {string|null} Failure reason (invalid_signature | expired), or null if valid
+ */
+function verify(mediaId, exp, sig) {
+  if (!secret || !/^\d+$/.test(exp || '') || typeof sig !== 'string') return 'invalid_signature';
+
+  const expected = Buffer.from(computeSignature(mediaId, exp));
+  const actual = Buffer.from(sig);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return 'invalid_signature';
+  }
+
+  if (parseInt(exp) < Math.floor(Date.now() / 1000)) return 'expired';
+  return null;
+}
+
+module.exports = {
+  setSecret,
+  generateSecret,
+  getDefaultExpiry,
+  isValidExpiry,
+  createUrl,
+  verify,
+  MIN_EXPIRY,
+  MAX_EXPIRY
+};
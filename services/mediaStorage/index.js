@@ -0,0 +1,29 @@
+/**
+ * Media storage drivers
+ * Every driver stores files by key (the content-addressed file name) and implements:
+ *   init(), put(key, buffer, mimeType), get(key), stat(key) -> { size } | null,
+ *   openStream(key, { start, end }), remove(key), getDownloadUrl(key, options) -> { url, expiresAt } | null
+ */
+
+const DRIVERS = {
+  local: () => require('./local'),
+  // Loaded on demand so the AWS SDK is only required when S3 is used
+  s3: () => require('./s3')
+};
+
+/**
+ * Get a driver by name (MEDIA_STORAGE by default)
+ * @throws {Error} For unknown drivers
+ */
+function getDriver(name = process.env.MEDIA_STORAGE || 'local') {
+  const load = DRIVERS[name];
+  if (!load) {
+    throw new Error(`Unknown MEDIA_STORAGE "${name}" - use one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+  return load();
+}
+
+module.exports = {
+  getDriver,
+  DRIVER_NAMES: Object.keys(DRIVERS)
+};
@@ -0,0 +1,91 @@
+/**
+ * Local filesystem media storage (config/media) - the default driver
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MEDIA_DIR = path.join(__dirname, '..', '..', 'config', 'media');
+
+const name = 'local';
+
+/**
+ * Path of a stored file
+ */
+function getPath(key) {
+  return path.join(MEDIA_DIR, key);
+}
+
+/**
+ * Create the media directory
+ */
+async function init() {
+  await fs.promises.mkdir(MEDIA_DIR, { recursive: true });
+}
+
+/**
+ * Store a file (through a temporary file, as existing files are rewritten when re-encrypted)
+ */
+async function put(key, buffer) {
+  const tempPath = `${getPath(key)}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.promises.writeFile(tempPath, buffer);
+  await fs.promises.rename(tempPath, getPath(key));
+}
+
+/**
+ * Read a whole file
+ */
+async function get(key) {
+  return fs.promises.readFile(getPath(key));
+}
+
+/**
+ * Get a file's size
+ * @returns {Object|null} { size }, null if the file does not exist
+ */
+async function stat(key) {
+  try {
+    const stats = await fs.promises.stat(getPath(key));
+    return { size: stats.size };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Open a read stream, optionally for a byte range
+ * @param {Object} range - { start, end } (inclusive)
+ */
+async function openStream(key, range = {}) {
+  return fs.createReadStream(getPath(key), range);
+}
+
+/**
+ * Delete a file (missing files are ignored)
+ */
+async function remove(key) {
+  await fs.promises.unlink(getPath(key)).catch(error => {
+    if (error.code !== 'ENOENT') throw error;
+  });
+}
+
+/**
+ * Local files have no direct download URL - they are served through /api/media/:id
+ */
+async function getDownloadUrl() {
+  return null;
+}
+
+module.exports = {
+  name,
+  init,
+  put,
+  get,
+  stat,
+  openStream,
+  remove,
+  getDownloadUrl,
+  MEDIA_DIR
+};
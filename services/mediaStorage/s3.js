@@ -0,0 +1,152 @@
+/**
+ * S3-compatible media storage (AWS S3, MinIO, Cloudflare R2, Backblaze B2...)
+ * Objects are stored as <S3_PREFIX><hash><ext>; downloads can be served through presigned URLs.
+ */
+
+const {
+  S3Client, HeadBucketCommand, HeadObjectCommand, GetObjectCommand, PutObjectCommand, DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const logger = require('../../utils/logger');
+
+// SigV4 presigned URLs are valid for at most 7 days
+const MAX_PRESIGN_EXPIRY = 7 * 24 * 60 * 60;
+
+const name = 's3';
+
+let client = null;
+let bucket = null;
+let prefix = '';
+
+/**
+ * Create the client from S3_* settings and check that the bucket is reachable
+ * @throws {Error} If S3_BUCKET is missing or the bucket cannot be accessed
+ */
+async function init() {
+  bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for MEDIA_STORAGE=s3');
+  }
+  prefix = process.env.S3_PREFIX ?? 'media/';
+
+  const endpoint = process.env.S3_ENDPOINT || undefined;
+  const credentials = process.env.S3_ACCESS_KEY_ID
+    ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || '' }
+    : undefined; // default AWS credential chain (env, instance role...)
+
+  client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint,
+    credentials,
+    // MinIO and most self-hosted stores need bucket-in-path URLs
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : !!endpoint
+  });
+
+  try {
+    await client.send(new HeadBucketCommand({ Bucket: bucket }));
+  } catch (error) {
+    // HEAD responses have no body, so the SDK often only knows the status code
+    const status = error.$metadata?.httpStatusCode;
+    throw new Error(`Cannot access S3 bucket "${bucket}": ${status ? `HTTP ${status}` : error.message}`);
+  }
+  logger.info('S3 media storage ready', { bucket, endpoint: endpoint || 'aws', prefix });
+}
+
+/**
+ * Object key of a stored file
+ */
+function getKey(key) {
+  return `${prefix}${key}`;
+}
+
+/**
+ * Check if an SDK error means the object does not exist
+ */
+function isNotFound(error) {
+  return error.name === 'NotFound' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+}
+
+/**
+ * Store a file
+ */
+async function put(key, buffer, mimeType) {
+  await client.send(new PutObjectCommand({
+    Bucket: bucket,
+    Key: getKey(key),
+    Body: buffer,
+    ContentType: mimeType || 'application/octet-stream'
+  }));
+}
+
+/**
+ * Read a whole file
+ */
+async function get(key) {
+  const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: getKey(key) }));
+  return Buffer.from(await Body.transformToByteArray());
+}
+
+/**
+ * Get a file's size
+ * @returns {Object|null} { size }, null if the object does not exist
+ */
+async function stat(key) {
+  try {
+    const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: getKey(key) }));
+    return { size: head.ContentLength };
+  } catch (error) {
+    if (isNotFound(error)) return null;
+    throw error;
+  }
+}
+
+/**
+ * Open a read stream, optionally for a byte range
+ * @param {Object} range - { start, end } (inclusive)
+ */
+async function openStream(key, range = {}) {
+  const { Body } = await client.send(new GetObjectCommand({
+    Bucket: bucket,
+    Key: getKey(key),
+    Range: range.start !== undefined ? `bytes=${range.start}-${range.end ?? ''}` : undefined
+  }));
+  return Body;
+}
+
+/**
+ * Delete a file (missing objects are ignored by S3)
+ */
+async function remove(key) {
+  await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: getKey(key) }));
+}
+
+/**
+ * Presigned GET URL - the bucket serves the file directly
+ * @param {Object} options - { expiresIn (seconds, capped at 7 days), mimeType, contentDisposition }
+ * @returns {Object} { url, expiresAt }
+ */
+async function getDownloadUrl(key, options = {}) {
+  const expiresIn = Math.min(options.expiresIn || 3600, MAX_PRESIGN_EXPIRY);
+  const command = new GetObjectCommand({
+    Bucket: bucket,
+    Key: getKey(key),
+    ResponseContentType: options.mimeType,
+    ResponseContentDisposition: options.contentDisposition
+  });
+  return {
+    url: await getSignedUrl(client, command, { expiresIn }),
+    expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString()
+  };
+}
+
+module.exports = {
+  name,
+  init,
+  put,
+  get,
+  stat,
+  openStream,
+  remove,
+  getDownloadUrl,
+  MAX_PRESIGN_EXPIRY
+};
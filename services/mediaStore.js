@@ -1,73 +1,289 @@
 /**
  * Media storage service
- * Downloads and stores media files from Baileys messages
+ * Downloads and stores media files from Baileys messages.
+ * Files are content-addressed (named by SHA-256): media IDs stay per message, and identical
+ * content (the same sticker or forwarded PDF in many chats) is stored once.
+ * Files live in a storage driver (MEDIA_STORAGE: local config/media, or s3); the index stays in config.
+ * With encryption at rest, files and the index are encrypted (hashes are of the plaintext).
  */
 
+const crypto = require('crypto');
 const fs = require('fs').promises;
+const { Readable } = require('stream');
 const path = require('path');
+const mediaStorage = require('./mediaStorage');
+const encryption = require('./encryption');
 const logger = require('../utils/logger');
 
-const MEDIA_DIR = path.join(__dirname, '..', 'config', 'media');
 const MAX_MEDIA_FILES = parseInt(process.env.MAX_MEDIA_FILES) || 500;
 const MAX_MEDIA_SIZE = parseInt(process.env.MAX_MEDIA_SIZE) || 10 * 1024 * 1024; // 10MB default
 
-// Track stored media: { id: { path, mimeType, size, timestamp } }
+// MIME types WhatsApp sends (parameters such as "; codecs=opus" are ignored)
+const MIME_EXTENSIONS = {
+  // Images and stickers (animated stickers are webp too)
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif',
+  'image/heic': '.heic',
+  // Video
+  'video/mp4': '.mp4',
+  'video/3gpp': '.3gp',
+  'video/quicktime': '.mov',
+  'video/webm': '.webm',
+  'video/x-matroska': '.mkv',
+  // Audio (voice notes are ogg/opus)
+  'audio/ogg': '.ogg',
+  'audio/opus': '.opus',
+  'audio/mpeg': '.mp3',
+  'audio/mp4': '.m4a',
+  'audio/aac': '.aac',
+  'audio/amr': '.amr',
+  'audio/wav': '.wav',
+  'audio/webm': '.weba',
+  // Documents
+  'application/pdf': '.pdf',
+  'application/msword': '.doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+  'application/vnd.ms-excel': '.xls',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+  'application/vnd.ms-powerpoint': '.ppt',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': '.pptx',
+  'application/vnd.oasis.opendocument.text': '.odt',
+  'application/vnd.oasis.opendocument.spreadsheet': '.ods',
+  'application/vnd.oasis.opendocument.presentation': '.odp',
+  'application/rtf': '.rtf',
+  'application/zip': '.zip',
+  'application/x-rar-compressed': '.rar',
+  'application/x-7z-compressed': '.7z',
+  'application/json': '.json',
+  'application/vnd.android.package-archive': '.apk',
+  'text/plain': '.txt',
+  'text/csv': '.csv',
+  'text/vcard': '.vcf'
+};
+
+// Extensions that are not in the map above, or map to a different type
+const EXTENSION_ALIASES = {
+  '.jpeg': 'image/jpeg',
+  '.opus': 'audio/ogg', // WhatsApp voice notes (PTT-*.opus) are ogg containers
+  '.oga': 'audio/ogg',
+  '.wave': 'audio/wav',
+  '.vcard': 'text/vcard'
+};
+
+// Track stored media: { id: { hash, fileName, mimeType, size, timestamp } } - several IDs can share a file
 let mediaIndex = {};
 const INDEX_FILE = path.join(__dirname, '..', 'config', 'media_index.json');
 
+// Stored files by hash: { fileName, mimeType, size, refs } - refs counted from the index
+let files = new Map();
+
+// Storage driver (see services/mediaStorage)
+let storage = null;
+
+// False when the index could not be read or the storage driver failed to start - nothing is saved or removed
+// then, so the index on disk is never replaced by an incomplete one
+let writable = false;
+
 /**
  * Initialize media storage
+ * @throws {Error} If the index is encrypted with a key that is not configured
  */
 async function init() {
+  writable = false;
+
+  // Encrypt the index, or re-encrypt it after a key rotation - an unreadable index must not be replaced by an empty one
+  await encryption.migrateFile(INDEX_FILE).catch(error => {
+    if (error.code !== 'ENOENT') throw error;
+  });
+
+  // Load index (independent of the storage, so a storage outage keeps the index intact)
+  let indexLoaded = true;
   try {
-    await fs.mkdir(MEDIA_DIR, { recursive: true });
-    // Load index
-    try {
-      const data = await fs.readFile(INDEX_FILE, 'utf8');
-      mediaIndex = JSON.parse(data);
-      logger.info('Media index loaded', { count: Object.keys(mediaIndex).length });
-    } catch (e) {
-      if (e.code !== 'ENOENT') logger.error('Failed to load media index', { error: e.message });
-      mediaIndex = {};
+    const data = await encryption.readFile(INDEX_FILE, 'utf8');
+    mediaIndex = JSON.parse(data);
+    logger.info('Media index loaded', { count: Object.keys(mediaIndex).length });
+  } catch (e) {
+    mediaIndex = {};
+    if (e.code !== 'ENOENT') {
+      logger.error('Failed to load media index, media will not be saved', { error: e.message });
+      indexLoaded = false;
     }
+  }
+  countRefs();
+
+  storage = null;
+  try {
+    await fs.mkdir(path.dirname(INDEX_FILE), { recursive: true });
+    storage = mediaStorage.getDriver();
+    await storage.init();
+  } catch (error) {
+    logger.error('Failed to init media storage, media will not be saved', { error: error.message });
+    return;
+  }
+  if (!indexLoaded) return;
+  writable = true;
+
+  try {
+    await migrateToContentAddressed();
   } catch (error) {
-    logger.error('Failed to init media store', { error: error.message });
+    logger.error('Failed to migrate media store', { error: error.message });
+  }
+  if (encryption.hasKeys()) {
+    // Files can be many (and remote), so they are re-encrypted in the background
+    migrateEncryption().catch(error => {
+      logger.error('Media encryption migration failed', { error: error.message });
+    });
+  }
+}
+
+/**
+ * Storage driver for reads - a driver that failed to start can still serve files once it is reachable
+ * @throws {Error} Without a driver (unknown MEDIA_STORAGE)
+ */
+function getStorage() {
+  if (!storage) throw new Error('Media storage is not available');
+  return storage;
+}
+
+/**
+ * Count references per file from the index
+ */
+function countRefs() {
+  files = new Map();
+  for (const entry of Object.values(mediaIndex)) {
+    if (entry.hash) addRef(entry);
+  }
+}
+
+/**
+ * Add a reference to an entry's file
+ */
+function addRef(entry) {
+  const file = files.get(entry.hash);
+  if (file) {
+    file.refs++;
+  } else {
+    files.set(entry.hash, { fileName: entry.fileName, mimeType: entry.mimeType, size: entry.size || 0, refs: 1 });
+  }
+}
+
+/**
+ * Rename files stored per message (before content addressing) to their hash - duplicates are removed
+ */
+async function migrateToContentAddressed() {
+  const legacy = Object.entries(mediaIndex).filter(([, entry]) => !entry.hash);
+  countRefs();
+  if (legacy.length === 0) return;
+
+  let merged = 0;
+  for (const [id, entry] of legacy) {
+    const oldName = entry.fileName;
+    let buffer;
+    try {
+      buffer = encryption.decrypt(await storage.get(oldName));
+    } catch (error) {
+      logger.warn('Media file missing, dropping from index', { mediaId: id, fileName: entry.fileName });
+      delete mediaIndex[id];
+      continue;
+    }
+
+    const hash = hashBuffer(buffer);
+    const existing = files.get(hash);
+    if (existing) {
+      entry.fileName = existing.fileName;
+      merged++;
+    } else {
+      entry.fileName = `${hash}${path.extname(oldName)}`;
+      await storage.put(entry.fileName, encryption.encrypt(buffer), entry.mimeType);
+    }
+    await storage.remove(oldName).catch(() => {});
+    entry.hash = hash;
+    entry.size = buffer.length;
+    addRef(entry);
+  }
+
+  await saveIndex();
+  logger.info('Media store migrated to content-addressed files', { files: legacy.length, merged });
+}
+
+/**
+ * Encrypt stored files, or re-encrypt them after a key rotation (decrypt them when only previous keys are set)
+ */
+async function migrateEncryption() {
+  const result = { migrated: 0, total: files.size, failed: 0 };
+
+  for (const [hash, file] of [...files]) {
+    try {
+      const buffer = await storage.get(file.fileName);
+      if (!encryption.needsRewrite(buffer)) continue;
+      const data = encryption.encrypt(encryption.decrypt(buffer));
+      // Skip files released while this was running
+      if (!files.has(hash)) continue;
+      await storage.put(file.fileName, data, file.mimeType);
+      result.migrated++;
+    } catch (error) {
+      result.failed++;
+      logger.error('Failed to migrate media file encryption', { fileName: file.fileName, error: error.message });
+    }
   }
+
+  encryption.recordMigration('media', result);
+}
+
+/**
+ * SHA-256 of a buffer (hex)
+ */
+function hashBuffer(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
 }
 
 /**
- * Save media buffer to disk
+ * Save media buffer to storage
  * @param {string} messageId - Message ID
  * @param {Buffer} buffer - Media data
  * @param {string} mimeType - MIME type
+ * @param {string} originalName - Original file name (documents), used for downloads
  * @returns {string|null} Media ID
  */
-async function saveMedia(messageId, buffer, mimeType) {
+async function saveMedia(messageId, buffer, mimeType, originalName = null) {
   if (!buffer || buffer.length === 0) return null;
+  if (!writable) {
+    logger.warn('Media store is not available, skipping media', { messageId });
+    return null;
+  }
   if (buffer.length > MAX_MEDIA_SIZE) {
     logger.warn('Media too large, skipping', { messageId, size: buffer.length });
     return null;
   }
 
   try {
-    const ext = getExtFromMime(mimeType);
+    const hash = hashBuffer(buffer);
     const mediaId = `${messageId}_${Date.now()}`;
-    const fileName = `${mediaId}${ext}`;
-    const filePath = path.join(MEDIA_DIR, fileName);
 
-    await fs.writeFile(filePath, buffer);
+    // Reuse the stored file when the content is already known (whatever its extension)
+    const existing = files.get(hash);
+    const fileName = existing ? existing.fileName : `${hash}${getExtFromMime(mimeType)}`;
+    if (!existing) {
+      await storage.put(fileName, encryption.encrypt(buffer), mimeType);
+    }
 
-    mediaIndex[mediaId] = {
+    const entry = {
+      hash,
       fileName,
       mimeType: mimeType || 'application/octet-stream',
       size: buffer.length,
+      originalName: originalName || null,
       timestamp: new Date().toISOString()
     };
+    mediaIndex[mediaId] = entry;
+    addRef(entry);
 
     await saveIndex();
     await cleanupIfNeeded();
 
-    logger.debug('Media saved', { mediaId, size: buffer.length, mimeType });
+    logger.debug('Media saved', { mediaId, size: buffer.length, mimeType, deduplicated: !!existing });
     return mediaId;
   } catch (error) {
     logger.error('Failed to save media', { messageId, error: error.message });
@@ -76,25 +292,97 @@ async function saveMedia(messageId, buffer, mimeType) {
 }
 
 /**
- * Get media file info and path
+ * Get media file info
+ * key is the stored file (shared by duplicates); fileName is the original document name,
+ * or the media ID with the file's extension.
  */
 function getMedia(mediaId) {
   const entry = mediaIndex[mediaId];
   if (!entry) return null;
 
+  const fileName = entry.originalName || `${mediaId}${path.extname(entry.fileName)}`;
+  const mimeType = entry.mimeType && entry.mimeType !== 'application/octet-stream'
+    ? entry.mimeType
+    : getMimeFromFileName(fileName);
+
   return {
-    filePath: path.join(MEDIA_DIR, entry.fileName),
-    mimeType: entry.mimeType,
-    size: entry.size
+    key: entry.fileName,
+    fileName,
+    mimeType,
+    size: entry.size,
+    hash: entry.hash
   };
 }
 
+/**
+ * Get a media file's size (of the content - stored files are larger when encrypted)
+ * @returns {Object|null} { size }, null if the file is missing from storage
+ */
+async function statMedia(media) {
+  const stat = await getStorage().stat(media.key);
+  if (!stat) return null;
+  return { size: encryption.hasKeys() ? media.size ?? stat.size : stat.size };
+}
+
+/**
+ * Open a read stream of a media file, optionally for a byte range { start, end }
+ */
+async function openMedia(media, range = {}) {
+  if (!encryption.hasKeys()) {
+    return getStorage().openStream(media.key, range);
+  }
+
+  // GCM authenticates the whole file, so it is decrypted in memory (files are at most MAX_MEDIA_SIZE)
+  const buffer = encryption.decrypt(await getStorage().get(media.key));
+  const start = range.start ?? 0;
+  const end = range.end ?? buffer.length - 1;
+  return Readable.from([buffer.subarray(start, end + 1)]);
+}
+
+/**
+ * Direct download URL from the storage (presigned for S3)
+ * @param {Object} options - { expiresIn (seconds), contentDisposition }
+ * @returns {Object|null} { url, expiresAt }, null when the driver has no direct URLs (local),
+ *   or when files are encrypted (the bucket would serve ciphertext)
+ */
+async function getDownloadUrl(media, options = {}) {
+  if (encryption.hasKeys()) return null;
+  return getStorage().getDownloadUrl(media.key, { ...options, mimeType: media.mimeType });
+}
+
+/**
+ * Name of the active storage driver
+ */
+function getStorageName() {
+  return storage?.name || null;
+}
+
+/**
+ * Drop a media ID - its file is deleted when no other ID references it
+ * @returns {number} Bytes freed in storage
+ */
+async function releaseMedia(mediaId) {
+  const entry = mediaIndex[mediaId];
+  if (!entry) return 0;
+  delete mediaIndex[mediaId];
+
+  const file = files.get(entry.hash);
+  if (file && --file.refs > 0) return 0;
+
+  files.delete(entry.hash);
+  await storage.remove(entry.fileName).catch(error => {
+    logger.error('Failed to delete media file', { fileName: entry.fileName, error: error.message });
+  });
+  return entry.size || 0;
+}
+
 /**
  * Save index to disk
  */
 async function saveIndex() {
+  if (!writable) return;
   try {
-    await fs.writeFile(INDEX_FILE, JSON.stringify(mediaIndex, null, 2));
+    await encryption.writeFile(INDEX_FILE, JSON.stringify(mediaIndex, null, 2));
   } catch (error) {
     logger.error('Failed to save media index', { error: error.message });
   }
@@ -111,15 +399,60 @@ async function cleanupIfNeeded() {
   ids.sort((a, b) => new Date(mediaIndex[a].timestamp) - new Date(mediaIndex[b].timestamp));
 
   const toRemove = ids.slice(0, ids.length - MAX_MEDIA_FILES);
+  let freed = 0;
   for (const id of toRemove) {
-    try {
-      await fs.unlink(path.join(MEDIA_DIR, mediaIndex[id].fileName)).catch(() => {});
-      delete mediaIndex[id];
-    } catch (e) { /* ignore */ }
+    freed += await releaseMedia(id);
   }
 
   await saveIndex();
-  logger.info('Media cleanup', { removed: toRemove.length });
+  logger.info('Media cleanup', { removed: toRemove.length, freedMB: +(freed / 1024 / 1024).toFixed(2) });
+}
+
+/**
+ * Get the media kind of a MIME type (image, video, audio or document)
+ */
+function getMediaKind(mimeType) {
+  const kind = (mimeType || '').split('/')[0];
+  return ['image', 'video', 'audio'].includes(kind) ? kind : 'document';
+}
+
+/**
+ * List stored media, oldest first (IDs sharing a file have the same hash)
+ * @returns {Array} [{ id, hash, kind, mimeType, size, timestamp }]
+ */
+function listMedia() {
+  return Object.entries(mediaIndex)
+    .map(([id, entry]) => ({
+      id,
+      hash: entry.hash,
+      kind: getMediaKind(entry.mimeType),
+      mimeType: entry.mimeType,
+      size: entry.size || 0,
+      timestamp: entry.timestamp
+    }))
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+/**
+ * Remove media IDs (files still referenced by other IDs are kept)
+ * @returns {Object} { removed, bytes } - bytes actually freed in storage
+ */
+async function removeMedia(ids) {
+  let removed = 0;
+  let bytes = 0;
+  if (!writable) {
+    if (ids.length > 0) logger.warn('Media store is not available, media kept', { count: ids.length });
+    return { removed, bytes };
+  }
+
+  for (const id of ids) {
+    if (!mediaIndex[id]) continue;
+    bytes += await releaseMedia(id);
+    removed++;
+  }
+
+  if (removed > 0) await saveIndex();
+  return { removed, bytes };
 }
 
 /**
@@ -127,33 +460,37 @@ async function cleanupIfNeeded() {
  */
 function getExtFromMime(mimeType) {
   if (!mimeType) return '.bin';
-  const map = {
-    'image/jpeg': '.jpg',
-    'image/png': '.png',
-    'image/webp': '.webp',
-    'image/gif': '.gif',
-    'video/mp4': '.mp4',
-    'video/3gpp': '.3gp',
-    'audio/ogg': '.ogg',
-    'audio/mpeg': '.mp3',
-    'audio/mp4': '.m4a',
-    'application/pdf': '.pdf',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
-    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx'
-  };
-  return map[mimeType] || '.bin';
+  return MIME_EXTENSIONS[mimeType.split(';')[0].trim().toLowerCase()] || '.bin';
+}
+
+/**
+ * Get MIME type from a file name (imported attachments)
+ */
+function getMimeFromFileName(fileName) {
+  const ext = path.extname(fileName || '').toLowerCase();
+  return EXTENSION_ALIASES[ext] ||
+    Object.keys(MIME_EXTENSIONS).find(mimeType => MIME_EXTENSIONS[mimeType] === ext) ||
+    'application/octet-stream';
 }
 
 /**
  * Get stats
  */
 function getStats() {
-  const ids = Object.keys(mediaIndex);
-  const totalSize = ids.reduce((sum, id) => sum + (mediaIndex[id].size || 0), 0);
+  const entries = Object.values(mediaIndex);
+  const referencedSize = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+  const totalSize = [...files.values()].reduce((sum, file) => sum + file.size, 0);
   return {
-    count: ids.length,
+    storage: getStorageName(),
+    writable,
+    count: entries.length,
+    files: files.size,
     maxFiles: MAX_MEDIA_FILES,
-    totalSizeMB: (totalSize / 1024 / 1024).toFixed(2)
+    totalSizeMB: (totalSize / 1024 / 1024).toFixed(2),
+    dedupe: {
+      duplicates: entries.length - files.size,
+      savedMB: ((referencedSize - totalSize) / 1024 / 1024).toFixed(2)
+    }
   };
 }
 
@@ -161,5 +498,14 @@ module.exports = {
   init,
   saveMedia,
   getMedia,
+  statMedia,
+  openMedia,
+  getDownloadUrl,
+  getStorageName,
+  getMediaKind,
+  getMimeFromFileName,
+  getExtFromMime,
+  listMedia,
+  removeMedia,
   getStats
 };
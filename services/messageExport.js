@@ -0,0 +1,262 @@
+/**
+ * Conversation export (JSON, CSV, HTML, WhatsApp-style text)
+ * Optionally zipped together with the chat's media files.
+ */
+
+const path = require('path');
+const archiver = require('archiver');
+const mediaStore = require('./mediaStore');
+
+const EXPORT_FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt' }
+};
+
+// Bodies like [Image] are placeholders for media without a caption
+const PLACEHOLDER_REGEX = /^\[[A-Za-z]+\]$/;
+
+/**
+ * Sender label for a message (group messages name their participant)
+ */
+function getSender(message, context) {
+  if (message.fromMe) return 'You';
+  return message.senderName || message.sender || context.chatName || context.chat;
+}
+
+/**
+ * Caption/text of a message (null for placeholders)
+ */
+function getText(message) {
+  return message.body && !PLACEHOLDER_REGEX.test(message.body) ? message.body : null;
+}
+
+/**
+ * Link or archive path for a message's media
+ * In zip exports media is referenced by its path inside the archive.
+ */
+function getMediaRef(message, context) {
+  if (!message.mediaId) return null;
+  if (context.zip) {
+    const media = mediaStore.getMedia(message.mediaId);
+    return media ? `media/${media.key}` : null;
+  }
+  return `${context.baseUrl}/api/media/${encodeURIComponent(message.mediaId)}`;
+}
+
+/**
+ * Format a timestamp like WhatsApp's Android export: 19/10/2026, 14:05
+ */
+function formatWhatsAppDate(timestamp, timeZone) {
+  return new Intl.DateTimeFormat('en-GB', {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false,
+    timeZone
+  }).format(new Date(timestamp));
+}
+
+function renderJson(messages, context) {
+  return JSON.stringify({
+    chat: context.chat,
+    chatName: context.chatName || null,
+    exportedAt: new Date().toISOString(),
+    from: context.from || null,
+    to: context.to || null,
+    count: messages.length,
+    messages: messages.map(message => ({ ...message, mediaUrl: getMediaRef(message, context) }))
+  }, null, 2);
+}
+
+/**
+ * Quote a CSV field (values starting with = + - @ are prefixed so spreadsheets do not run them as formulas)
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderCsv(messages, context) {
+  const header = ['timestamp', 'id', 'direction', 'sender', 'type', 'body', 'mediaId', 'mediaUrl', 'quotedBody'];
+  const rows = messages.map(message => [
+    message.timestamp,
+    message.id,
+    message.fromMe ? 'outgoing' : 'incoming',
+    getSender(message, context),
+    message.type,
+    message.body,
+    message.mediaId,
+    getMediaRef(message, context),
+    message.quotedMessage?.body
+  ]);
+
+  // BOM so spreadsheet apps detect UTF-8 (Hebrew)
+  return '\uFEFF' + [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function renderTxt(messages, context) {
+  return messages.map(message => {
+    let content;
+    if (message.hasMedia) {
+      const ref = context.zip ? getMediaRef(message, context) : null;
+      const attachment = ref ? `${path.basename(ref)} (file attached)` : '<Media omitted>';
+      const caption = getText(message);
+      content = caption ? `${attachment}\n${caption}` : attachment;
+    } else {
+      content = message.body || '';
+    }
+    return `${formatWhatsAppDate(message.timestamp, context.timeZone)} - ${getSender(message, context)}: ${content}`;
+  }).join('\n') + '\n';
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderHtml(messages, context) {
+  const title = `Chat with ${context.chatName || context.chat}`;
+
+  const items = messages.map(message => {
+    const mediaRef = getMediaRef(message, context);
+    const thumb = message.thumbBase64 && message.thumbBase64.startsWith('data:image/')
+      ? `<img class="thumb" src="${escapeHtml(message.thumbBase64)}" alt="${escapeHtml(message.type)}">`
+      : '';
+
+    let media = '';
+    if (message.hasMedia) {
+      const label = thumb || `[${escapeHtml(message.mediaType || message.type)}]`;
+      media = mediaRef ? `<a href="${escapeHtml(mediaRef)}" target="_blank">${label}</a>` : label;
+    }
+
+    const text = message.hasMedia ? getText(message) : message.body;
+    const quoted = message.quotedMessage?.body
+      ? `<div class="quoted" dir="auto">${escapeHtml(message.quotedMessage.body)}</div>`
+      : '';
+
+    return `
+    <div class="message ${message.fromMe ? 'out' : 'in'}">
+      <div class="sender">${escapeHtml(getSender(message, context))}</div>
+      ${quoted}${media ? `<div class="media">${media}</div>` : ''}
+      ${text ? `<div class="body" dir="auto">${escapeHtml(text)}</div>` : ''}
+      <div class="time">${escapeHtml(formatWhatsAppDate(message.timestamp, context.timeZone))}</div>
+    </div>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, "Segoe UI", Arial, sans-serif; background: #e5ddd5; margin: 0; padding: 20px; }
+    h1 { font-size: 18px; margin: 0 0 4px; }
+    .meta { font-size: 12px; color: #555; margin-bottom: 20px; }
+    .chat { max-width: 800px; margin: 0 auto; display: flex; flex-direction: column; gap: 8px; }
+    .message { max-width: 70%; padding: 8px 10px; border-radius: 8px; background: #fff; box-shadow: 0 1px 1px rgba(0,0,0,0.1); }
+    .message.out { align-self: flex-end; background: #dcf8c6; }
+    .sender { font-size: 12px; font-weight: bold; color: #075e54; margin-bottom: 4px; }
+    .body { white-space: pre-wrap; word-break: break-word; }
+    .quoted { border-left: 3px solid #075e54; padding: 4px 8px; margin-bottom: 6px; background: rgba(0,0,0,0.05); font-size: 13px; white-space: pre-wrap; }
+    .thumb { max-width: 240px; border-radius: 6px; display: block; }
+    .time { font-size: 11px; color: #777; text-align: right; margin-top: 4px; }
+  </style>
+</head>
+<body>
+  <div class="chat">
+    <h1>${escapeHtml(title)}</h1>
+    <div class="meta">${messages.length} messages · exported ${escapeHtml(new Date().toISOString())}</div>
+    ${items}
+  </div>
+</body>
+</html>
+`;
+}
+
+const RENDERERS = { json: renderJson, csv: renderCsv, html: renderHtml, txt: renderTxt };
+
+/**
+ * Render messages in an export format
+ * @param {string} format - json | csv | html | txt
+ * @param {Array} messages - Messages, oldest first
+ * @param {Object} context - { chat, chatName, baseUrl, timeZone, from, to, zip }
+ * @returns {string}
+ */
+function render(format, messages, context) {
+  return RENDERERS[format](messages, context);
+}
+
+/**
+ * Stream a zip with the transcript and the chat's media files
+ * @param {stream.Writable} output - Response stream
+ * @param {string} fileName - Transcript file name inside the archive
+ */
+async function writeZip(output, format, messages, context, fileName) {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+
+  // A failing media stream cuts the download short (the zip is incomplete) instead of crashing the process
+  let failure = null;
+  let rejectFailed;
+  const failed = new Promise((resolve, reject) => {
+    rejectFailed = reject;
+  });
+  failed.catch(() => {});
+  const fail = error => {
+    failure = failure || error;
+    rejectFailed(error);
+  };
+  archive.on('error', fail);
+  archive.pipe(output);
+
+  try {
+    archive.append(render(format, messages, { ...context, zip: true }), { name: fileName });
+
+    const added = new Set();
+    for (const message of messages) {
+      if (failure) break;
+      const media = message.mediaId && mediaStore.getMedia(message.mediaId);
+      if (!media || added.has(media.key) || !(await mediaStore.statMedia(media))) continue;
+      added.add(media.key);
+      const stream = await mediaStore.openMedia(media);
+      stream.on('error', fail);
+      archive.append(stream, { name: `media/${media.key}` });
+    }
+
+    if (failure) throw failure;
+    await Promise.race([archive.finalize(), failed]);
+  } catch (error) {
+    archive.abort();
+    output.destroy();
+    throw error;
+  }
+}
+
+/**
+ * Check if a time zone name is supported
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  render,
+  writeZip,
+  isValidTimeZone,
+  EXPORT_FORMATS
+};
@@ -0,0 +1,204 @@
+/**
+ * Import WhatsApp "Export chat" files (.txt, or .zip with media) into the message store
+ * Messages get deterministic IDs, so importing the same export again adds nothing.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const logger = require('../utils/logger');
+const chatExportParser = require('../utils/chatExportParser');
+const messageStore = require('./messageStore');
+const mediaStore = require('./mediaStore');
+
+// Sender names that are always us (our own txt export writes "You")
+const DEFAULT_ME = ['You'];
+
+// Senders without a saved contact name are shown as their number (+972 50-123-4567)
+const PHONE_SENDER_REGEX = /^\+?[\d\s\-()]{7,}$/;
+
+// Placeholders used for media bodies, as in handlers/messages.js
+const MEDIA_PLACEHOLDERS = {
+  image: '[Image]',
+  video: '[Video]',
+  audio: '[Audio]',
+  document: '[Document]',
+  sticker: '[Sticker]'
+};
+
+/**
+ * Check if a buffer is a zip archive
+ */
+function isZip(buffer) {
+  return buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50;
+}
+
+/**
+ * Read the transcript and attachments from an upload
+ * @returns {Object} { text, files: Map(fileName -> zip entry) }
+ */
+function readUpload(buffer) {
+  if (!isZip(buffer)) {
+    return { text: buffer.toString('utf8'), files: new Map() };
+  }
+
+  let entries;
+  try {
+    entries = new AdmZip(buffer).getEntries().filter(entry => !entry.isDirectory);
+  } catch (error) {
+    throw new Error('Not a valid zip archive (expected the .txt or .zip from WhatsApp "Export chat")');
+  }
+  const transcripts = entries.filter(entry => entry.entryName.toLowerCase().endsWith('.txt'));
+  // iOS names it _chat.txt, Android "WhatsApp Chat with <name>.txt"
+  const transcript = transcripts.find(entry => path.basename(entry.entryName) === '_chat.txt') ||
+    transcripts.find(entry => /chat/i.test(path.basename(entry.entryName))) ||
+    transcripts[0];
+  if (!transcript) {
+    throw new Error('No chat transcript (.txt) found in the archive');
+  }
+
+  let text;
+  try {
+    text = transcript.getData().toString('utf8');
+  } catch (error) {
+    throw new Error(`${transcript.entryName} is damaged: ${error.message}`);
+  }
+
+  const files = new Map();
+  for (const entry of entries) {
+    if (entry !== transcript) files.set(path.basename(entry.entryName), entry);
+  }
+  return { text, files };
+}
+
+/**
+ * Get the message type of an attachment
+ */
+function getAttachmentKind(fileName, mimeType) {
+  if (/^STK-|STICKER/i.test(fileName)) return 'sticker';
+  return mediaStore.getMediaKind(mimeType);
+}
+
+/**
+ * Read and parse an upload - nothing is stored
+ * @param {Buffer} buffer - Uploaded .txt or .zip
+ * @param {Object} options - { dateOrder }
+ * @returns {Object} { parsed, files }
+ * @throws {Error} If the upload is not a readable chat export
+ */
+function readChatExport(buffer, options = {}) {
+  const { text, files } = readUpload(buffer);
+  const parsed = chatExportParser.parse(text, { dateOrder: options.dateOrder });
+  if (!parsed.format) {
+    throw new Error('Not a WhatsApp chat export - no message lines found');
+  }
+  return { parsed, files };
+}
+
+/**
+ * Import a chat export (from readChatExport)
+ * @param {Object} options - { chat (phone or group ID), me: [sender names that are us], timeZone }
+ * @returns {Object} Import report
+ */
+async function importChatExport({ parsed, files }, options) {
+  const { chat, timeZone } = options;
+  const me = new Set([...DEFAULT_ME, ...(options.me || [])].map(name => name.trim().toLowerCase()));
+
+  const report = {
+    chat,
+    format: parsed.format,
+    dateOrder: parsed.dateOrder,
+    parsed: parsed.messages.length,
+    imported: 0,
+    duplicates: 0,
+    systemMessagesSkipped: parsed.skipped,
+    media: { imported: 0, omitted: 0, missing: 0, failed: 0 },
+    senders: {},
+    from: null,
+    to: null
+  };
+
+  // Repeated identical lines (same minute, sender and text) get distinct IDs
+  const occurrences = new Map();
+
+  for (const entry of parsed.messages) {
+    const timestamp = chatExportParser.toDate(entry.date, timeZone).toISOString();
+    const fromMe = me.has(entry.sender.toLowerCase());
+    const { attachment } = entry;
+
+    const key = `${chat}|${timestamp}|${entry.sender}|${attachment?.fileName || ''}|${entry.text}`;
+    const occurrence = occurrences.get(key) || 0;
+    occurrences.set(key, occurrence + 1);
+    const id = messageStore.IMPORT_ID_PREFIX +
+      crypto.createHash('sha1').update(`${key}|${occurrence}`).digest('hex').slice(0, 24);
+
+    const message = {
+      id,
+      body: entry.text,
+      type: 'text',
+      hasMedia: false,
+      mediaType: null,
+      mediaId: null,
+      thumbBase64: null,
+      fromMe,
+      timestamp,
+      quotedMessage: null,
+      sender: !fromMe && PHONE_SENDER_REGEX.test(entry.sender) ? entry.sender.replace(/\D/g, '') : null,
+      senderName: fromMe ? null : entry.sender
+    };
+
+    // "name.ext (...)" only counts as an attachment when the phrase is known or the file is in the archive
+    const file = attachment?.fileName ? files.get(attachment.fileName) : null;
+    const mimeType = attachment?.fileName ? mediaStore.getMimeFromFileName(attachment.fileName) : null;
+    if (attachment?.omitted || (attachment?.fileName && (attachment.explicit || file))) {
+      const kind = attachment.omitted ? attachment.kind : getAttachmentKind(attachment.fileName, mimeType);
+
+      message.hasMedia = true;
+      message.type = kind || 'media';
+      message.mediaType = kind;
+      message.body = attachment.caption ||
+        (kind === 'document' && attachment.fileName) ||
+        MEDIA_PLACEHOLDERS[kind] ||
+        '[Media]';
+    }
+
+    // Minute-precision exports match live messages anywhere in that minute
+    if (messageStore.isDuplicate(chat, message, entry.hasSeconds ? 1000 : 60000)) {
+      report.duplicates++;
+      continue;
+    }
+
+    if (message.hasMedia) {
+      if (attachment.omitted) {
+        report.media.omitted++;
+      } else if (!file) {
+        report.media.missing++;
+      } else {
+        message.mediaId = await mediaStore.saveMedia(id, file.getData(), mimeType, attachment.fileName);
+        if (message.mediaId) report.media.imported++;
+        else report.media.failed++;
+      }
+    }
+
+    messageStore.storeMessage(chat, message);
+    report.imported++;
+    report.senders[entry.sender] = (report.senders[entry.sender] || 0) + 1;
+    if (!report.from || timestamp < report.from) report.from = timestamp;
+    if (!report.to || timestamp > report.to) report.to = timestamp;
+  }
+
+  logger.info('Chat export imported', {
+    chat,
+    format: report.format,
+    imported: report.imported,
+    duplicates: report.duplicates,
+    media: report.media.imported
+  });
+
+  return report;
+}
+
+module.exports = {
+  readChatExport,
+  importChatExport
+};
@@ -0,0 +1,256 @@
+/**
+ * Normalized message schema (wf.message.v1)
+ * A flat, versioned alternative to the raw Evolution/Baileys payload.
+ * Webhook targets choose raw, normalized or both (raw payload with a `normalized` field).
+ */
+
+const lidStore = require('./lidStore');
+const { normalizePhone, getContextInfo } = require('../utils/validators');
+
+const SCHEMA_ID = 'wf.message.v1';
+const PAYLOAD_FORMATS = ['raw', 'normalized', 'both'];
+
+const LINK_REGEX = /https?:\/\/[^\s<>"']+/gi;
+
+/**
+ * Convert a JID to a phone number (LIDs are resolved through the LID map)
+ */
+function jidToPhone(jid) {
+  if (!jid) return null;
+  if (jid.endsWith('@lid')) {
+    return lidStore.resolve(jid)?.phone || null;
+  }
+  return normalizePhone(jid.replace(/[@:].*$/, '')) || null;
+}
+
+/**
+ * Build a normalized message
+ * @param {Object} data - Message data (payload.data for Evolution API)
+ * @param {Object} context - { event, messageContent, sourceId, sourceType, entityType, entityName, senderName, connectedPhone }
+ */
+function normalize(data, context) {
+  const {
+    event, messageContent, sourceId, sourceType, entityType = null, entityName = null, senderName = null, connectedPhone = null
+  } = context;
+  const key = data.key || {};
+  const contextInfo = getContextInfo(data.message);
+  const isGroup = sourceType === 'group';
+  const participant = isGroup ? (key.participant || data.participant || null) : null;
+
+  // Sender: us for outgoing messages, the participant in groups, the chat itself otherwise
+  let senderPhone;
+  if (messageContent.fromMe) {
+    senderPhone = connectedPhone;
+  } else if (isGroup) {
+    senderPhone = jidToPhone(key.participantPn || data.participantPn || data.senderPn) || jidToPhone(participant);
+  } else {
+    senderPhone = sourceId;
+  }
+
+  const quoted = contextInfo?.quotedMessage ? {
+    id: contextInfo.stanzaId || null,
+    participant: contextInfo.participant || null,
+    body: messageContent.quotedMessage?.body || null
+  } : null;
+
+  const media = messageContent.hasMedia ? {
+    type: messageContent.mediaType,
+    id: messageContent.mediaId,
+    url: messageContent.mediaId ? `${process.env.BASE_URL || ''}/api/media/${messageContent.mediaId}` : null
+  } : null;
+
+  return {
+    schema: SCHEMA_ID,
+    event,
+    id: messageContent.id || null,
+    direction: messageContent.fromMe ? 'outgoing' : 'incoming',
+    timestamp: messageContent.timestamp,
+    chat: {
+      id: key.remoteJid || null,
+      type: isGroup ? 'group' : 'contact',
+      sourceId,
+      entityType,
+      entityName
+    },
+    sender: {
+      phone: senderPhone || null,
+      name: messageContent.fromMe ? null : (senderName || null),
+      participant
+    },
+    type: messageContent.type,
+    body: messageContent.body,
+    media,
+    quoted,
+    reaction: messageContent.reaction || null,
+    mentions: (contextInfo?.mentionedJid || []).map(jid => jidToPhone(jid) || jid),
+    links: messageContent.body.match(LINK_REGEX) || []
+  };
+}
+
+/**
+ * Build a normalized MESSAGE_EDITED / MESSAGE_REVOKED event
+ * Same envelope as a message, with the edit/revoke details under `change`.
+ * @param {Object} eventPayload - The raw event ({ event, data } as forwarded to raw targets)
+ * @param {Object} context - { chatId, type, senderName, connectedPhone }
+ */
+function normalizeChange(eventPayload, context) {
+  const { event, data } = eventPayload;
+  const { chatId = null, type = null, senderName = null, connectedPhone = null } = context;
+  const isEdit = event === 'MESSAGE_EDITED';
+  const isGroup = data.sourceType === 'group';
+  const body = data.body ?? '';
+
+  let senderPhone;
+  if (data.fromMe) {
+    senderPhone = connectedPhone;
+  } else {
+    senderPhone = isGroup ? jidToPhone(data.participant) : data.chat;
+  }
+
+  return {
+    schema: SCHEMA_ID,
+    event,
+    id: data.id,
+    direction: data.fromMe ? 'outgoing' : 'incoming',
+    timestamp: isEdit ? data.editedAt : data.revokedAt,
+    chat: {
+      id: chatId,
+      type: isGroup ? 'group' : 'contact',
+      sourceId: data.chat,
+      entityType: data.entityType ?? null,
+      entityName: data.entityName ?? null
+    },
+    sender: {
+      phone: senderPhone || null,
+      name: data.fromMe ? null : (senderName || null),
+      participant: isGroup ? (data.participant || null) : null
+    },
+    type,
+    body,
+    media: null,
+    quoted: null,
+    reaction: null,
+    change: {
+      action: isEdit ? 'edit' : 'revoke',
+      stored: data.stored,
+      messageTimestamp: data.timestamp,
+      originalBody: data.originalBody,
+      previousBody: isEdit ? data.previousBody : null,
+      editCount: isEdit ? data.editCount : null
+    },
+    mentions: [],
+    links: body.match(LINK_REGEX) || []
+  };
+}
+
+/**
+ * Shape a payload for a target's format
+ * @param {string} format - raw | normalized | both
+ */
+function formatPayload(format, payload, normalized) {
+  if (!normalized || !format || format === 'raw') return payload;
+  if (format === 'normalized') return normalized;
+  return { ...payload, normalized };
+}
+
+/**
+ * JSON Schema for wf.message.v1
+ */
+function getJsonSchema(baseUrl = '') {
+  const nullableString = { type: ['string', 'null'] };
+
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: `${baseUrl}/schemas/${SCHEMA_ID}.json`,
+    title: 'WhatsApp Filter normalized message',
+    type: 'object',
+    required: ['schema', 'event', 'id', 'direction', 'timestamp', 'chat', 'sender', 'type', 'body', 'mentions', 'links'],
+    properties: {
+      schema: { const: SCHEMA_ID },
+      event: { type: 'string', enum: ['MESSAGES_UPSERT', 'SEND_MESSAGE', 'MESSAGE_EDITED', 'MESSAGE_REVOKED'] },
+      id: { ...nullableString, description: 'WhatsApp message ID' },
+      direction: { enum: ['incoming', 'outgoing'] },
+      timestamp: { type: 'string', format: 'date-time' },
+      chat: {
+        type: 'object',
+        required: ['id', 'type', 'sourceId'],
+        properties: {
+          id: { ...nullableString, description: 'Chat JID' },
+          type: { enum: ['contact', 'group'] },
+          sourceId: { type: 'string', description: 'Normalized phone number or group ID' },
+          entityType: { ...nullableString, description: 'Configured contact/group type' },
+          entityName: { ...nullableString, description: 'Configured contact/group name' }
+        }
+      },
+      sender: {
+        type: 'object',
+        required: ['phone', 'name', 'participant'],
+        properties: {
+          phone: { ...nullableString, description: 'Sender phone number (null when a LID cannot be resolved)' },
+          name: { ...nullableString, description: 'WhatsApp push name' },
+          participant: { ...nullableString, description: 'Group participant JID' }
+        }
+      },
+      type: {
+        enum: ['text', 'image', 'video', 'audio', 'document', 'sticker', 'contact', 'location', 'reaction', null],
+        description: 'null only for a revoked message that was never stored'
+      },
+      body: { type: 'string', description: 'Text, caption, file name or a [Type] placeholder' },
+      media: {
+        type: ['object', 'null'],
+        required: ['type', 'id', 'url'],
+        properties: {
+          type: { type: 'string' },
+          id: nullableString,
+          url: { ...nullableString, description: 'Download URL (requires API auth)' },
+          signedUrl: { type: 'string', description: 'Expiring download URL that needs no auth (only when signed media URLs are enabled)' },
+          expiresAt: { type: 'string', format: 'date-time', description: 'When signedUrl expires' }
+        }
+      },
+      quoted: {
+        type: ['object', 'null'],
+        required: ['id', 'participant', 'body'],
+        properties: {
+          id: nullableString,
+          participant: nullableString,
+          body: nullableString
+        }
+      },
+      reaction: {
+        type: ['object', 'null'],
+        description: 'For reactions: the message reacted to (empty emoji = reaction removed)',
+        required: ['targetId', 'emoji', 'removed', 'targetPreview'],
+        properties: {
+          targetId: nullableString,
+          emoji: { type: 'string' },
+          removed: { type: 'boolean' },
+          targetPreview: { ...nullableString, description: 'Start of the target message body (null when not stored)' }
+        }
+      },
+      change: {
+        type: 'object',
+        description: 'For MESSAGE_EDITED / MESSAGE_REVOKED: the change (body is the new version for edits, the last version for revokes)',
+        required: ['action', 'stored', 'messageTimestamp', 'originalBody', 'previousBody', 'editCount'],
+        properties: {
+          action: { enum: ['edit', 'revoke'] },
+          stored: { type: 'boolean', description: 'Whether the message was in the store' },
+          messageTimestamp: { ...nullableString, description: 'When the message was originally sent (null when not stored)' },
+          originalBody: { ...nullableString, description: 'First version of the message (null when not stored)' },
+          previousBody: { ...nullableString, description: 'Version before this edit' },
+          editCount: { type: ['integer', 'null'] }
+        }
+      },
+      mentions: { type: 'array', items: { type: 'string' }, description: 'Mentioned phone numbers (or JIDs when unresolved)' },
+      links: { type: 'array', items: { type: 'string' } }
+    }
+  };
+}
+
+module.exports = {
+  normalize,
+  normalizeChange,
+  formatPayload,
+  getJsonSchema,
+  SCHEMA_ID,
+  PAYLOAD_FORMATS
+};
@@ -1,216 +1,814 @@
 /**
  * Message storage service
- * Stores filtered messages for retrieval via API
+ * Stores filtered messages for retrieval via API, in an embedded SQLite database (config/messages.db).
+ * Existing messages.json / sent-messages.json files are migrated on first start.
+ * With encryption at rest (services/encryption.js) the whole database file is encrypted.
  */
 
 const fs = require('fs').promises;
+const { copyFileSync } = require('fs');
 const path = require('path');
+const Database = require('better-sqlite3-multiple-ciphers');
+const encryption = require('./encryption');
 const logger = require('../utils/logger');
+const searchText = require('../utils/searchText');
 
-const MESSAGES_FILE = path.join(__dirname, '..', 'config', 'messages.json');
-const MAX_MESSAGES_PER_PHONE = parseInt(process.env.MAX_MESSAGES_PER_PHONE) || 100;
-const MAX_TOTAL_MESSAGES = parseInt(process.env.MAX_TOTAL_MESSAGES) || 5000;
-const SAVE_INTERVAL = 60 * 1000; // 1 minute
+const CONFIG_DIR = path.join(__dirname, '..', 'config');
+const DB_FILE = path.join(CONFIG_DIR, 'messages.db');
+const LEGACY_MESSAGES_FILE = path.join(CONFIG_DIR, 'messages.json');
+const LEGACY_SENT_INDEX_FILE = path.join(CONFIG_DIR, 'sent-messages.json');
+const MAX_MESSAGES_PER_PHONE = parseInt(process.env.MAX_MESSAGES_PER_PHONE) || 10000;
+const MAX_TOTAL_MESSAGES = parseInt(process.env.MAX_TOTAL_MESSAGES) || 1000000;
+const MAX_SENT_IDS = parseInt(process.env.SENT_INDEX_MAX) || 10000;
 
-// In-memory message store: { phone: [messages] }
-let messageStore = {};
-let saveTimer = null;
-let isDirty = false;
+// IDs of messages imported from chat exports (see services/messageImport.js)
+const IMPORT_ID_PREFIX = 'import_';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS messages (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT NOT NULL,
+    chat TEXT NOT NULL,
+    body TEXT NOT NULL DEFAULT '',
+    timestamp TEXT NOT NULL,
+    from_me INTEGER NOT NULL DEFAULT 0,
+    type TEXT NOT NULL DEFAULT 'text',
+    has_media INTEGER NOT NULL DEFAULT 0,
+    media_type TEXT,
+    media_id TEXT,
+    thumb_base64 TEXT,
+    quoted_message TEXT,
+    stored_at TEXT NOT NULL,
+    edit_history TEXT,
+    edited_at TEXT,
+    revoked_at TEXT,
+    sender TEXT,
+    sender_name TEXT
+  );
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_chat_id ON messages (chat, id);
+  CREATE INDEX IF NOT EXISTS idx_messages_chat_timestamp ON messages (chat, timestamp);
+  CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON messages (timestamp);
+  CREATE INDEX IF NOT EXISTS idx_messages_id ON messages (id);
+
+  -- Full-text index of message bodies (normalized by utils/searchText, rowid = messages.seq)
+  CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(search_text, tokenize = 'unicode61 remove_diacritics 2');
+  CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+    DELETE FROM messages_fts WHERE rowid = old.seq;
+  END;
+
+  -- Reactions, one per reactor and message ('me' for ours) - removed when the reactor clears it
+  CREATE TABLE IF NOT EXISTS reactions (
+    chat TEXT NOT NULL,
+    message_id TEXT NOT NULL,
+    reactor TEXT NOT NULL,
+    emoji TEXT NOT NULL,
+    from_me INTEGER NOT NULL DEFAULT 0,
+    timestamp TEXT NOT NULL,
+    PRIMARY KEY (chat, message_id, reactor)
+  );
+  CREATE TRIGGER IF NOT EXISTS messages_reactions_delete AFTER DELETE ON messages BEGIN
+    DELETE FROM reactions WHERE chat = old.chat AND message_id = old.id;
+  END;
+
+  -- IDs of messages we sent (reply-to-me detection), independent of which chats are stored
+  CREATE TABLE IF NOT EXISTS sent_messages (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT NOT NULL UNIQUE,
+    sent_at TEXT NOT NULL
+  );
+`;
+
+// Columns added to existing databases by migrateSchema()
+const ADDED_COLUMNS = {
+  edit_history: 'TEXT', // JSON [{ body, timestamp }] - earlier versions, oldest first
+  edited_at: 'TEXT',
+  revoked_at: 'TEXT',
+  sender: 'TEXT', // Sender phone of incoming messages (group participant, or the chat)
+  sender_name: 'TEXT'
+};
+
+// Messages of one sender in a chat: ours for 'me', otherwise incoming by sender phone
+// (rows stored before senders were recorded match when the sender is the chat itself)
+const SENDER_CONDITION = `(CASE WHEN @sender = 'me' THEN from_me = 1
+  ELSE from_me = 0 AND (sender = @sender OR (sender IS NULL AND chat = @sender)) END)`;
+
+let db = null;
+let statements = null;
+let totalMessages = 0;
 
 /**
- * Load messages from file
+ * Open the database, create the schema and migrate legacy JSON files
  */
 async function load() {
+  await fs.mkdir(CONFIG_DIR, { recursive: true });
+
+  db = openDatabase();
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+  db.exec(SCHEMA);
+  migrateSchema();
+  prepareStatements();
+
+  await migrateLegacyMessages();
+  await migrateLegacySentIndex();
+  if (encryption.hasKeys()) {
+    await encryptLegacyBackups();
+  }
+  rebuildSearchIndexIfMissing();
+
+  totalMessages = statements.countAll.get().count;
+  logger.info('Message store loaded', {
+    phones: statements.countChats.get().count,
+    totalMessages,
+    sentIndex: statements.countSent.get().count
+  });
+}
+
+/**
+ * Open a database file with whichever configured key works (or none, if it is not encrypted)
+ * @returns {Object} { db, key }
+ * @throws {Error} If none of the configured keys opens the file
+ */
+function openWithKeys(filePath, options = {}) {
+  const { current, previous } = encryption.getDatabaseKeys();
+
+  for (const key of new Set([current, ...previous, null])) {
+    const candidate = new Database(filePath, options);
+    try {
+      if (key) candidate.pragma(`hexkey='${key}'`);
+      candidate.prepare('SELECT count(*) FROM sqlite_master').get();
+    } catch (error) {
+      candidate.close();
+      if (error.code === 'SQLITE_NOTADB') continue;
+      throw error;
+    }
+    return { db: candidate, key };
+  }
+
+  throw new Error(`${path.basename(filePath)} cannot be opened with the configured keys (ENCRYPTION_KEY / ENCRYPTION_PREVIOUS_KEYS)`);
+}
+
+/**
+ * Open the database with the current encryption key
+ * A plaintext database, or one encrypted with a previous key, is rekeyed to the current key
+ * (or decrypted when encryption was turned off). Rekeying is not possible in WAL mode.
+ */
+function openDatabase() {
+  const { db: database, key } = openWithKeys(DB_FILE);
+  const { current } = encryption.getDatabaseKeys();
+
+  const rekey = key !== current;
+  if (rekey) {
+    database.pragma('journal_mode = DELETE');
+    database.pragma(current ? `hexrekey='${current}'` : "rekey=''");
+  }
+  encryption.recordMigration('messages', { migrated: rekey ? 1 : 0, total: 1 });
+  return database;
+}
+
+/**
+ * Encrypt the renamed legacy JSON files (kept as backups, with full message bodies)
+ */
+async function encryptLegacyBackups() {
+  for (const file of [LEGACY_MESSAGES_FILE, LEGACY_SENT_INDEX_FILE]) {
+    try {
+      await encryption.migrateFile(`${file}.migrated`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+/**
+ * Add columns introduced after the table was first created
+ */
+function migrateSchema() {
+  const columns = new Set(db.prepare('PRAGMA table_info(messages)').all().map(column => column.name));
+  for (const [name, definition] of Object.entries(ADDED_COLUMNS)) {
+    if (!columns.has(name)) {
+      db.exec(`ALTER TABLE messages ADD COLUMN ${name} ${definition}`);
+      logger.info('Message store column added', { column: name });
+    }
+  }
+  db.exec('CREATE INDEX IF NOT EXISTS idx_messages_chat_sender ON messages (chat, sender)');
+}
+
+/**
+ * Prepare statements once
+ */
+function prepareStatements() {
+  statements = {
+    insert: db.prepare(`
+      INSERT OR IGNORE INTO messages
+        (id, chat, body, timestamp, from_me, type, has_media, media_type, media_id, thumb_base64, quoted_message, stored_at, sender, sender_name)
+      VALUES
+        (@id, @chat, @body, @timestamp, @fromMe, @type, @hasMedia, @mediaType, @mediaId, @thumbBase64, @quotedMessage, @storedAt, @sender, @senderName)
+    `),
+    insertFts: db.prepare('INSERT INTO messages_fts (rowid, search_text) VALUES (?, ?)'),
+    countFts: db.prepare('SELECT COUNT(*) AS count FROM messages_fts'),
+    countAll: db.prepare('SELECT COUNT(*) AS count FROM messages'),
+    countChats: db.prepare('SELECT COUNT(DISTINCT chat) AS count FROM messages'),
+    countChat: db.prepare('SELECT COUNT(*) AS count FROM messages WHERE chat = ?'),
+    listChat: db.prepare(`
+      SELECT * FROM messages WHERE chat = ?
+      ORDER BY timestamp DESC, seq DESC LIMIT ? OFFSET ?
+    `),
+    countChatSender: db.prepare(`SELECT COUNT(*) AS count FROM messages WHERE chat = @chat AND ${SENDER_CONDITION}`),
+    listChatSender: db.prepare(`
+      SELECT * FROM messages WHERE chat = @chat AND ${SENDER_CONDITION}
+      ORDER BY timestamp DESC, seq DESC LIMIT @limit OFFSET @offset
+    `),
+    listSenders: db.prepare(`
+      SELECT g.sender, (
+        SELECT sender_name FROM messages n
+        WHERE n.chat = @chat AND n.from_me = 0 AND n.sender = g.sender AND n.sender_name IS NOT NULL
+        ORDER BY n.timestamp DESC LIMIT 1
+      ) AS senderName, g.messageCount, g.firstMessage, g.lastMessage
+      FROM (
+        SELECT CASE WHEN from_me = 1 THEN 'me' ELSE sender END AS sender,
+          COUNT(*) AS messageCount, MIN(timestamp) AS firstMessage, MAX(timestamp) AS lastMessage
+        FROM messages WHERE chat = @chat GROUP BY 1
+      ) g
+      ORDER BY messageCount DESC
+    `),
+    listRange: db.prepare(`
+      SELECT * FROM messages
+      WHERE chat = @chat AND (@from IS NULL OR timestamp >= @from) AND (@to IS NULL OR timestamp <= @to)
+      ORDER BY timestamp ASC, seq ASC
+    `),
+    listChats: db.prepare(`
+      SELECT chat, COUNT(*) AS messageCount, MAX(timestamp) AS lastMessage
+      FROM messages GROUP BY chat ORDER BY lastMessage DESC
+    `),
+    trimChat: db.prepare(`
+      DELETE FROM messages WHERE seq IN (
+        SELECT seq FROM messages WHERE chat = ? ORDER BY timestamp ASC, seq ASC LIMIT ?
+      )
+    `),
+    trimAll: db.prepare(`
+      DELETE FROM messages WHERE seq IN (
+        SELECT seq FROM messages ORDER BY timestamp ASC, seq ASC LIMIT ?
+      )
+    `),
+    deleteChat: db.prepare('DELETE FROM messages WHERE chat = ?'),
+    findById: db.prepare('SELECT 1 FROM messages WHERE chat = ? AND id = ?'),
+    getById: db.prepare('SELECT * FROM messages WHERE chat = ? AND id = ?'),
+    updateEdit: db.prepare('UPDATE messages SET body = ?, edit_history = ?, edited_at = ? WHERE seq = ?'),
+    updateFts: db.prepare('UPDATE messages_fts SET search_text = ? WHERE rowid = ?'),
+    updateRevoked: db.prepare('UPDATE messages SET revoked_at = ? WHERE seq = ?'),
+    findSimilar: db.prepare(`
+      SELECT 1 FROM messages
+      WHERE chat = ? AND from_me = ? AND body = ? AND timestamp >= ? AND timestamp < ?
+        AND substr(id, 1, ${IMPORT_ID_PREFIX.length}) != '${IMPORT_ID_PREFIX}'
+      LIMIT 1
+    `),
+    findOlder: db.prepare('SELECT COUNT(*) AS count, json_group_array(media_id) FILTER (WHERE media_id IS NOT NULL) AS mediaIds FROM messages WHERE chat = ? AND timestamp < ?'),
+    deleteOlder: db.prepare('DELETE FROM messages WHERE chat = ? AND timestamp < ?'),
+    upsertReaction: db.prepare(`
+      INSERT INTO reactions (chat, message_id, reactor, emoji, from_me, timestamp)
+      VALUES (@chat, @messageId, @reactor, @emoji, @fromMe, @timestamp)
+      ON CONFLICT (chat, message_id, reactor) DO UPDATE SET emoji = excluded.emoji, timestamp = excluded.timestamp
+      WHERE excluded.timestamp >= reactions.timestamp
+    `),
+    deleteReaction: db.prepare('DELETE FROM reactions WHERE chat = @chat AND message_id = @messageId AND reactor = @reactor AND timestamp <= @timestamp'),
+    listReactions: db.prepare(`
+      SELECT * FROM reactions
+      WHERE chat = ? AND message_id IN (SELECT value FROM json_each(?))
+      ORDER BY timestamp ASC
+    `),
+    insertSent: db.prepare('INSERT OR IGNORE INTO sent_messages (id, sent_at) VALUES (?, ?)'),
+    findSent: db.prepare('SELECT 1 FROM sent_messages WHERE id = ?'),
+    countSent: db.prepare('SELECT COUNT(*) AS count FROM sent_messages'),
+    trimSent: db.prepare(`
+      DELETE FROM sent_messages WHERE seq IN (
+        SELECT seq FROM sent_messages ORDER BY seq ASC LIMIT ?
+      )
+    `)
+  };
+}
+
+/**
+ * Import messages.json (one-time) and rename it so it is not imported again
+ */
+async function migrateLegacyMessages() {
+  let legacy;
   try {
-    const data = await fs.readFile(MESSAGES_FILE, 'utf8');
-    messageStore = JSON.parse(data);
-    logger.info('Message store loaded', {
-      phones: Object.keys(messageStore).length,
-      totalMessages: Object.values(messageStore).reduce((sum, msgs) => sum + msgs.length, 0)
-    });
+    legacy = JSON.parse(await fs.readFile(LEGACY_MESSAGES_FILE, 'utf8'));
   } catch (error) {
     if (error.code !== 'ENOENT') {
-      logger.error('Failed to load message store', { error: error.message });
+      logger.error('Failed to read legacy message store', { error: error.message });
     }
-    messageStore = {};
+    return;
   }
+
+  let imported = 0;
+  db.transaction(() => {
+    for (const [phone, messages] of Object.entries(legacy)) {
+      // Legacy arrays are newest first - insert oldest first to keep their order
+      for (const message of [...messages].reverse()) {
+        imported += insertMessage(toRow(phone, message));
+        if (message.fromMe && message.id) {
+          statements.insertSent.run(message.id, message.timestamp || new Date().toISOString());
+        }
+      }
+    }
+  })();
+
+  await fs.rename(LEGACY_MESSAGES_FILE, `${LEGACY_MESSAGES_FILE}.migrated`);
+  logger.info('Migrated messages.json to SQLite', { phones: Object.keys(legacy).length, imported });
 }
 
 /**
- * Save messages to file
+ * Import sent-messages.json (one-time) and rename it so it is not imported again
  */
-async function save() {
-  if (!isDirty) return;
-
+async function migrateLegacySentIndex() {
+  let legacy;
   try {
-    await fs.writeFile(MESSAGES_FILE, JSON.stringify(messageStore, null, 2));
-    isDirty = false;
-    logger.debug('Message store saved');
+    legacy = JSON.parse(await fs.readFile(LEGACY_SENT_INDEX_FILE, 'utf8'));
   } catch (error) {
-    logger.error('Failed to save message store', { error: error.message });
+    if (error.code !== 'ENOENT') {
+      logger.error('Failed to read legacy sent message index', { error: error.message });
+    }
+    return;
   }
+
+  db.transaction(() => {
+    for (const [id, sentAt] of legacy) {
+      statements.insertSent.run(id, sentAt);
+    }
+  })();
+
+  await fs.rename(LEGACY_SENT_INDEX_FILE, `${LEGACY_SENT_INDEX_FILE}.migrated`);
+  logger.info('Migrated sent message index to SQLite', { ids: legacy.length });
 }
 
 /**
- * Start periodic save timer
+ * Index messages stored before the search index existed
  */
-function startAutoSave() {
-  if (saveTimer) return;
+function rebuildSearchIndexIfMissing() {
+  const total = statements.countAll.get().count;
+  if (total === 0 || statements.countFts.get().count > 0) return;
+
+  // Read in batches - the connection cannot write while a read is still iterating
+  const nextBatch = db.prepare('SELECT seq, body FROM messages WHERE seq > ? ORDER BY seq LIMIT 5000');
+  db.transaction(() => {
+    let rows = nextBatch.all(0);
+    while (rows.length > 0) {
+      for (const row of rows) {
+        statements.insertFts.run(row.seq, searchText.buildSearchText(row.body));
+      }
+      rows = nextBatch.all(rows[rows.length - 1].seq);
+    }
+  })();
 
-  saveTimer = setInterval(() => {
-    save().catch(err => logger.error('Message store auto-save failed', { error: err.message }));
-  }, SAVE_INTERVAL);
+  logger.info('Message search index built', { messages: total });
 }
 
 /**
- * Stop auto-save timer
+ * Copy the database file (for backups) - consistent, as all writes go through this connection synchronously
+ * The copy is encrypted like the database.
  */
-function stopAutoSave() {
-  if (saveTimer) {
-    clearInterval(saveTimer);
-    saveTimer = null;
-  }
+function snapshot(filePath) {
+  db.pragma('wal_checkpoint(TRUNCATE)');
+  copyFileSync(DB_FILE, filePath);
 }
 
 /**
- * Store a message
+ * Check that a database file (from a backup) opens with the configured keys and is intact
+ * @throws {Error} If it cannot be opened or fails the integrity check
  */
-function storeMessage(phone, message) {
-  // Normalize phone number
-  const normalizedPhone = phone.replace(/\D/g, '');
+function checkDatabase(filePath) {
+  const { db: database } = openWithKeys(filePath, { fileMustExist: true });
+  try {
+    const result = database.pragma('quick_check', { simple: true });
+    if (result !== 'ok') {
+      throw new Error(`${path.basename(filePath)} is corrupt: ${result}`);
+    }
+  } finally {
+    database.close();
+  }
+}
 
-  if (!messageStore[normalizedPhone]) {
-    messageStore[normalizedPhone] = [];
+/**
+ * Close the database (used on shutdown)
+ */
+function close() {
+  if (db) {
+    db.close();
+    db = null;
   }
+}
 
-  // Add message at the beginning (newest first)
-  messageStore[normalizedPhone].unshift({
+/**
+ * Normalize a chat key (phone number or group ID)
+ */
+function normalizeChat(phone) {
+  return phone.replace(/\D/g, '');
+}
+
+/**
+ * Convert a message to a database row
+ */
+function toRow(phone, message) {
+  return {
     id: message.id || `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    chat: normalizeChat(phone),
     body: message.body || '',
     timestamp: message.timestamp || new Date().toISOString(),
-    fromMe: message.fromMe || false,
+    fromMe: message.fromMe ? 1 : 0,
     type: message.type || 'text',
-    hasMedia: message.hasMedia || false,
+    hasMedia: message.hasMedia ? 1 : 0,
     mediaType: message.mediaType || null,
     mediaId: message.mediaId || null,
     thumbBase64: message.thumbBase64 || null,
-    quotedMessage: message.quotedMessage || null,
-    storedAt: new Date().toISOString()
-  });
+    quotedMessage: message.quotedMessage ? JSON.stringify(message.quotedMessage) : null,
+    storedAt: message.storedAt || new Date().toISOString(),
+    sender: message.sender ? normalizeChat(message.sender) : null,
+    senderName: message.senderName || null
+  };
+}
+
+/**
+ * Convert a database row to the API message shape
+ */
+function fromRow(row) {
+  return {
+    id: row.id,
+    body: row.body,
+    timestamp: row.timestamp,
+    fromMe: !!row.from_me,
+    type: row.type,
+    hasMedia: !!row.has_media,
+    mediaType: row.media_type,
+    mediaId: row.media_id,
+    thumbBase64: row.thumb_base64,
+    quotedMessage: row.quoted_message ? JSON.parse(row.quoted_message) : null,
+    storedAt: row.stored_at,
+    sender: row.sender || null,
+    senderName: row.sender_name || null,
+    editedAt: row.edited_at || null,
+    edits: row.edit_history ? JSON.parse(row.edit_history) : [],
+    revokedAt: row.revoked_at || null
+  };
+}
+
+/**
+ * Insert a row and index its body
+ * @returns {number} 1 if inserted, 0 if already stored (same chat and message ID)
+ */
+function insertMessage(row) {
+  return db.transaction(() => {
+    const { changes, lastInsertRowid } = statements.insert.run(row);
+    if (changes > 0) {
+      statements.insertFts.run(lastInsertRowid, searchText.buildSearchText(row.body));
+    }
+    return changes;
+  })();
+}
+
+/**
+ * Store a message
+ */
+function storeMessage(phone, message) {
+  const row = toRow(phone, message);
+  if (insertMessage(row) === 0) return;
+
+  totalMessages++;
 
   // Trim to max messages per phone
-  if (messageStore[normalizedPhone].length > MAX_MESSAGES_PER_PHONE) {
-    messageStore[normalizedPhone] = messageStore[normalizedPhone].slice(0, MAX_MESSAGES_PER_PHONE);
+  const chatCount = statements.countChat.get(row.chat).count;
+  if (chatCount > MAX_MESSAGES_PER_PHONE) {
+    totalMessages -= statements.trimChat.run(row.chat, chatCount - MAX_MESSAGES_PER_PHONE).changes;
   }
 
-  // Check total message count and cleanup if needed
-  const totalMessages = Object.values(messageStore).reduce((sum, msgs) => sum + msgs.length, 0);
+  // Trim oldest messages overall
   if (totalMessages > MAX_TOTAL_MESSAGES) {
-    cleanupOldMessages();
+    const removed = statements.trimAll.run(totalMessages - MAX_TOTAL_MESSAGES).changes;
+    totalMessages -= removed;
+    logger.info('Cleaned up old messages', { removed });
   }
+}
 
-  isDirty = true;
+/**
+ * Record the ID of a message we sent (API send, SEND_MESSAGE event or fromMe upsert)
+ */
+function recordSent(id, sentAt = new Date().toISOString()) {
+  if (!id) return;
+
+  const { changes } = statements.insertSent.run(id, sentAt);
+  if (changes === 0) return;
+
+  // Trim oldest IDs
+  const count = statements.countSent.get().count;
+  if (count > MAX_SENT_IDS) {
+    statements.trimSent.run(count - MAX_SENT_IDS);
+  }
+}
+
+/**
+ * Check if a message ID is one we sent
+ */
+function isOurMessage(id) {
+  return !!id && !!statements.findSent.get(id);
 }
 
 /**
  * Get messages for a phone number
+ * @param {Object} options - { limit, offset, sender ('me' or phone) }
  */
 function getMessages(phone, options = {}) {
   const { limit = 50, offset = 0 } = options;
-  const normalizedPhone = phone.replace(/\D/g, '');
+  const chat = normalizeChat(phone);
+  const sender = options.sender === 'me' ? 'me' : (options.sender ? normalizeChat(options.sender) : null);
 
-  const messages = messageStore[normalizedPhone] || [];
-  const total = messages.length;
+  const total = sender
+    ? statements.countChatSender.get({ chat, sender }).count
+    : statements.countChat.get(chat).count;
+  const rows = sender
+    ? statements.listChatSender.all({ chat, sender, limit, offset })
+    : statements.listChat.all(chat, limit, offset);
+  const messages = attachReactions(chat, rows.map(fromRow));
 
   return {
-    messages: messages.slice(offset, offset + limit),
+    messages,
     total,
     hasMore: offset + limit < total
   };
 }
 
+/**
+ * Add each message's reactions ({ reactor, emoji, fromMe, timestamp }, oldest first)
+ */
+function attachReactions(chat, messages) {
+  const byMessage = new Map(messages.map(message => [message.id, []]));
+  if (byMessage.size === 0) return messages;
+
+  for (const row of statements.listReactions.all(chat, JSON.stringify([...byMessage.keys()]))) {
+    byMessage.get(row.message_id)?.push({
+      reactor: row.reactor,
+      emoji: row.emoji,
+      fromMe: !!row.from_me,
+      timestamp: row.timestamp
+    });
+  }
+  return messages.map(message => ({ ...message, reactions: byMessage.get(message.id) }));
+}
+
+/**
+ * Record a reaction on a stored message - an empty emoji removes the reactor's reaction
+ * Older reactions than the stored one (redeliveries) are ignored.
+ * @param {Object} reaction - { reactor ('me' or phone), emoji, fromMe, timestamp }
+ * @returns {Object|null} Target message with its reactions, null if the target is not stored
+ */
+function recordReaction(phone, messageId, reaction) {
+  const chat = normalizeChat(phone);
+  if (!statements.findById.get(chat, messageId)) return null;
+
+  const params = {
+    chat,
+    messageId,
+    reactor: reaction.reactor,
+    emoji: reaction.emoji || '',
+    fromMe: reaction.fromMe ? 1 : 0,
+    timestamp: reaction.timestamp || new Date().toISOString()
+  };
+  if (params.emoji) {
+    statements.upsertReaction.run(params);
+  } else {
+    statements.deleteReaction.run(params);
+  }
+  return getMessage(chat, messageId);
+}
+
+/**
+ * Get a stored message by ID
+ * @returns {Object|null}
+ */
+function getMessage(phone, id) {
+  const chat = normalizeChat(phone);
+  const row = statements.getById.get(chat, id);
+  return row ? attachReactions(chat, [fromRow(row)])[0] : null;
+}
+
+/**
+ * Apply an edit - the previous body is appended to the message's edit history
+ * Repeated deliveries of the same edit are ignored.
+ * @returns {Object|null} { message, changed }, null if the message is not stored
+ */
+function recordEdit(phone, id, body, editedAt = new Date().toISOString()) {
+  return db.transaction(() => {
+    const row = statements.getById.get(normalizeChat(phone), id);
+    if (!row) return null;
+    if (row.body === body) return { message: fromRow(row), changed: false };
+
+    const history = row.edit_history ? JSON.parse(row.edit_history) : [];
+    history.push({ body: row.body, timestamp: row.edited_at || row.timestamp });
+
+    statements.updateEdit.run(body, JSON.stringify(history), editedAt, row.seq);
+    statements.updateFts.run(searchText.buildSearchText(body), row.seq);
+    return { message: fromRow(statements.getById.get(row.chat, id)), changed: true };
+  })();
+}
+
+/**
+ * Mark a message as deleted for everyone - the body is kept
+ * @returns {Object|null} { message, changed }, null if the message is not stored
+ */
+function markRevoked(phone, id, revokedAt = new Date().toISOString()) {
+  const row = statements.getById.get(normalizeChat(phone), id);
+  if (!row) return null;
+  if (row.revoked_at) return { message: fromRow(row), changed: false };
+
+  statements.updateRevoked.run(revokedAt, row.seq);
+  return { message: fromRow({ ...row, revoked_at: revokedAt }), changed: true };
+}
+
+/**
+ * Get a chat's messages in a date range, oldest first (export)
+ * @param {Object} options - { from, to } (Date, ISO string or omitted)
+ */
+function getMessagesInRange(phone, options = {}) {
+  const toIso = value => (value ? new Date(value).toISOString() : null);
+  const chat = normalizeChat(phone);
+  return attachReactions(chat, statements.listRange.all({
+    chat,
+    from: toIso(options.from),
+    to: toIso(options.to)
+  }).map(fromRow));
+}
+
+/**
+ * Message counts per sender in a chat (group participants), most active first
+ * sender is 'me' for our messages and null for messages stored without a sender; senderName is the latest push name.
+ * @returns {Array} [{ sender, senderName, messageCount, firstMessage, lastMessage }]
+ */
+function getSenders(phone) {
+  return statements.listSenders.all({ chat: normalizeChat(phone) });
+}
+
 /**
  * Get all phones with messages
  */
 function getPhones() {
-  return Object.keys(messageStore).map(phone => ({
-    phone,
-    messageCount: messageStore[phone].length,
-    lastMessage: messageStore[phone][0]?.timestamp || null
+  return statements.listChats.all().map(row => ({
+    phone: row.chat,
+    messageCount: row.messageCount,
+    lastMessage: row.lastMessage
   }));
 }
 
+/**
+ * Search stored messages
+ * @param {Object} options - { q, chat, sender ('me' or phone), type, from, to, fromMe, limit, offset }
+ * @returns {Object} { results: [{ chat, message, snippet, highlights, rank }], total, hasMore }
+ */
+function search(options = {}) {
+  const { q = '', chat, sender, type, from, to, fromMe, limit = 50, offset = 0 } = options;
+  const match = searchText.buildMatchQuery(q);
+  if (q.trim() && !match) {
+    return { results: [], total: 0, hasMore: false }; // Only punctuation - nothing to match
+  }
+
+  const conditions = [];
+  const params = {};
+
+  if (match) {
+    conditions.push('messages_fts MATCH @match');
+    params.match = match;
+  }
+  if (chat) {
+    conditions.push('m.chat = @chat');
+    params.chat = normalizeChat(chat);
+  }
+  if (sender === 'me') {
+    conditions.push('m.from_me = 1');
+  } else if (sender) {
+    // Messages stored without a sender match when the sender is their (private) chat
+    conditions.push('m.from_me = 0 AND (m.sender = @sender OR (m.sender IS NULL AND m.chat = @sender))');
+    params.sender = normalizeChat(sender);
+  }
+  if (type) {
+    conditions.push('m.type = @type');
+    params.type = type;
+  }
+  if (from) {
+    conditions.push('m.timestamp >= @from');
+    params.from = new Date(from).toISOString();
+  }
+  if (to) {
+    conditions.push('m.timestamp <= @to');
+    params.to = new Date(to).toISOString();
+  }
+  if (fromMe !== undefined) {
+    conditions.push('m.from_me = @fromMe');
+    params.fromMe = fromMe ? 1 : 0;
+  }
+
+  const join = match ? 'JOIN messages_fts ON messages_fts.rowid = m.seq' : '';
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const order = match ? 'ORDER BY bm25(messages_fts), m.timestamp DESC' : 'ORDER BY m.timestamp DESC, m.seq DESC';
+
+  const total = db.prepare(`SELECT COUNT(*) AS count FROM messages m ${join} ${where}`).get(params).count;
+  const rows = db.prepare(`
+    SELECT m.*${match ? ', bm25(messages_fts) AS rank' : ''}
+    FROM messages m ${join} ${where} ${order}
+    LIMIT @limit OFFSET @offset
+  `).all({ ...params, limit, offset });
+
+  return {
+    results: rows.map(row => ({
+      chat: row.chat,
+      message: fromRow(row),
+      ...searchText.buildSnippet(row.body, q),
+      rank: row.rank ?? null
+    })),
+    total,
+    hasMore: offset + rows.length < total
+  };
+}
+
 /**
  * Delete messages for a phone number
  */
 function deleteMessages(phone) {
-  const normalizedPhone = phone.replace(/\D/g, '');
-  const count = messageStore[normalizedPhone]?.length || 0;
-  delete messageStore[normalizedPhone];
-  isDirty = true;
+  const count = statements.deleteChat.run(normalizeChat(phone)).changes;
+  totalMessages -= count;
   return count;
 }
 
 /**
- * Cleanup old messages to stay under total limit
+ * Check if a message is already stored - same ID, or a live message with the same sender and body
+ * within a time window (imported messages only have minute precision and no WhatsApp ID).
+ * Imported messages are matched by ID only, so repeated identical lines in one export are all kept.
+ * @param {number} windowMs - Window starting at the message timestamp
  */
-function cleanupOldMessages() {
-  // Get all messages with phone reference
-  const allMessages = [];
-  Object.entries(messageStore).forEach(([phone, messages]) => {
-    messages.forEach((msg, index) => {
-      allMessages.push({ phone, index, timestamp: msg.timestamp || msg.storedAt });
-    });
-  });
-
-  // Sort by timestamp (oldest first)
-  allMessages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-
-  // Remove oldest messages until under limit
-  const toRemove = allMessages.length - MAX_TOTAL_MESSAGES;
-  if (toRemove > 0) {
-    const removeSet = new Set(allMessages.slice(0, toRemove).map(m => `${m.phone}:${m.index}`));
+function isDuplicate(phone, message, windowMs = 1000) {
+  const chat = normalizeChat(phone);
+  if (message.id && statements.findById.get(chat, message.id)) return true;
 
-    Object.keys(messageStore).forEach(phone => {
-      messageStore[phone] = messageStore[phone].filter((_, index) =>
-        !removeSet.has(`${phone}:${index}`)
-      );
-
-      // Remove empty phone entries
-      if (messageStore[phone].length === 0) {
-        delete messageStore[phone];
-      }
-    });
+  const start = new Date(message.timestamp);
+  const end = new Date(start.getTime() + windowMs);
+  return !!statements.findSimilar.get(chat, message.fromMe ? 1 : 0, message.body || '', start.toISOString(), end.toISOString());
+}
 
-    logger.info('Cleaned up old messages', { removed: toRemove });
-  }
+/**
+ * Find a chat's messages older than a cutoff (retention preview)
+ * @returns {Object} { count, mediaIds }
+ */
+function findOlderThan(phone, cutoff) {
+  const row = statements.findOlder.get(normalizeChat(phone), cutoff.toISOString());
+  return { count: row.count, mediaIds: JSON.parse(row.mediaIds) };
+}
 
-  isDirty = true;
+/**
+ * Delete a chat's messages older than a cutoff
+ * @returns {Object} { count, mediaIds } - media referenced by the deleted messages
+ */
+function deleteOlderThan(phone, cutoff) {
+  const chat = normalizeChat(phone);
+  return db.transaction(() => {
+    const { mediaIds } = findOlderThan(chat, cutoff);
+    const count = statements.deleteOlder.run(chat, cutoff.toISOString()).changes;
+    totalMessages -= count;
+    return { count, mediaIds };
+  })();
 }
 
 /**
  * Get stats
  */
 function getStats() {
-  const phones = Object.keys(messageStore).length;
-  const totalMessages = Object.values(messageStore).reduce((sum, msgs) => sum + msgs.length, 0);
-
   return {
-    phones,
+    phones: statements.countChats.get().count,
     totalMessages,
     maxPerPhone: MAX_MESSAGES_PER_PHONE,
-    maxTotal: MAX_TOTAL_MESSAGES
+    maxTotal: MAX_TOTAL_MESSAGES,
+    sentIndex: statements.countSent.get().count,
+    maxSentIndex: MAX_SENT_IDS
   };
 }
 
 module.exports = {
   load,
-  save,
-  startAutoSave,
-  stopAutoSave,
+  snapshot,
+  checkDatabase,
+  close,
   storeMessage,
+  recordSent,
+  isOurMessage,
   getMessages,
+  getMessage,
+  getMessagesInRange,
+  recordEdit,
+  markRevoked,
+  recordReaction,
+  search,
   getPhones,
+  getSenders,
   deleteMessages,
-  getStats
+  isDuplicate,
+  findOlderThan,
+  deleteOlderThan,
+  getStats,
+  IMPORT_ID_PREFIX
 };
@@ -0,0 +1,259 @@
+/**
+ * Retention policies for stored messages and media
+ * Age limits per contact/group type and per media kind, plus a total media size cap.
+ * Enforced by a scheduled sweeper; count limits (MAX_MESSAGES_PER_PHONE etc.) still apply on write.
+ */
+
+const logger = require('../utils/logger');
+const messageStore = require('./messageStore');
+const mediaStore = require('./mediaStore');
+const { isValidContactType, isValidGroupType } = require('../utils/validators');
+
+const SWEEP_INTERVAL = (parseInt(process.env.RETENTION_SWEEP_MINUTES) || 60) * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MEDIA_KINDS = ['image', 'video', 'audio', 'document'];
+
+// Saved policies
+// { messages: { maxAgeDays, byType: { TYPE: days|null } }, media: { maxAgeDays, byKind: { kind: days|null }, maxTotalMB } }
+let policies = {};
+
+// Returns { chat: entityType } for configured contacts and groups
+let getChatTypes = () => ({});
+
+let sweepTimer = null;
+let sweeping = false;
+let lastSweep = null;
+
+/**
+ * Set retention policies (from config)
+ */
+function setPolicies(config) {
+  policies = config && typeof config === 'object' ? config : {};
+}
+
+/**
+ * Get retention policies (for saving config)
+ */
+function getPolicies() {
+  return policies;
+}
+
+/**
+ * Check if any policy is set
+ */
+function isConfigured(candidate = policies) {
+  const { messages = {}, media = {} } = candidate;
+  return !!(messages.maxAgeDays || Object.keys(messages.byType || {}).length > 0 ||
+    media.maxAgeDays || Object.keys(media.byKind || {}).length > 0 || media.maxTotalMB);
+}
+
+/**
+ * Validate a day/size limit (positive number, or null for no limit)
+ */
+function isValidLimit(value) {
+  return value === null || value === undefined || (typeof value === 'number' && value > 0);
+}
+
+/**
+ * Validate policies
+ * @returns {string|null} Error message
+ */
+function validatePolicies(candidate) {
+  if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+    return 'Policies must be an object';
+  }
+  const { messages = {}, media = {} } = candidate;
+
+  if (!isValidLimit(messages.maxAgeDays)) return 'messages.maxAgeDays must be a positive number or null';
+  for (const [type, days] of Object.entries(messages.byType || {})) {
+    if (!isValidContactType(type) && !isValidGroupType(type)) return `Unknown contact/group type: ${type}`;
+    if (!isValidLimit(days)) return `messages.byType.${type} must be a positive number or null`;
+  }
+
+  if (!isValidLimit(media.maxAgeDays)) return 'media.maxAgeDays must be a positive number or null';
+  for (const [kind, days] of Object.entries(media.byKind || {})) {
+    if (!MEDIA_KINDS.includes(kind)) return `Unknown media kind: ${kind}. Must be: ${MEDIA_KINDS.join(', ')}`;
+    if (!isValidLimit(days)) return `media.byKind.${kind} must be a positive number or null`;
+  }
+  if (!isValidLimit(media.maxTotalMB)) return 'media.maxTotalMB must be a positive number or null';
+
+  return null;
+}
+
+/**
+ * Pick the age limit for a key - an explicit null in the override map means "keep forever"
+ */
+function getMaxAgeDays(overrides = {}, key, fallback) {
+  if (key && Object.prototype.hasOwnProperty.call(overrides, key)) return overrides[key];
+  return fallback || null;
+}
+
+/**
+ * Apply policies - in preview mode nothing is deleted and the report lists what would be
+ * @param {Object} options - { preview, policies (defaults to the saved policies) }
+ * @returns {Object} Report { preview, ranAt, messages: { count, chats }, media: { count, freedMB, byReason } }
+ */
+async function sweep(options = {}) {
+  const { preview = false } = options;
+  const active = options.policies || policies;
+  const now = Date.now();
+  const chatTypes = getChatTypes();
+
+  const report = {
+    preview,
+    ranAt: new Date(now).toISOString(),
+    messages: { count: 0, chats: [] },
+    media: { count: 0, freedMB: 0, byReason: { message: 0, age: 0, size: 0 } }
+  };
+
+  // Media to remove: id -> reason (message = its message expired)
+  const expiredMedia = new Map();
+
+  // Messages: age limit per contact/group type
+  const messagePolicy = active.messages || {};
+  for (const { phone } of messageStore.getPhones()) {
+    const entityType = chatTypes[phone] || null;
+    const maxAgeDays = getMaxAgeDays(messagePolicy.byType, entityType, messagePolicy.maxAgeDays);
+    if (!maxAgeDays) continue;
+
+    const cutoff = new Date(now - maxAgeDays * DAY_MS);
+    const result = preview ? messageStore.findOlderThan(phone, cutoff) : messageStore.deleteOlderThan(phone, cutoff);
+    if (result.count === 0) continue;
+
+    report.messages.count += result.count;
+    report.messages.chats.push({ chat: phone, entityType, maxAgeDays, count: result.count });
+    for (const id of result.mediaIds) expiredMedia.set(id, 'message');
+  }
+
+  // Media: age limit per kind
+  const mediaPolicy = active.media || {};
+  const media = mediaStore.listMedia();
+  for (const item of media) {
+    if (expiredMedia.has(item.id)) continue;
+    const maxAgeDays = getMaxAgeDays(mediaPolicy.byKind, item.kind, mediaPolicy.maxAgeDays);
+    if (maxAgeDays && now - new Date(item.timestamp).getTime() > maxAgeDays * DAY_MS) {
+      expiredMedia.set(item.id, 'age');
+    }
+  }
+
+  // IDs can share a file (same content) - a file is freed once none of its IDs is kept
+  const keptRefs = new Map();
+  for (const item of media) {
+    if (!expiredMedia.has(item.id)) keptRefs.set(item.hash, (keptRefs.get(item.hash) || 0) + 1);
+  }
+
+  // Media: total size cap (disk usage), oldest first
+  if (mediaPolicy.maxTotalMB) {
+    const maxBytes = mediaPolicy.maxTotalMB * 1024 * 1024;
+    const sizes = new Map(media.filter(item => keptRefs.has(item.hash)).map(item => [item.hash, item.size]));
+    let totalBytes = [...sizes.values()].reduce((sum, size) => sum + size, 0);
+    for (const item of media) {
+      if (totalBytes <= maxBytes) break;
+      if (expiredMedia.has(item.id)) continue;
+      expiredMedia.set(item.id, 'size');
+      keptRefs.set(item.hash, keptRefs.get(item.hash) - 1);
+      if (keptRefs.get(item.hash) === 0) totalBytes -= item.size;
+    }
+  }
+
+  // Only count media that is still stored
+  let freedBytes = 0;
+  const mediaIds = [];
+  const freedFiles = new Set();
+  for (const item of media) {
+    const reason = expiredMedia.get(item.id);
+    if (!reason) continue;
+    mediaIds.push(item.id);
+    report.media.byReason[reason]++;
+    if (!keptRefs.get(item.hash) && !freedFiles.has(item.hash)) {
+      freedFiles.add(item.hash);
+      freedBytes += item.size;
+    }
+  }
+  report.media.count = mediaIds.length;
+  report.media.freedMB = +(freedBytes / 1024 / 1024).toFixed(2);
+
+  if (!preview) {
+    await mediaStore.removeMedia(mediaIds);
+    lastSweep = report;
+
+    if (report.messages.count > 0 || report.media.count > 0) {
+      logger.info('Retention sweep', {
+        messages: report.messages.count,
+        chats: report.messages.chats.length,
+        media: report.media.count,
+        freedMB: report.media.freedMB
+      });
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Run a sweep unless one is already running
+ * @returns {Object|null} Report, or null if a sweep was already running
+ */
+async function run() {
+  if (sweeping) return null;
+  sweeping = true;
+  try {
+    return await sweep();
+  } finally {
+    sweeping = false;
+  }
+}
+
+/**
+ * Scheduled sweep - skipped when no policy is set
+ */
+function runScheduled() {
+  if (!isConfigured()) return;
+  run().catch(error => logger.error('Retention sweep failed', { error: error.message }));
+}
+
+/**
+ * Start the sweeper
+ * @param {Function} chatTypesProvider - Returns { chat: entityType } for configured contacts and groups
+ */
+function start(chatTypesProvider) {
+  if (chatTypesProvider) getChatTypes = chatTypesProvider;
+  if (sweepTimer) return;
+
+  sweepTimer = setInterval(runScheduled, SWEEP_INTERVAL);
+  runScheduled();
+}
+
+/**
+ * Stop the sweeper
+ */
+function stop() {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
+
+/**
+ * Get sweeper status
+ */
+function getStatus() {
+  return {
+    configured: isConfigured(),
+    intervalMinutes: SWEEP_INTERVAL / 60000,
+    lastSweep
+  };
+}
+
+module.exports = {
+  setPolicies,
+  getPolicies,
+  isConfigured,
+  validatePolicies,
+  sweep,
+  run,
+  start,
+  stop,
+  getStatus,
+  MEDIA_KINDS
+};
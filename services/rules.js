@@ -0,0 +1,261 @@
+/**
+ * Filter rule engine
+ * Ordered rules evaluated top-down - the first matching rule decides what happens to a message.
+ * Messages that match no rule are denied.
+ */
+
+const logger = require('../utils/logger');
+const { normalizePhone, normalizeGroupId } = require('../utils/validators');
+
+// allow: forward using normal routing
+// deny:  filtered and logged
+// route: forward to the rule's own webhookUrl
+// drop:  discarded silently (counted, not logged)
+const RULE_ACTIONS = ['allow', 'deny', 'route', 'drop'];
+
+const CONDITION_KEYS = ['sourceType', 'sender', 'messageType', 'bodyRegex', 'timeOfDay', 'entityType', 'listed'];
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Default rule set - reproduces the classic allowlist behaviour
+const DEFAULT_RULES = [
+  {
+    id: 'default-allowlist',
+    name: 'Allow listed contacts and groups',
+    enabled: true,
+    conditions: { listed: true },
+    action: 'allow'
+  }
+];
+
+// Active rules (null = use defaults)
+let rules = null;
+
+// Compiled body regexes: { pattern: RegExp }
+let regexCache = {};
+
+/**
+ * Set active rules
+ * @param {Array|null} ruleList - Ordered rules, or null to use the default rule set
+ */
+function setRules(ruleList) {
+  rules = Array.isArray(ruleList) ? ruleList : null;
+  regexCache = {};
+  logger.info('Filter rules configured', {
+    count: getRules().length,
+    source: rules ? 'config' : 'default'
+  });
+}
+
+/**
+ * Get active rules (copy)
+ */
+function getRules() {
+  return JSON.parse(JSON.stringify(rules || DEFAULT_RULES));
+}
+
+/**
+ * Check if the default rule set is active
+ */
+function isDefault() {
+  return rules === null;
+}
+
+/**
+ * Generate a rule ID
+ */
+function generateRuleId() {
+  return `rule_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+}
+
+/**
+ * Wrap a single value in an array
+ */
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Get (cached) compiled regex for a body pattern
+ */
+function getRegex(pattern) {
+  if (!regexCache[pattern]) {
+    regexCache[pattern] = new RegExp(pattern, 'i');
+  }
+  return regexCache[pattern];
+}
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check if a date falls in a time-of-day window (server local time)
+ * Windows where "from" is after "to" wrap around midnight (e.g. 22:00-06:00)
+ */
+function isInTimeWindow(window, date) {
+  const now = date.getHours() * 60 + date.getMinutes();
+  const from = toMinutes(window.from);
+  const to = toMinutes(window.to);
+
+  if (from <= to) {
+    return now >= from && now < to;
+  }
+  return now >= from || now < to;
+}
+
+/**
+ * Check if sender matches one of the configured senders
+ * Entries ending with * match as prefix (e.g. "972*")
+ */
+function matchesSender(senders, sourceId, sourceType) {
+  const normalize = sourceType === 'group' ? normalizeGroupId : normalizePhone;
+  const incoming = normalize(sourceId);
+
+  return toList(senders).some(sender => {
+    if (typeof sender !== 'string') return false;
+    if (sender.endsWith('*')) {
+      return incoming.startsWith(normalize(sender.slice(0, -1)));
+    }
+    return normalize(sender) === incoming;
+  });
+}
+
+/**
+ * Check if a rule's conditions all match the message context
+ */
+function matchesConditions(conditions = {}, ctx) {
+  if (conditions.sourceType !== undefined && !toList(conditions.sourceType).includes(ctx.sourceType)) {
+    return false;
+  }
+
+  if (conditions.sender !== undefined && !matchesSender(conditions.sender, ctx.sourceId, ctx.sourceType)) {
+    return false;
+  }
+
+  if (conditions.messageType !== undefined && !toList(conditions.messageType).includes(ctx.messageType)) {
+    return false;
+  }
+
+  if (conditions.bodyRegex !== undefined && !getRegex(conditions.bodyRegex).test(ctx.body || '')) {
+    return false;
+  }
+
+  if (conditions.timeOfDay !== undefined && !isInTimeWindow(conditions.timeOfDay, ctx.date || new Date())) {
+    return false;
+  }
+
+  if (conditions.entityType !== undefined && !toList(conditions.entityType).includes(ctx.entityType)) {
+    return false;
+  }
+
+  if (conditions.listed !== undefined && conditions.listed !== !!ctx.listed) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Evaluate rules against a message context
+ * @param {Object} ctx - { sourceType, sourceId, entityType, listed, messageType, body, date }
+ * @returns {Object} { action, rule } - rule is null when nothing matched (implicit deny)
+ */
+function evaluate(ctx) {
+  for (const rule of (rules || DEFAULT_RULES)) {
+    if (rule.enabled === false) continue;
+
+    try {
+      if (matchesConditions(rule.conditions, ctx)) {
+        return { action: rule.action, rule };
+      }
+    } catch (error) {
+      // A broken rule must never take the pipeline down - skip it
+      logger.error('Rule evaluation failed', { ruleId: rule.id, error: error.message });
+    }
+  }
+
+  return { action: 'deny', rule: null };
+}
+
+/**
+ * Validate a rule definition
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    return 'Rule must be an object';
+  }
+
+  if (!RULE_ACTIONS.includes(rule.action)) {
+    return `Invalid action. Must be: ${RULE_ACTIONS.join(', ')}`;
+  }
+
+  if (rule.action === 'route') {
+    try {
+      new URL(rule.webhookUrl);
+    } catch {
+      return 'Route rules require a valid webhookUrl';
+    }
+  }
+
+  if (rule.name !== undefined && (typeof rule.name !== 'string' || rule.name.length > 100)) {
+    return 'Rule name must be a string up to 100 characters';
+  }
+
+  const conditions = rule.conditions || {};
+  if (typeof conditions !== 'object' || Array.isArray(conditions)) {
+    return 'conditions must be an object';
+  }
+
+  const unknownKeys = Object.keys(conditions).filter(key => !CONDITION_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    return `Unknown conditions: ${unknownKeys.join(', ')}`;
+  }
+
+  for (const key of ['sourceType', 'sender', 'messageType', 'entityType']) {
+    if (conditions[key] !== undefined && !toList(conditions[key]).every(v => typeof v === 'string' && v)) {
+      return `${key} must be a string or an array of strings`;
+    }
+  }
+
+  if (conditions.bodyRegex !== undefined) {
+    if (typeof conditions.bodyRegex !== 'string') {
+      return 'bodyRegex must be a string';
+    }
+    try {
+      new RegExp(conditions.bodyRegex, 'i');
+    } catch (error) {
+      return `Invalid bodyRegex: ${error.message}`;
+    }
+  }
+
+  if (conditions.timeOfDay !== undefined) {
+    const { from, to } = conditions.timeOfDay || {};
+    if (!TIME_REGEX.test(from) || !TIME_REGEX.test(to)) {
+      return 'timeOfDay must be { from: "HH:MM", to: "HH:MM" }';
+    }
+  }
+
+  if (conditions.listed !== undefined && typeof conditions.listed !== 'boolean') {
+    return 'listed must be true or false';
+  }
+
+  return null;
+}
+
+module.exports = {
+  setRules,
+  getRules,
+  isDefault,
+  evaluate,
+  validateRule,
+  generateRuleId,
+  RULE_ACTIONS,
+  CONDITION_KEYS,
+  DEFAULT_RULES
+};
@@ -0,0 +1,162 @@
+/**
+ * HMAC signing for outgoing webhook requests
+ * Per-target secrets with two active secrets during rotation (current + previous).
+ * Receivers verify X-Filter-Signature = sha256=HMAC(secret, `${X-Filter-Timestamp}.${body}`).
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// Built-in targets - entity type names (VIP, BUSINESS...) are targets too
+const FIXED_TARGETS = ['default', 'secondary', 'mention', 'alerts'];
+
+const MIN_SECRET_LENGTH = 16;
+
+// Secrets per target: { target: { current, previous, updatedAt } }
+let secrets = {};
+
+/**
+ * Set signing secrets (from config)
+ */
+function setSecrets(config) {
+  secrets = config && typeof config === 'object' ? config : {};
+  logger.info('Webhook signing configured', {
+    targets: Object.keys(secrets),
+    envFallback: !!process.env.WEBHOOK_SIGNING_SECRET
+  });
+}
+
+/**
+ * Get signing secrets (for saving config)
+ */
+function getSecrets() {
+  return secrets;
+}
+
+/**
+ * Get active secrets for a target, current first
+ * Falls back to the 'default' target, then WEBHOOK_SIGNING_SECRET
+ */
+function getActiveSecrets(target) {
+  const entry = secrets[target] || secrets.default;
+  if (entry?.current) {
+    return [entry.current, entry.previous].filter(Boolean);
+  }
+  return process.env.WEBHOOK_SIGNING_SECRET ? [process.env.WEBHOOK_SIGNING_SECRET] : [];
+}
+
+/**
+ * Build signature headers for a serialized body
+ * One signature per active secret, comma-separated - receivers accept any match.
+ * @param {string} target - Signing target (default, secondary, mention, alerts or entity type)
+ * @param {string} body - Exact request body that will be sent
+ * @returns {Object} Headers to merge, empty when no secret is configured
+ */
+function sign(target, body) {
+  const activeSecrets = getActiveSecrets(target);
+  if (activeSecrets.length === 0) return {};
+
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const signatures = activeSecrets.map(secret =>
+    'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+  );
+
+  return {
+    'X-Filter-Timestamp': timestamp,
+    'X-Filter-Signature': signatures.join(',')
+  };
+}
+
+/**
+ * Generate a random secret
+ */
+function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Validate a secret supplied through the API
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSecret(secret) {
+  if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH) {
+    return `Secret must be a string of at least ${MIN_SECRET_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Replace a target's secrets with a single new secret
+ */
+function setSecret(target, secret) {
+  secrets[target] = { current: secret, previous: null, updatedAt: new Date().toISOString() };
+  logger.info('Signing secret set', { target });
+}
+
+/**
+ * Rotate a target's secret - the old one stays valid as "previous" until retired
+ */
+function rotate(target, secret) {
+  const previous = secrets[target]?.current || null;
+  secrets[target] = { current: secret, previous, updatedAt: new Date().toISOString() };
+  logger.info('Signing secret rotated', { target, keepsPrevious: !!previous });
+}
+
+/**
+ * Retire the previous secret once receivers have switched over
+ * @returns {boolean} false if there was nothing to retire
+ */
+function retirePrevious(target) {
+  if (!secrets[target]?.previous) return false;
+  secrets[target] = { ...secrets[target], previous: null, updatedAt: new Date().toISOString() };
+  logger.info('Previous signing secret retired', { target });
+  return true;
+}
+
+/**
+ * Remove a target's secrets (it falls back to 'default')
+ * @returns {boolean} false if the target had no secrets
+ */
+function removeTarget(target) {
+  if (!secrets[target]) return false;
+  delete secrets[target];
+  logger.info('Signing secrets removed', { target });
+  return true;
+}
+
+/**
+ * Mask a secret for display
+ */
+function mask(secret) {
+  if (!secret) return null;
+  return `${secret.slice(0, 4)}...${secret.slice(-4)}`;
+}
+
+/**
+ * Get secrets with masked values (for the API)
+ */
+function getMasked() {
+  const masked = {};
+  for (const [target, entry] of Object.entries(secrets)) {
+    masked[target] = {
+      current: mask(entry.current),
+      previous: mask(entry.previous),
+      updatedAt: entry.updatedAt || null
+    };
+  }
+  return masked;
+}
+
+module.exports = {
+  setSecrets,
+  getSecrets,
+  sign,
+  generateSecret,
+  validateSecret,
+  setSecret,
+  rotate,
+  retirePrevious,
+  removeTarget,
+  getMasked,
+  FIXED_TARGETS
+};
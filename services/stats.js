@@ -4,17 +4,21 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const eventBus = require('./eventBus');
+const encryption = require('./encryption');
 const logger = require('../utils/logger');
 
 const STATS_FILE = path.join(__dirname, '..', 'config', 'stats.json');
 const SAVE_INTERVAL = 5 * 60 * 1000; // 5 minutes
 const RECENT_EVENTS_LIMIT = parseInt(process.env.RECENT_EVENTS_LIMIT) || 100;
 
-// All known Evolution API events
+// All known Evolution API events (plus MESSAGE_EDITED / MESSAGE_REVOKED derived from protocol messages)
 const KNOWN_EVENTS = [
   'MESSAGES_UPSERT',
   'MESSAGES_UPDATE',
   'MESSAGES_DELETE',
+  'MESSAGE_EDITED',
+  'MESSAGE_REVOKED',
   'MESSAGES_SET',
   'SEND_MESSAGE',
   'CONNECTION_UPDATE',
@@ -68,6 +72,15 @@ function createDefaultStats() {
         info: 0
       }
     },
+    // Inbound /filter authentication
+    inbound: {
+      authenticated: 0,
+      unauthenticated: 0,
+      rejected: 0,
+      audited: 0,
+      byReason: {},
+      lastFailure: null
+    },
     recentEvents: [],
     session: {
       startedAt: new Date().toISOString(),
@@ -90,7 +103,7 @@ let saveTimer = null;
  */
 async function load() {
   try {
-    const data = await fs.readFile(STATS_FILE, 'utf8');
+    const data = await encryption.readFile(STATS_FILE, 'utf8');
     const savedStats = JSON.parse(data);
 
     // Merge with defaults to handle new events
@@ -104,6 +117,10 @@ async function load() {
       alerts: {
         ...createDefaultStats().alerts,
         ...(savedStats.alerts || {})
+      },
+      inbound: {
+        ...createDefaultStats().inbound,
+        ...(savedStats.inbound || {})
       }
     };
 
@@ -119,13 +136,25 @@ async function load() {
   }
 }
 
+/**
+ * Encrypt the stats file (recent events hold message previews), or re-encrypt it after a key rotation
+ */
+async function migrateEncryption() {
+  try {
+    const migrated = await encryption.migrateFile(STATS_FILE);
+    encryption.recordMigration('stats', { migrated: migrated ? 1 : 0, total: 1 });
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
 /**
  * Save stats to file
  */
 async function save() {
   try {
     stats.session.lastSaved = new Date().toISOString();
-    await fs.writeFile(STATS_FILE, JSON.stringify(stats, null, 2));
+    await encryption.writeFile(STATS_FILE, JSON.stringify(stats, null, 2));
     logger.debug('Statistics saved');
   } catch (error) {
     logger.error('Failed to save stats', { error: error.message });
@@ -134,6 +163,7 @@ async function save() {
 
 /**
  * Start periodic save timer
+ * Saving on exit is left to the server's shutdown, which exits only after every store is written.
  */
 function startAutoSave() {
   if (saveTimer) return;
@@ -141,17 +171,6 @@ function startAutoSave() {
   saveTimer = setInterval(() => {
     save().catch(err => logger.error('Auto-save failed', { error: err.message }));
   }, SAVE_INTERVAL);
-
-  // Ensure save on exit
-  process.on('SIGTERM', async () => {
-    await save();
-    process.exit(0);
-  });
-
-  process.on('SIGINT', async () => {
-    await save();
-    process.exit(0);
-  });
 }
 
 /**
@@ -221,6 +240,22 @@ function incrementAlert(level, success = true) {
   }
 }
 
+/**
+ * Increment inbound auth counters
+ * @param {string} result - authenticated | unauthenticated (auth off) | rejected | audited
+ * @param {Object} failure - { reason, ip, instance } for rejected/audited requests
+ */
+function incrementInbound(result, failure = null) {
+  if (stats.inbound[result] !== undefined) {
+    stats.inbound[result]++;
+  }
+
+  if (failure) {
+    stats.inbound.byReason[failure.reason] = (stats.inbound.byReason[failure.reason] || 0) + 1;
+    stats.inbound.lastFailure = { ...failure, timestamp: new Date().toISOString() };
+  }
+}
+
 /**
  * Log an event to recent events
  */
@@ -238,6 +273,27 @@ function logEvent(eventData) {
     stats.recentEvents = stats.recentEvents.slice(0, RECENT_EVENTS_LIMIT);
   }
 
+  eventBus.publish('event', event);
+  return event;
+}
+
+/**
+ * Get a logged event by ID
+ */
+function getEvent(eventId) {
+  return stats.recentEvents.find(e => e.id === eventId) || null;
+}
+
+/**
+ * Update a logged event in place (e.g. when a queued delivery completes)
+ * @returns {Object|null} Updated event, or null if it is no longer in recent events
+ */
+function updateEvent(eventId, changes) {
+  const event = stats.recentEvents.find(e => e.id === eventId);
+  if (!event) return null;
+
+  Object.assign(event, changes);
+  eventBus.publish('event_update', event);
   return event;
 }
 
@@ -290,6 +346,7 @@ function getStats() {
       alertsSent: stats.alerts.sent
     },
     alerts: stats.alerts,
+    inbound: stats.inbound,
     period: {
       start: stats.session.startedAt,
       lastSaved: stats.session.lastSaved
@@ -323,6 +380,7 @@ function importLegacy(legacyStats) {
 
 module.exports = {
   load,
+  migrateEncryption,
   save,
   startAutoSave,
   stopAutoSave,
@@ -330,7 +388,10 @@ module.exports = {
   initEvent,
   increment,
   incrementAlert,
+  incrementInbound,
   logEvent,
+  getEvent,
+  updateEvent,
   getRecentEvents,
   getStats,
   getLegacyStats,
@@ -1,16 +1,27 @@
 /**
  * Webhook service for forwarding messages to n8n and secondary endpoints
- * Supports per-type webhook routing
+ * Supports per-type webhook routing with multiple targets per type (fan-out)
  */
 
 const axios = require('axios');
+const deadLetters = require('./deadLetters');
+const signing = require('./signing');
+const messageSchema = require('./messageSchema');
+const mediaLinks = require('./mediaLinks');
 const logger = require('../utils/logger');
+const { normalizePhone, normalizeGroupId } = require('../utils/validators');
 
-// Default webhook URL
+const DEFAULT_TIMEOUT = 5000;
+const TARGET_ID_REGEX = /^[\w.-]{1,64}$/;
+
+// Default webhook URL (the 'default' target)
 let defaultWebhookUrl = process.env.WEBHOOK_URL || '';
 let secondaryWebhookUrl = process.env.SECONDARY_WEBHOOK_URL;
 
-// Per-type webhook URLs: { TYPE_NAME: 'https://...' }
+// Additional default targets (fan-out alongside the default webhook URL)
+let defaultTargets = [];
+
+// Per-type webhook targets: { TYPE_NAME: [{ id, url, enabled, timeout, headers, events, format, mediaUrlExpiry }] }
 let typeWebhooks = {};
 
 // Stats tracking
@@ -28,6 +39,9 @@ let secondaryStats = {
 // Per-type stats
 let typeStats = {};
 
+// Per-target stats: { targetId: { successes, failures, consecutiveFailures, lastSuccess, lastError } }
+let targetStats = {};
+
 /**
  * Initialize webhook service
  */
@@ -46,24 +60,196 @@ function init(url, secondaryUrl) {
   }
 }
 
+/**
+ * Normalize a target definition
+ * Accepts a bare URL string (legacy format) or a target object
+ */
+function normalizeTarget(target, fallbackId) {
+  if (typeof target === 'string') {
+    target = { url: target };
+  }
+
+  return {
+    id: target.id || fallbackId,
+    url: typeof target.url === 'string' ? target.url.trim() : target.url,
+    enabled: target.enabled !== false,
+    timeout: target.timeout || DEFAULT_TIMEOUT,
+    headers: target.headers || {},
+    events: target.events || [],
+    format: target.format || 'raw',
+    // Lifetime of signed media URLs in this target's payloads (seconds, null = MEDIA_URL_EXPIRY)
+    mediaUrlExpiry: target.mediaUrlExpiry ?? null
+  };
+}
+
+/**
+ * Normalize a type's targets - a legacy URL string becomes a single target with the type as its ID
+ */
+function normalizeTargets(value, baseId) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : [value];
+  return list.map((target, index) => normalizeTarget(target, index === 0 ? baseId : `${baseId}-${index + 1}`));
+}
+
+/**
+ * Validate a normalized target
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateTarget(target) {
+  if (!TARGET_ID_REGEX.test(target.id || '')) {
+    return 'Target id must be 1-64 letters, digits, "_", "-" or "."';
+  }
+
+  try {
+    new URL(target.url);
+  } catch {
+    return `Invalid URL for target ${target.id}`;
+  }
+
+  if (typeof target.timeout !== 'number' || target.timeout < 100 || target.timeout > 60000) {
+    return `Timeout for target ${target.id} must be 100-60000 ms`;
+  }
+
+  if (typeof target.headers !== 'object' || Array.isArray(target.headers) ||
+      !Object.values(target.headers).every(v => typeof v === 'string')) {
+    return `Headers for target ${target.id} must be an object of strings`;
+  }
+
+  if (!Array.isArray(target.events) || !target.events.every(e => typeof e === 'string' && e)) {
+    return `Events for target ${target.id} must be an array of event names`;
+  }
+
+  if (!messageSchema.PAYLOAD_FORMATS.includes(target.format)) {
+    return `Format for target ${target.id} must be one of: ${messageSchema.PAYLOAD_FORMATS.join(', ')}`;
+  }
+
+  if (target.mediaUrlExpiry !== null && !mediaLinks.isValidExpiry(target.mediaUrlExpiry)) {
+    return `Media URL expiry for target ${target.id} must be ${mediaLinks.MIN_EXPIRY}-${mediaLinks.MAX_EXPIRY} seconds`;
+  }
+
+  return null;
+}
+
 /**
  * Set type-specific webhooks
- * @param {Object} webhooks - Map of type to webhook URL, e.g., { VIP: 'https://...', BUSINESS: 'https://...' }
+ * @param {Object} webhooks - Map of type to targets, e.g., { VIP: [{ id, url, ... }], BUSINESS: 'https://...' }
  */
 function setTypeWebhooks(webhooks) {
-  typeWebhooks = webhooks || {};
-  logger.info('Type webhooks configured', { types: Object.keys(typeWebhooks) });
+  typeWebhooks = {};
+  for (const [type, value] of Object.entries(webhooks || {})) {
+    const targets = normalizeTargets(value, type);
+    if (targets.length > 0) {
+      typeWebhooks[type] = targets;
+    }
+  }
+  logger.info('Type webhooks configured', {
+    types: Object.keys(typeWebhooks),
+    targets: Object.values(typeWebhooks).reduce((sum, targets) => sum + targets.length, 0)
+  });
+}
+
+/**
+ * Set additional default targets
+ */
+function setDefaultTargets(targets) {
+  // IDs continue after the 'default' target: default-2, default-3...
+  defaultTargets = (targets || []).map((target, index) => normalizeTarget(target, `default-${index + 2}`));
+}
+
+/**
+ * Get all default targets - the default webhook URL first
+ */
+function getDefaultTargets() {
+  const targets = defaultWebhookUrl ? [normalizeTarget(defaultWebhookUrl, 'default')] : [];
+  return [...targets, ...defaultTargets];
+}
+
+/**
+ * Check if a target accepts an event
+ */
+function acceptsEvent(target, event) {
+  return !event || target.events.length === 0 || target.events.includes(event);
+}
+
+/**
+ * Check if a type has its own enabled targets
+ */
+function hasTypeTargets(entityType) {
+  return !!entityType && (typeWebhooks[entityType] || []).some(target => target.enabled);
+}
+
+/**
+ * Get targets for an entity type and event
+ * Types with enabled targets use them, everything else falls back to the default targets.
+ */
+function getTargetsForType(entityType, event = null) {
+  const targets = hasTypeTargets(entityType) ? typeWebhooks[entityType] : getDefaultTargets();
+  return targets.filter(target => target.enabled && acceptsEvent(target, event));
 }
 
 /**
- * Get webhook URL for a specific type
+ * Get override targets of a single contact/group entry (webhookUrl or webhooks list)
+ * IDs default to contact-<phone> / group-<groupId>
+ */
+function getEntityTargets(entry, sourceType) {
+  if (!entry) return [];
+  const baseId = sourceType === 'group'
+    ? `group-${normalizeGroupId(entry.groupId)}`
+    : `contact-${normalizePhone(entry.phone)}`;
+  return normalizeTargets(entry.webhooks || entry.webhookUrl, baseId);
+}
+
+/**
+ * Resolve delivery targets for a message
+ * Precedence: explicit webhookUrl (route rule) > contact/group override > entity type > default.
+ * Events that no override target accepts fall through to the entity type / default targets.
+ * @returns {Object} { targets, via } - via is rule | entity | entity_type | default
+ */
+function resolveRouting({ entityType = '', event = null, webhookUrl = null, entityTargets = [] } = {}) {
+  if (webhookUrl) {
+    return { targets: [normalizeTarget(webhookUrl, webhookUrl)], via: 'rule' };
+  }
+
+  const overrideTargets = entityTargets.filter(target => target.enabled && acceptsEvent(target, event));
+  if (overrideTargets.length > 0) {
+    return { targets: overrideTargets, via: 'entity' };
+  }
+
+  return {
+    targets: getTargetsForType(entityType, event),
+    via: hasTypeTargets(entityType) ? 'entity_type' : 'default'
+  };
+}
+
+/**
+ * Resolve delivery targets for a message (see resolveRouting)
+ */
+function resolveTargets(options = {}) {
+  return resolveRouting(options).targets;
+}
+
+/**
+ * Get webhook URL for a specific type (first target)
  * Falls back to default if no type-specific webhook exists
  */
 function getWebhookForType(entityType) {
-  if (entityType && typeWebhooks[entityType]) {
-    return typeWebhooks[entityType];
+  return getTargetsForType(entityType)[0]?.url || '';
+}
+
+/**
+ * Find a configured target by ID
+ * @returns {Object|null} { target, owner } - owner is 'default' or the entity type
+ */
+function findTarget(targetId) {
+  const target = getDefaultTargets().find(t => t.id === targetId);
+  if (target) return { target, owner: 'default' };
+
+  for (const [type, targets] of Object.entries(typeWebhooks)) {
+    const typeTarget = targets.find(t => t.id === targetId);
+    if (typeTarget) return { target: typeTarget, owner: type };
   }
-  return defaultWebhookUrl;
+
+  return null;
 }
 
 /**
@@ -74,23 +260,65 @@ function getUrl() {
 }
 
 /**
- * Get all type webhooks
+ * Get all type webhooks (copy)
  */
 function getTypeWebhooks() {
-  return { ...typeWebhooks };
+  return JSON.parse(JSON.stringify(typeWebhooks));
+}
+
+/**
+ * Get additional default targets (copy)
+ */
+function getExtraDefaultTargets() {
+  return JSON.parse(JSON.stringify(defaultTargets));
+}
+
+/**
+ * Get health for a single target
+ */
+function getTargetHealth(target, owner) {
+  const stats = targetStats[target.id] || {};
+  return {
+    id: target.id,
+    owner,
+    url: target.url,
+    enabled: target.enabled,
+    events: target.events,
+    format: target.format,
+    mediaUrlExpiry: target.mediaUrlExpiry,
+    healthy: !stats.consecutiveFailures,
+    successes: stats.successes || 0,
+    failures: stats.failures || 0,
+    consecutiveFailures: stats.consecutiveFailures || 0,
+    lastSuccess: stats.lastSuccess || null,
+    lastError: stats.lastError || null
+  };
+}
+
+/**
+ * Get consecutive failures for a target (including ad-hoc route rule targets)
+ */
+function getConsecutiveFailures(targetId) {
+  return targetStats[targetId]?.consecutiveFailures || 0;
 }
 
 /**
  * Get webhook health status
  */
 function getHealth() {
+  const targets = [
+    ...getDefaultTargets().map(target => getTargetHealth(target, 'default')),
+    ...Object.entries(typeWebhooks).flatMap(([type, list]) => list.map(target => getTargetHealth(target, type)))
+  ];
+
   return {
     url: defaultWebhookUrl,
-    configured: !!defaultWebhookUrl || Object.keys(typeWebhooks).length > 0,
+    configured: targets.some(target => target.enabled),
     healthy: consecutiveFailures === 0,
     lastSuccess,
     lastError,
     consecutiveFailures,
+    targets,
     typeWebhooks: Object.keys(typeWebhooks).length > 0 ? {
       configured: Object.keys(typeWebhooks),
       stats: typeStats
@@ -106,25 +334,147 @@ function getHealth() {
   };
 }
 
+/**
+ * Build forwarding headers from metadata
+ */
+function buildHeaders(metadata = {}) {
+  const { sourceId = '', sourceType = 'unknown', event = 'MESSAGES_UPSERT', entityType = '' } = metadata;
+  return {
+    'Content-Type': 'application/json',
+    'X-Filter-Source': 'whatsapp-filter',
+    'X-Source-Id': sourceId,
+    'X-Source-Type': sourceType,
+    'X-Entity-Type': entityType || '',
+    'X-Event-Type': event
+  };
+}
+
+/**
+ * Get the signing target for a delivery target
+ * Type webhooks sign with their type's secret, everything else with 'default'
+ */
+function getSigningTarget(targetId) {
+  const found = findTarget(targetId);
+  return found && found.owner !== 'default' ? found.owner : 'default';
+}
+
+/**
+ * POST a payload with signature headers
+ * The body is serialized once so the signature covers exactly what is sent.
+ */
+async function post(url, payload, { timeout = DEFAULT_TIMEOUT, headers = {}, signingTarget = 'default' } = {}) {
+  const body = JSON.stringify(payload);
+  return axios.post(url, body, {
+    timeout,
+    headers: { ...headers, ...signing.sign(signingTarget, body) }
+  });
+}
+
+/**
+ * Check if a failed request is worth retrying (network errors and 5xx)
+ */
+function isRetryable(error) {
+  const status = error.response?.status;
+  return !status || status >= 500;
+}
+
+/**
+ * Record a successful delivery in health stats
+ */
+function recordSuccess(target, entityType) {
+  lastSuccess = new Date().toISOString();
+  consecutiveFailures = 0;
+  lastError = null;
+
+  if (entityType) {
+    if (!typeStats[entityType]) typeStats[entityType] = { successes: 0, failures: 0, lastSuccess: null };
+    typeStats[entityType].successes++;
+    typeStats[entityType].lastSuccess = lastSuccess;
+  }
+
+  if (!targetStats[target.id]) targetStats[target.id] = { successes: 0, failures: 0, consecutiveFailures: 0 };
+  targetStats[target.id].successes++;
+  targetStats[target.id].consecutiveFailures = 0;
+  targetStats[target.id].lastSuccess = lastSuccess;
+}
+
+/**
+ * Record a failed delivery in health stats
+ */
+function recordFailure(target, entityType, error) {
+  consecutiveFailures++;
+  lastError = {
+    message: error.message,
+    timestamp: new Date().toISOString(),
+    code: error.code || error.response?.status
+  };
+
+  if (entityType) {
+    if (!typeStats[entityType]) typeStats[entityType] = { successes: 0, failures: 0, lastError: null };
+    typeStats[entityType].failures++;
+    typeStats[entityType].lastError = lastError;
+  }
+
+  if (!targetStats[target.id]) targetStats[target.id] = { successes: 0, failures: 0, consecutiveFailures: 0 };
+  targetStats[target.id].failures++;
+  targetStats[target.id].consecutiveFailures++;
+  targetStats[target.id].lastError = lastError;
+}
+
+/**
+ * Add a signed media URL to a raw payload (data.mediaUrl / data.mediaUrlExpiresAt)
+ * @param {number} expiresIn - Link lifetime in seconds (null = MEDIA_URL_EXPIRY)
+ * @returns {Object} { payload, link } - link is null for messages without stored media
+ */
+function withMediaUrl(payload, mediaId, expiresIn = null) {
+  const link = mediaLinks.createUrl(mediaId, expiresIn);
+  if (!link) return { payload, link: null };
+
+  const data = payload.data || payload;
+  const withData = { ...data, mediaUrl: link.url, mediaUrlExpiresAt: link.expiresAt };
+  return { payload: payload.data ? { ...payload, data: withData } : withData, link };
+}
+
+/**
+ * Shape a payload for a target's format (raw, normalized or both)
+ */
+function buildTargetPayload(target, payload, normalized = null) {
+  return messageSchema.formatPayload(target.format, payload, normalized);
+}
+
+/**
+ * Add a fresh signed media URL to a payload already shaped for its target
+ * Called right before each send, so queued retries and replays never carry an expired link.
+ * Raw payloads get data.mediaUrl / data.mediaUrlExpiresAt, normalized messages media.signedUrl / media.expiresAt.
+ * @param {number} expiresIn - Link lifetime in seconds (null = MEDIA_URL_EXPIRY)
+ */
+function signTargetPayload(payload, mediaId, expiresIn = null) {
+  const link = mediaLinks.createUrl(mediaId, expiresIn);
+  if (!link) return payload;
+
+  const signMedia = message => (message?.media
+    ? { ...message, media: { ...message.media, signedUrl: link.url, expiresAt: link.expiresAt } }
+    : message);
+  if (payload.schema === messageSchema.SCHEMA_ID) return signMedia(payload);
+
+  const data = payload.data || payload;
+  const withData = { ...data, mediaUrl: link.url, mediaUrlExpiresAt: link.expiresAt };
+  const signed = payload.data ? { ...payload, data: withData } : withData;
+  return payload.normalized ? { ...signed, normalized: signMedia(payload.normalized) } : signed;
+}
+
 /**
  * Forward to secondary webhook (non-blocking)
  */
 async function forwardToSecondary(payload, metadata) {
   if (!secondaryWebhookUrl) return;
 
-  const { sourceId = '', sourceType = 'unknown', event = 'MESSAGES_UPSERT', entityType = '' } = metadata;
+  const { sourceId = '', event = 'MESSAGES_UPSERT' } = metadata;
 
   try {
-    await axios.post(secondaryWebhookUrl, payload, {
-      timeout: 5000,
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Filter-Source': 'whatsapp-filter',
-        'X-Source-Id': sourceId,
-        'X-Source-Type': sourceType,
-        'X-Entity-Type': entityType,
-        'X-Event-Type': event
-      }
+    await post(secondaryWebhookUrl, withMediaUrl(payload, (payload.data || payload).mediaId).payload, {
+      headers: buildHeaders(metadata),
+      signingTarget: 'secondary'
     });
 
     secondaryStats.lastSuccess = new Date().toISOString();
@@ -150,11 +500,32 @@ async function forwardToSecondary(payload, metadata) {
 }
 
 /**
- * Forward message/event to webhook (with type-based routing)
+ * Deliver payload to a single target - one attempt, no retries
+ * Used by the delivery queue, which owns retry scheduling. Throws on failure.
+ */
+async function deliver(target, payload, metadata = {}, timeout = target.timeout || DEFAULT_TIMEOUT) {
+  const { entityType = '' } = metadata;
+
+  try {
+    await post(target.url, payload, {
+      timeout,
+      headers: { ...buildHeaders(metadata), ...target.headers },
+      signingTarget: getSigningTarget(target.id)
+    });
+    recordSuccess(target, entityType);
+  } catch (error) {
+    recordFailure(target, entityType, error);
+    throw error;
+  }
+}
+
+/**
+ * Forward to a single target
  * Retries up to 3 times with exponential backoff (1s, 2s, 4s delays)
  * to handle transient failures like server restart during reconnect bursts.
+ * The payload is unsigned: each attempt adds a fresh media link (metadata.mediaId), and dead letters keep it unsigned.
  */
-async function forward(payload, metadata = {}) {
+async function forwardToTarget(target, payload, metadata) {
   const {
     sourceId = '',
     sourceType = 'unknown',
@@ -162,92 +533,104 @@ async function forward(payload, metadata = {}) {
     entityType = ''
   } = metadata;
 
-  // Get webhook URL based on entity type
-  const targetUrl = getWebhookForType(entityType);
-
-  if (!targetUrl) {
-    throw new Error('No webhook URL configured');
-  }
-
-  // Forward to secondary webhook (non-blocking)
-  forwardToSecondary(payload, metadata).catch(() => {});
-
   const MAX_RETRIES = 3;
-  const headers = {
-    'Content-Type': 'application/json',
-    'X-Filter-Source': 'whatsapp-filter',
-    'X-Source-Id': sourceId,
-    'X-Source-Type': sourceType,
-    'X-Entity-Type': entityType,
-    'X-Event-Type': event
-  };
+  const headers = { ...buildHeaders(metadata), ...target.headers };
+  const createdAt = new Date().toISOString();
+  const attempts = [];
 
   let lastAttemptError = null;
   for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
     try {
-      const timeout = attempt === 1 ? 5000 : 10000;
-      await axios.post(targetUrl, payload, { timeout, headers });
-
-      lastSuccess = new Date().toISOString();
-      consecutiveFailures = 0;
-      lastError = null;
+      const timeout = attempt === 1 ? target.timeout : Math.max(target.timeout, 10000);
+      const signed = metadata.mediaId ? signTargetPayload(payload, metadata.mediaId, target.mediaUrlExpiry) : payload;
+      await post(target.url, signed, { timeout, headers, signingTarget: getSigningTarget(target.id) });
 
-      if (entityType) {
-        if (!typeStats[entityType]) typeStats[entityType] = { successes: 0, failures: 0, lastSuccess: null };
-        typeStats[entityType].successes++;
-        typeStats[entityType].lastSuccess = lastSuccess;
-      }
+      recordSuccess(target, entityType);
 
       if (attempt > 1) {
-        logger.info('Message forwarded to webhook after retry', { sourceId, sourceType, entityType, event, attempt });
+        logger.info('Message forwarded to webhook after retry', { sourceId, sourceType, entityType, event, targetId: target.id, attempt });
       } else {
-        logger.debug('Message forwarded to webhook', { sourceId, sourceType, entityType, event });
+        logger.debug('Message forwarded to webhook', { sourceId, sourceType, entityType, event, targetId: target.id });
       }
 
-      return { success: true, usedUrl: targetUrl, attempt };
+      return { success: true, usedUrl: target.url, targetId: target.id, attempt };
     } catch (error) {
       lastAttemptError = error;
-      const status = error.response?.status;
-      const isRetryable = !status || status >= 500;
+      attempts.push({ at: new Date().toISOString(), status: error.response?.status || null, error: error.message });
 
-      if (attempt < MAX_RETRIES && isRetryable) {
+      if (attempt < MAX_RETRIES && isRetryable(error)) {
         const delay = Math.pow(2, attempt - 1) * 1000;
         logger.warn('Webhook forward failed, retrying', {
-          sourceId, event, attempt, nextAttempt: attempt + 1, retryDelay: delay, error: error.message
+          sourceId, event, targetId: target.id, attempt, nextAttempt: attempt + 1, retryDelay: delay, error: error.message
         });
         await new Promise(resolve => setTimeout(resolve, delay));
       }
     }
   }
 
-  consecutiveFailures++;
-  lastError = {
-    message: lastAttemptError.message,
-    timestamp: new Date().toISOString(),
-    code: lastAttemptError.code || lastAttemptError.response?.status
-  };
-
-  if (entityType) {
-    if (!typeStats[entityType]) typeStats[entityType] = { successes: 0, failures: 0, lastError: null };
-    typeStats[entityType].failures++;
-    typeStats[entityType].lastError = lastError;
-  }
+  recordFailure(target, entityType, lastAttemptError);
 
   logger.error('Failed to forward message after all retries', {
-    sourceId, sourceType, entityType, event,
+    sourceId, sourceType, entityType, event, targetId: target.id,
     error: lastAttemptError.message, consecutiveFailures, maxRetries: MAX_RETRIES
   });
 
+  deadLetters.add({
+    url: target.url,
+    payload,
+    headers,
+    metadata: { ...metadata, targetId: target.id, mediaUrlExpiry: target.mediaUrlExpiry ?? null },
+    attempts,
+    createdAt
+  });
+
   throw lastAttemptError;
 }
 
 /**
- * Test webhook connection
+ * Forward message/event to webhook (with type-based routing)
+ * Fans out to every matching target in parallel (pre-resolved targets can be passed in). Throws only if all targets failed.
+ * With a normalized message, each target gets the payload in its own format (raw, normalized or both).
+ * Messages with stored media get a signed download URL valid for the target's mediaUrlExpiry.
+ */
+async function forward(payload, metadata = {}, targets = resolveTargets(metadata), normalized = null) {
+
+  if (targets.length === 0) {
+    throw new Error('No webhook URL configured');
+  }
+
+  // Forward to secondary webhook (non-blocking)
+  forwardToSecondary(payload, metadata).catch(() => {});
+
+  const mediaId = (payload.data || payload).mediaId || normalized?.media?.id;
+  const targetMetadata = mediaId ? { ...metadata, mediaId } : metadata;
+  const settled = await Promise.allSettled(targets.map(target => forwardToTarget(
+    target,
+    buildTargetPayload(target, payload, normalized),
+    targetMetadata
+  )));
+
+  const results = settled.map((result, index) => ({
+    targetId: targets[index].id,
+    success: result.status === 'fulfilled',
+    error: result.status === 'rejected' ? result.reason.message : undefined
+  }));
+
+  const firstSuccess = settled.find(result => result.status === 'fulfilled');
+  if (!firstSuccess) {
+    throw settled[0].reason;
+  }
+
+  return { success: true, usedUrl: firstSuccess.value.usedUrl, results };
+}
+
+/**
+ * Test webhook connection (every enabled target of a type, or the default targets)
  */
 async function test(entityType = null) {
-  const targetUrl = entityType ? getWebhookForType(entityType) : defaultWebhookUrl;
+  const targets = entityType ? getTargetsForType(entityType) : getDefaultTargets().filter(t => t.enabled);
 
-  if (!targetUrl) {
+  if (targets.length === 0) {
     return { success: false, error: 'No webhook URL configured' };
   }
 
@@ -259,28 +642,44 @@ async function test(entityType = null) {
     entityType: entityType || 'default'
   };
 
-  try {
-    await axios.post(targetUrl, testPayload, {
-      timeout: 5000,
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Filter-Source': 'whatsapp-filter-test',
-        'X-Entity-Type': entityType || 'default'
-      }
-    });
+  const results = await Promise.all(targets.map(async target => {
+    try {
+      await post(target.url, testPayload, {
+        timeout: target.timeout,
+        signingTarget: getSigningTarget(target.id),
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Filter-Source': 'whatsapp-filter-test',
+          'X-Entity-Type': entityType || 'default',
+          ...target.headers
+        }
+      });
+      return { targetId: target.id, success: true, testedUrl: target.url };
+    } catch (error) {
+      return {
+        targetId: target.id,
+        success: false,
+        error: error.message,
+        code: error.code || error.response?.status,
+        testedUrl: target.url
+      };
+    }
+  }));
 
+  const failed = results.find(result => !result.success);
+
+  if (!failed) {
     lastSuccess = new Date().toISOString();
     consecutiveFailures = 0;
-
-    return { success: true, testedUrl: targetUrl };
-  } catch (error) {
-    return {
-      success: false,
-      error: error.message,
-      code: error.code || error.response?.status,
-      testedUrl: targetUrl
-    };
   }
+
+  return {
+    success: !failed,
+    error: failed?.error,
+    code: failed?.code,
+    testedUrl: (failed || results[0]).testedUrl,
+    results
+  };
 }
 
 /**
@@ -291,6 +690,7 @@ function resetStats() {
   lastError = null;
   consecutiveFailures = 0;
   typeStats = {};
+  targetStats = {};
   secondaryStats = {
     lastSuccess: null,
     lastError: null,
@@ -301,11 +701,30 @@ function resetStats() {
 module.exports = {
   init,
   setTypeWebhooks,
+  setDefaultTargets,
+  normalizeTargets,
+  validateTarget,
   getWebhookForType,
+  getTargetsForType,
+  resolveTargets,
+  resolveRouting,
+  getEntityTargets,
+  hasTypeTargets,
+  findTarget,
   getUrl,
   getTypeWebhooks,
+  getDefaultTargets,
+  getExtraDefaultTargets,
   getHealth,
+  getConsecutiveFailures,
   forward,
+  forwardToSecondary,
+  withMediaUrl,
+  buildTargetPayload,
+  signTargetPayload,
+  buildHeaders,
+  deliver,
+  isRetryable,
   test,
   resetStats
 };
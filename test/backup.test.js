@@ -0,0 +1,161 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const Database = require('better-sqlite3-multiple-ciphers');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wf-backup-'));
+process.env.LOG_LEVEL = 'error';
+process.env.BACKUP_DIR = dir;
+delete process.env.ENCRYPTION_KEY_FILE;
+const encryption = require('../services/encryption');
+const backup = require('../services/backup');
+
+const KEY1 = '1'.repeat(64);
+const KEY2 = '2'.repeat(64);
+let database;
+
+function useKeys(current, previous = []) {
+  process.env.ENCRYPTION_KEY = current || '';
+  process.env.ENCRYPTION_PREVIOUS_KEYS = previous.join(',');
+  encryption.init();
+}
+
+/**
+ * Build an archive as createArchive does - files maps names in config/ to their content
+ */
+function buildArchive(files, manifestChanges = {}) {
+  const zip = new AdmZip();
+  const sizes = {};
+  for (const [name, content] of Object.entries(files)) {
+    const data = Buffer.from(content);
+    zip.addFile(`config/${name}`, data);
+    sizes[name] = data.length;
+  }
+  const manifest = {
+    format: 'whatsapp-filter-backup',
+    version: 1,
+    createdAt: new Date().toISOString(),
+    includes: { media: false, session: false },
+    files: sizes,
+    ...manifestChanges
+  };
+  zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest)));
+  return zip.toBuffer();
+}
+
+function coreFiles() {
+  return {
+    'contacts.json': '{"allowedNumbers":[]}',
+    'media_index.json': '{}',
+    'messages.db': database
+  };
+}
+
+before(() => {
+  useKeys(null);
+  const file = path.join(dir, 'source.db');
+  const db = new Database(file);
+  db.exec('CREATE TABLE messages (id TEXT)');
+  db.close();
+  database = fs.readFileSync(file);
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+  delete process.env.ENCRYPTION_KEY;
+  delete process.env.ENCRYPTION_PREVIOUS_KEYS;
+});
+
+test('accepts a complete archive', async () => {
+  const { manifest, files } = await backup.readArchive(buildArchive({ ...coreFiles(), 'stats.json': '{}' }));
+  assert.equal(manifest.format, 'whatsapp-filter-backup');
+  assert.deepEqual([...files.keys()].sort(), ['contacts.json', 'media_index.json', 'messages.db', 'stats.json']);
+  assert.equal(files.get('contacts.json').toString(), '{"allowedNumbers":[]}');
+  // The database check leaves nothing behind
+  assert.deepEqual(fs.readdirSync(dir).filter(name => name.startsWith('.')), []);
+});
+
+test('rejects files that are not backups', async () => {
+  await assert.rejects(backup.readArchive(Buffer.from('not a zip')), /Not a backup archive/);
+
+  const zip = new AdmZip();
+  zip.addFile('config/contacts.json', Buffer.from('{}'));
+  await assert.rejects(backup.readArchive(zip.toBuffer()), /manifest.json is missing/);
+
+  await assert.rejects(backup.readArchive(buildArchive(coreFiles(), { format: 'other' })), /unknown manifest format/);
+  await assert.rejects(backup.readArchive(buildArchive(coreFiles(), { version: 99 })), /newer than this server supports/);
+});
+
+test('requires the contacts, the media index and the message database', async () => {
+  for (const name of ['contacts.json', 'media_index.json', 'messages.db']) {
+    const files = coreFiles();
+    delete files[name];
+    await assert.rejects(backup.readArchive(buildArchive(files)), { message: `Incomplete backup: ${name} is missing` });
+  }
+});
+
+test('rejects JSON files that do not parse', async () => {
+  await assert.rejects(
+    backup.readArchive(buildArchive({ ...coreFiles(), 'contacts.json': '{"allowedNumbers":' })),
+    /contacts.json is not valid JSON/
+  );
+  await assert.rejects(
+    backup.readArchive(buildArchive({ ...coreFiles(), 'baileys_auth/creds.json': 'null,' })),
+    /baileys_auth\/creds.json is not valid JSON/
+  );
+});
+
+test('rejects unexpected paths, unlisted files and size mismatches', async () => {
+  const zip = new AdmZip(buildArchive(coreFiles()));
+  zip.addFile('config/../server.js', Buffer.from('x'));
+  await assert.rejects(backup.readArchive(zip.toBuffer()), /Unexpected file in backup/);
+
+  const files = coreFiles();
+  const sizes = Object.fromEntries(Object.entries(files).map(([name, data]) => [name, Buffer.from(data).length]));
+  await assert.rejects(backup.readArchive(buildArchive(files, { files: { ...sizes, 'stats.json': 2 } })), /stats.json is listed in the manifest but missing/);
+  await assert.rejects(backup.readArchive(buildArchive(files, { files: { ...sizes, 'contacts.json': 1 } })), /contacts.json is damaged: expected 1 bytes/);
+});
+
+test('checks declared sizes before decompressing', async () => {
+  const files = { ...coreFiles(), 'stats.json': Buffer.alloc(8 * 1024 * 1024) };
+  const sizes = Object.fromEntries(Object.entries(files).map(([name, data]) => [name, Buffer.from(data).length]));
+  await assert.rejects(
+    backup.readArchive(buildArchive(files, { files: { ...sizes, 'stats.json': 2 } })),
+    { message: `stats.json is damaged: expected 2 bytes, got ${8 * 1024 * 1024}` }
+  );
+});
+
+test('never restores over the master key file', async () => {
+  process.env.ENCRYPTION_KEY_FILE = path.join(__dirname, '..', 'config', 'master.key');
+  try {
+    await assert.rejects(backup.readArchive(buildArchive({ ...coreFiles(), 'master.key': 'x'.repeat(64) })), /Unexpected file in backup: config\/master.key/);
+  } finally {
+    delete process.env.ENCRYPTION_KEY_FILE;
+  }
+});
+
+test('rejects a message database that does not open', async () => {
+  await assert.rejects(backup.readArchive(buildArchive({ ...coreFiles(), 'messages.db': 'not a database' })), /cannot be opened with the configured keys/);
+});
+
+test('reads encrypted archives and files with the configured keys only', async () => {
+  useKeys(KEY1);
+  try {
+    const files = { ...coreFiles(), 'contacts.json': encryption.encrypt('{"allowedNumbers":[]}') };
+    const archive = encryption.encrypt(buildArchive(files));
+    assert.equal((await backup.readArchive(archive)).files.size, 3);
+
+    // Encrypted content must be valid JSON too
+    const broken = { ...coreFiles(), 'contacts.json': encryption.encrypt('{') };
+    await assert.rejects(backup.readArchive(buildArchive(broken)), /contacts.json is not valid JSON/);
+
+    useKeys(KEY2);
+    await assert.rejects(backup.readArchive(archive), /which is not configured/);
+    await assert.rejects(backup.readArchive(buildArchive(files)), /contacts.json: .*which is not configured/);
+  } finally {
+    useKeys(null);
+  }
+});
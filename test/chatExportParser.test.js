@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parse, toDate } = require('../utils/chatExportParser');
+
+test('parses an Android export with continuation lines and skips system messages', () => {
+  const text = [
+    '15/01/2024, 14:05 - Messages and calls are end-to-end encrypted.',
+    '15/01/2024, 14:06 - Dana: hello',
+    'second line',
+    '15/01/2024, 14:07 - Dana joined using this group\'s invite link'
+  ].join('\n');
+
+  const result = parse(text);
+  assert.equal(result.format, 'android');
+  assert.equal(result.dateOrder, 'dmy');
+  assert.equal(result.skipped, 2);
+  assert.equal(result.messages.length, 1);
+  assert.deepEqual(result.messages[0], {
+    date: { year: 2024, month: 1, day: 15, hour: 14, minute: 6, second: 0 },
+    hasSeconds: false,
+    sender: 'Dana',
+    text: 'hello\nsecond line',
+    attachment: null
+  });
+});
+
+test('parses an iOS export with 12-hour times, direction marks and two-digit years', () => {
+  const text = '[1/15/24, 2:05:12 PM] ‎John: hi\n[1/15/24, 12:01:00 AM] Me: late\n';
+
+  const { format, dateOrder, messages } = parse(text);
+  assert.equal(format, 'ios');
+  assert.equal(dateOrder, 'mdy');
+  assert.deepEqual(messages.map(message => [message.sender, message.date]), [
+    ['John', { year: 2024, month: 1, day: 15, hour: 14, minute: 5, second: 12 }],
+    ['Me', { year: 2024, month: 1, day: 15, hour: 0, minute: 1, second: 0 }]
+  ]);
+  assert.equal(messages[0].hasSeconds, true);
+});
+
+test('parses attachments, omitted media and captions', () => {
+  const android = parse([
+    '15/01/2024, 14:07 - Dana: IMG-20240115-WA0001.jpg (file attached)',
+    'the caption',
+    '15/01/2024, 14:08 - Dana: <Media omitted>',
+    '15/01/2024, 14:09 - Dana: report.pdf (unknown phrase)'
+  ].join('\n'));
+  assert.deepEqual(android.messages.map(message => message.attachment), [
+    { fileName: 'IMG-20240115-WA0001.jpg', explicit: true, caption: 'the caption' },
+    { omitted: true, kind: null, caption: '' },
+    { fileName: 'report.pdf', explicit: false, caption: '' }
+  ]);
+
+  const ios = parse('[15/01/2024, 14:05:00] Dana: <attached: 00000012-PHOTO-2024-01-15.jpg>\n[15/01/2024, 14:06:00] Dana: GIF omitted\n');
+  assert.deepEqual(ios.messages.map(message => message.attachment), [
+    { fileName: '00000012-PHOTO-2024-01-15.jpg', explicit: true, caption: '' },
+    { omitted: true, kind: 'video', caption: '' }
+  ]);
+});
+
+test('uses the given date order, and rejects dates that do not fit it', () => {
+  const text = '05/04/2024, 10:00 - Dana: hi\n';
+  assert.deepEqual(parse(text).messages[0].date, { year: 2024, month: 4, day: 5, hour: 10, minute: 0, second: 0 });
+  assert.deepEqual(parse(text, { dateOrder: 'mdy' }).messages[0].date, { year: 2024, month: 5, day: 4, hour: 10, minute: 0, second: 0 });
+  assert.equal(parse('2024-04-05, 10:00 - Dana: hi\n').dateOrder, 'ymd');
+
+  assert.throws(() => parse('13/05/2024, 10:00 - Dana: hi\n', { dateOrder: 'mdy' }), /Invalid date "13\/05\/2024" for date order mdy/);
+});
+
+test('converts local dates in a time zone, across a DST change', () => {
+  assert.equal(toDate({ year: 2024, month: 1, day: 15, hour: 14, minute: 5, second: 0 }, 'Asia/Jerusalem').toISOString(), '2024-01-15T12:05:00.000Z');
+  assert.equal(toDate({ year: 2024, month: 7, day: 15, hour: 14, minute: 5, second: 0 }, 'Asia/Jerusalem').toISOString(), '2024-07-15T11:05:00.000Z');
+  assert.equal(toDate({ year: 2024, month: 7, day: 15, hour: 14, minute: 5, second: 0 }, 'UTC').toISOString(), '2024-07-15T14:05:00.000Z');
+});
@@ -0,0 +1,139 @@
+const { test, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+process.env.LOG_LEVEL = 'error';
+process.env.DELIVERY_MAX_AGE_HOURS = '1';
+process.env.DELIVERY_MAX_BACKOFF_SECONDS = '4';
+process.env.BASE_URL = 'http://filter.test';
+const webhookService = require('../services/webhook');
+const statsService = require('../services/stats');
+const deadLetters = require('../services/deadLetters');
+const mediaLinks = require('../services/mediaLinks');
+const deliveryQueue = require('../services/deliveryQueue');
+
+const target = { id: 'crm', url: 'http://crm.test/hook', timeout: 1000, headers: {}, mediaUrlExpiry: 120 };
+const httpError = status => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+
+// Responses per target URL, in order (the last one repeats); a function is called with the payload
+let responses;
+let sent;
+let letters;
+
+before(() => {
+  // Nothing is written to config/
+  mock.method(fs.promises, 'mkdir', async () => {});
+  mock.method(fs.promises, 'writeFile', async () => {});
+  mock.method(fs.promises, 'rename', async () => {});
+  mock.method(statsService, 'increment', () => {});
+  mock.method(deadLetters, 'add', letter => letters.push(letter));
+  mock.method(webhookService, 'deliver', async (deliveryTarget, payload) => {
+    sent.push({ targetId: deliveryTarget.id, payload });
+    const list = responses[deliveryTarget.id] || [];
+    const response = list.length > 1 ? list.shift() : list[0];
+    if (response instanceof Error) throw response;
+  });
+  mediaLinks.setSecret('test-secret');
+  deliveryQueue.start();
+});
+
+beforeEach(() => {
+  responses = {};
+  sent = [];
+  letters = [];
+});
+
+after(() => deliveryQueue.stop());
+
+/**
+ * Wait until a condition holds (the worker delivers in the background)
+ */
+async function waitFor(condition) {
+  const deadline = Date.now() + 3000;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+/**
+ * Make an entry due and wait for its next attempt
+ */
+async function retryNow(entry) {
+  const attempts = entry.attempts.length;
+  entry.nextAttemptAt = 0;
+  deliveryQueue.drain();
+  await waitFor(() => entry.attempts.length > attempts || !deliveryQueue.getPending().deliveries.some(d => d.id === entry.id));
+}
+
+test('delivers and removes the entry', async () => {
+  const entry = await deliveryQueue.enqueue({ text: 'hi' }, { event: 'MESSAGES_UPSERT' }, target);
+  await waitFor(() => deliveryQueue.getStats().pending === 0);
+  assert.deepEqual(sent, [{ targetId: 'crm', payload: { text: 'hi' } }]);
+  assert.equal(entry.attempts.length, 0);
+});
+
+test('backs off exponentially up to the maximum, then delivers', async () => {
+  responses.crm = [httpError(503), httpError(503), new Error('ECONNRESET'), httpError(502), httpError(500), null];
+  const entry = await deliveryQueue.enqueue({ text: 'retry' }, { event: 'MESSAGES_UPSERT' }, target);
+  await waitFor(() => entry.attempts.length === 1);
+
+  const delays = [];
+  for (let i = 0; i < 5; i++) {
+    delays.push(Math.round((entry.nextAttemptAt - Date.now()) / 1000));
+    await retryNow(entry);
+  }
+  assert.deepEqual(delays, [1, 2, 4, 4, 4]);
+  assert.equal(deliveryQueue.getStats().pending, 0);
+  assert.equal(sent.length, 6);
+  assert.deepEqual(letters, []);
+});
+
+test('keeps order per target, without blocking other targets', async () => {
+  const other = { ...target, id: 'other', url: 'http://other.test/hook' };
+  responses.crm = [httpError(503), null];
+  const first = await deliveryQueue.enqueue({ n: 1 }, {}, target);
+  await deliveryQueue.enqueue({ n: 2 }, {}, target);
+  await deliveryQueue.enqueue({ n: 3 }, {}, other);
+  await waitFor(() => sent.some(delivery => delivery.targetId === 'other'));
+  assert.deepEqual(sent.filter(delivery => delivery.targetId === 'crm').map(delivery => delivery.payload.n), [1]);
+
+  await retryNow(first);
+  await waitFor(() => deliveryQueue.getStats().pending === 0);
+  assert.deepEqual(sent.filter(delivery => delivery.targetId === 'crm').map(delivery => delivery.payload.n), [1, 1, 2]);
+});
+
+test('gives up at once on errors that are not retryable', async () => {
+  responses.crm = [httpError(400)];
+  await deliveryQueue.enqueue({ text: 'bad' }, { event: 'MESSAGES_UPSERT', sourceId: '972501234567' }, target);
+  await waitFor(() => letters.length === 1);
+  assert.equal(letters[0].reason, 'not_retryable');
+  assert.equal(letters[0].url, target.url);
+  assert.equal(letters[0].metadata.targetId, 'crm');
+  assert.equal(deliveryQueue.getStats().pending, 0);
+});
+
+test('gives up on retryable errors once the entry is older than the maximum age', async () => {
+  responses.crm = [httpError(503)];
+  const entry = await deliveryQueue.enqueue({ text: 'old' }, {}, target);
+  await waitFor(() => entry.attempts.length === 1);
+  assert.deepEqual(letters, []);
+
+  entry.createdAt = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  await retryNow(entry);
+  assert.equal(letters.length, 1);
+  assert.equal(letters[0].reason, 'max_age_exceeded');
+  assert.equal(letters[0].attempts.length, 2);
+});
+
+test('signs media links per attempt and dead-letters the unsigned payload', async () => {
+  responses.crm = [httpError(400)];
+  await deliveryQueue.enqueue({ data: { mediaId: 'm1' } }, { mediaId: 'm1' }, target);
+  await waitFor(() => letters.length === 1);
+
+  const { data } = sent[0].payload;
+  assert.match(data.mediaUrl, /^http:\/\/filter\.test\/media\/m1\?exp=\d+&sig=/);
+  assert.ok(Math.abs(new Date(data.mediaUrlExpiresAt).getTime() - Date.now() - 120 * 1000) < 2000);
+  assert.deepEqual(letters[0].payload, { data: { mediaId: 'm1' } });
+  assert.equal(letters[0].metadata.mediaUrlExpiry, 120);
+});
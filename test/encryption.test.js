@@ -0,0 +1,102 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'error';
+delete process.env.ENCRYPTION_KEY_FILE;
+const encryption = require('../services/encryption');
+
+const KEY1 = '1'.repeat(64);
+const KEY2 = Buffer.alloc(32, 2).toString('base64');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wf-encryption-'));
+
+function useKeys(current, previous = []) {
+  process.env.ENCRYPTION_KEY = current || '';
+  process.env.ENCRYPTION_PREVIOUS_KEYS = previous.join(',');
+  encryption.init();
+}
+
+beforeEach(() => useKeys(null));
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+  delete process.env.ENCRYPTION_KEY;
+  delete process.env.ENCRYPTION_PREVIOUS_KEYS;
+});
+
+test('passes data through when no key is configured', () => {
+  assert.equal(encryption.isEnabled(), false);
+  const data = encryption.encrypt('plain');
+  assert.equal(encryption.isEncrypted(data), false);
+  assert.equal(encryption.decrypt(data).toString(), 'plain');
+});
+
+test('round-trips data with a hex or base64 key', () => {
+  for (const key of [KEY1, KEY2]) {
+    useKeys(key);
+    const data = encryption.encrypt('{"contacts":[]}');
+    assert.equal(encryption.isEncrypted(data), true);
+    assert.equal(data.includes('contacts'), false);
+    assert.equal(encryption.decrypt(data).toString(), '{"contacts":[]}');
+  }
+  // Plaintext from before encryption was turned on is still readable
+  assert.equal(encryption.decrypt(Buffer.from('old')).toString(), 'old');
+});
+
+test('rejects malformed keys', () => {
+  assert.throws(() => useKeys('too-short'), /ENCRYPTION_KEY must be 32 bytes/);
+  assert.throws(() => useKeys(KEY1, ['abcd']), /ENCRYPTION_PREVIOUS_KEYS must be 32 bytes/);
+});
+
+test('detects modified data', () => {
+  useKeys(KEY1);
+  const data = encryption.encrypt('secret');
+  data[data.length - 1] ^= 1;
+  assert.throws(() => encryption.decrypt(data), /the data was modified or is corrupt/);
+});
+
+test('refuses data encrypted with a key that is not configured', () => {
+  useKeys(KEY1);
+  const data = encryption.encrypt('secret');
+  useKeys(KEY2);
+  assert.throws(() => encryption.decrypt(data), /which is not configured/);
+  useKeys(null);
+  assert.throws(() => encryption.decrypt(data), /which is not configured/);
+});
+
+test('re-encrypts files with the new key after a rotation', async () => {
+  const file = path.join(dir, 'rotation.json');
+  useKeys(KEY1);
+  await encryption.writeFile(file, '{"a":1}');
+  const before = fs.readFileSync(file);
+  assert.equal(encryption.isEncrypted(before), true);
+
+  useKeys(KEY2, [KEY1]);
+  assert.equal(encryption.needsRewrite(before), true);
+  assert.equal(await encryption.readFile(file, 'utf8'), '{"a":1}');
+  assert.equal(await encryption.migrateFile(file), true);
+  assert.equal(await encryption.migrateFile(file), false);
+
+  // The old key is no longer needed
+  useKeys(KEY2);
+  assert.equal(await encryption.readFile(file, 'utf8'), '{"a":1}');
+  assert.deepEqual(fs.readdirSync(dir).filter(name => name.endsWith('.tmp')), []);
+});
+
+test('encrypts plaintext files when turned on, and decrypts them when turned off', async () => {
+  const folder = fs.mkdtempSync(path.join(dir, 'migrate-'));
+  fs.writeFileSync(path.join(folder, 'a.json'), '{"a":1}');
+  fs.writeFileSync(path.join(folder, 'b.json'), '{"b":2}');
+
+  useKeys(KEY1);
+  assert.deepEqual(await encryption.migrateDirectory(folder), { migrated: 2, total: 2 });
+  assert.equal(encryption.isEncrypted(fs.readFileSync(path.join(folder, 'a.json'))), true);
+  assert.deepEqual(await encryption.migrateDirectory(folder), { migrated: 0, total: 2 });
+
+  useKeys(null, [KEY1]);
+  assert.deepEqual(await encryption.migrateDirectory(folder), { migrated: 2, total: 2 });
+  assert.equal(fs.readFileSync(path.join(folder, 'b.json'), 'utf8'), '{"b":2}');
+
+  assert.deepEqual(await encryption.migrateDirectory(path.join(folder, 'missing')), { migrated: 0, total: 0 });
+});
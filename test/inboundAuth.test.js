@@ -0,0 +1,111 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+process.env.LOG_LEVEL = 'error';
+for (const name of ['INBOUND_AUTH_MODE', 'INBOUND_AUTH_ENFORCEMENT', 'INBOUND_AUTH_SECRET', 'INBOUND_HMAC_TOLERANCE_SECONDS']) {
+  delete process.env[name];
+}
+const inboundAuth = require('../services/inboundAuth');
+
+const SECRET = 's'.repeat(32);
+const OTHER = 'o'.repeat(32);
+
+/**
+ * Request signed like an outgoing webhook, `skew` seconds from now
+ */
+function signedRequest(body, secret, skew = 0) {
+  const rawBody = Buffer.from(JSON.stringify(body));
+  const timestamp = String(Math.floor(Date.now() / 1000) + skew);
+  const signature = 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+  return { body, rawBody, headers: { 'x-filter-timestamp': timestamp, 'x-filter-signature': signature } };
+}
+
+beforeEach(() => inboundAuth.setSettings({}));
+
+test('accepts everything when off', () => {
+  assert.equal(inboundAuth.getMode(), 'off');
+  assert.equal(inboundAuth.getEnforcement(), 'reject');
+  assert.deepEqual(inboundAuth.verify({ headers: {}, body: {} }), { ok: true, mode: 'off', instance: null, reason: null });
+});
+
+test('rejects when no credential is configured', () => {
+  inboundAuth.configure({ mode: 'bearer' });
+  assert.equal(inboundAuth.verify({ headers: {}, body: {} }).reason, 'no_credentials');
+});
+
+test('checks Evolution API keys from the header or the body', () => {
+  inboundAuth.setSettings({ mode: 'apikey' });
+  inboundAuth.setCredential('default', SECRET);
+  assert.equal(inboundAuth.verify({ headers: { apikey: SECRET }, body: {} }).ok, true);
+  assert.equal(inboundAuth.verify({ headers: {}, body: { apikey: SECRET } }).ok, true);
+  assert.equal(inboundAuth.verify({ headers: {}, body: {} }).reason, 'missing_apikey');
+  assert.equal(inboundAuth.verify({ headers: { apikey: OTHER }, body: {} }).reason, 'invalid_apikey');
+});
+
+test('checks bearer tokens', () => {
+  inboundAuth.setSettings({ mode: 'bearer' });
+  inboundAuth.setCredential('default', SECRET);
+  assert.equal(inboundAuth.verify({ headers: { authorization: `Bearer ${SECRET}` }, body: {} }).ok, true);
+  assert.equal(inboundAuth.verify({ headers: { authorization: SECRET }, body: {} }).reason, 'missing_token');
+  assert.equal(inboundAuth.verify({ headers: { authorization: `Bearer ${OTHER}` }, body: {} }).reason, 'invalid_token');
+});
+
+test('checks HMAC signatures and timestamp skew', () => {
+  inboundAuth.setSettings({ mode: 'hmac' });
+  inboundAuth.setCredential('default', SECRET);
+  const body = { event: 'messages.upsert' };
+
+  assert.equal(inboundAuth.verify(signedRequest(body, SECRET)).ok, true);
+  assert.equal(inboundAuth.verify(signedRequest(body, SECRET, -290)).ok, true);
+  assert.equal(inboundAuth.verify(signedRequest(body, SECRET, 290)).ok, true);
+  assert.equal(inboundAuth.verify(signedRequest(body, SECRET, -310)).reason, 'stale_timestamp');
+  assert.equal(inboundAuth.verify(signedRequest(body, SECRET, 310)).reason, 'stale_timestamp');
+  assert.equal(inboundAuth.verify(signedRequest(body, OTHER)).reason, 'invalid_signature');
+  assert.equal(inboundAuth.verify({ body, headers: {} }).reason, 'missing_signature');
+
+  const garbled = signedRequest(body, SECRET);
+  garbled.headers['x-filter-timestamp'] = 'soon';
+  assert.equal(inboundAuth.verify(garbled).reason, 'stale_timestamp');
+
+  // The signature covers the raw body
+  const tampered = signedRequest(body, SECRET);
+  tampered.rawBody = Buffer.from(JSON.stringify({ event: 'messages.delete' }));
+  assert.equal(inboundAuth.verify(tampered).reason, 'invalid_signature');
+});
+
+test('accepts any of several signatures, as sent during a secret rotation', () => {
+  inboundAuth.setSettings({ mode: 'hmac' });
+  inboundAuth.setCredential('default', SECRET);
+  const request = signedRequest({}, OTHER);
+  const { headers, rawBody } = request;
+  const previous = 'sha256=' + crypto.createHmac('sha256', SECRET).update(`${headers['x-filter-timestamp']}.${rawBody}`).digest('hex');
+  headers['x-filter-signature'] += `, ${previous}`;
+  assert.equal(inboundAuth.verify(request).ok, true);
+});
+
+test('instances with their own credential only accept that one', () => {
+  inboundAuth.setSettings({ mode: 'bearer' });
+  inboundAuth.setCredential('default', SECRET);
+  inboundAuth.setCredential('sales', OTHER);
+  const request = (token, instance) => ({ headers: { authorization: `Bearer ${token}` }, body: { instance } });
+
+  assert.equal(inboundAuth.verify(request(OTHER, 'sales')).ok, true);
+  assert.equal(inboundAuth.verify(request(SECRET, 'sales')).reason, 'invalid_token');
+  assert.equal(inboundAuth.verify(request(SECRET, 'support')).ok, true);
+  assert.deepEqual(Object.keys(inboundAuth.getMasked().credentials), ['default', 'sales']);
+
+  assert.equal(inboundAuth.removeCredential('sales'), true);
+  assert.equal(inboundAuth.removeCredential('sales'), false);
+  assert.equal(inboundAuth.verify(request(SECRET, 'sales')).ok, true);
+});
+
+test('falls back to INBOUND_AUTH_SECRET without a default credential', () => {
+  process.env.INBOUND_AUTH_SECRET = SECRET;
+  try {
+    inboundAuth.configure({ mode: 'apikey' });
+    assert.equal(inboundAuth.verify({ headers: { apikey: SECRET }, body: {} }).ok, true);
+  } finally {
+    delete process.env.INBOUND_AUTH_SECRET;
+  }
+});
@@ -0,0 +1,130 @@
+const { test, before, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+const messageStore = require('../services/messageStore');
+const mediaStore = require('../services/mediaStore');
+const retention = require('../services/retention');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MB = 1024 * 1024;
+const daysAgo = days => new Date(Date.now() - days * DAY_MS).toISOString();
+
+// Stored state: { chat: [{ timestamp, mediaId }] } and the media index (oldest first)
+let messages;
+let media;
+let deleted;
+let removedMedia;
+
+before(() => {
+  mock.method(messageStore, 'getPhones', () => Object.keys(messages).map(phone => ({ phone })));
+  const olderThan = (phone, cutoff) => {
+    const old = messages[phone].filter(message => new Date(message.timestamp) < cutoff);
+    return { count: old.length, mediaIds: old.map(message => message.mediaId).filter(Boolean) };
+  };
+  mock.method(messageStore, 'findOlderThan', olderThan);
+  mock.method(messageStore, 'deleteOlderThan', (phone, cutoff) => {
+    deleted.push(phone);
+    return olderThan(phone, cutoff);
+  });
+  mock.method(mediaStore, 'listMedia', () => media);
+  mock.method(mediaStore, 'removeMedia', async ids => {
+    removedMedia.push(...ids);
+    return { removed: ids.length, bytes: 0 };
+  });
+
+  // Contacts and groups by type
+  retention.start(() => ({ '972500000001': 'VIP', '972500000002': 'TEMP' }));
+  retention.stop();
+});
+
+beforeEach(() => {
+  messages = {};
+  media = [];
+  deleted = [];
+  removedMedia = [];
+});
+
+test('validates policies', () => {
+  assert.equal(retention.validatePolicies({ messages: { maxAgeDays: 30, byType: { VIP: null, TEMP: 7 } }, media: { byKind: { video: 3 }, maxTotalMB: 500 } }), null);
+  assert.match(retention.validatePolicies([]), /must be an object/);
+  assert.match(retention.validatePolicies({ messages: { maxAgeDays: 0 } }), /messages.maxAgeDays/);
+  assert.match(retention.validatePolicies({ messages: { byType: { ALIENS: 3 } } }), /Unknown contact\/group type: ALIENS/);
+  assert.match(retention.validatePolicies({ media: { byKind: { sticker: 3 } } }), /Unknown media kind: sticker/);
+  assert.match(retention.validatePolicies({ media: { maxTotalMB: '10' } }), /media.maxTotalMB/);
+});
+
+test('applies message age limits per type, where null keeps forever', async () => {
+  messages = {
+    972500000001: [{ timestamp: daysAgo(100) }],
+    972500000002: [{ timestamp: daysAgo(10) }, { timestamp: daysAgo(1) }],
+    972500000003: [{ timestamp: daysAgo(40) }, { timestamp: daysAgo(20) }]
+  };
+  const report = await retention.sweep({ policies: { messages: { maxAgeDays: 30, byType: { VIP: null, TEMP: 7 } } } });
+
+  assert.deepEqual(report.messages.chats, [
+    { chat: '972500000002', entityType: 'TEMP', maxAgeDays: 7, count: 1 },
+    { chat: '972500000003', entityType: null, maxAgeDays: 30, count: 1 }
+  ]);
+  assert.equal(report.messages.count, 2);
+  assert.deepEqual(deleted, ['972500000002', '972500000003']);
+});
+
+test('previews without deleting anything', async () => {
+  messages = { 972500000003: [{ timestamp: daysAgo(40), mediaId: 'm1' }] };
+  media = [{ id: 'm1', hash: 'h1', kind: 'image', size: MB, timestamp: daysAgo(40) }];
+  const report = await retention.sweep({ preview: true, policies: { messages: { maxAgeDays: 30 } } });
+
+  assert.equal(report.preview, true);
+  assert.equal(report.messages.count, 1);
+  assert.equal(report.media.count, 1);
+  assert.deepEqual(deleted, []);
+  assert.deepEqual(removedMedia, []);
+});
+
+test('removes media of expired messages and media past its kind limit', async () => {
+  messages = { 972500000003: [{ timestamp: daysAgo(40), mediaId: 'm1' }, { timestamp: daysAgo(1), mediaId: 'm2' }] };
+  media = [
+    { id: 'm1', hash: 'h1', kind: 'image', size: MB, timestamp: daysAgo(40) },
+    { id: 'm3', hash: 'h3', kind: 'video', size: MB, timestamp: daysAgo(5) },
+    { id: 'm4', hash: 'h4', kind: 'image', size: MB, timestamp: daysAgo(5) },
+    { id: 'm2', hash: 'h2', kind: 'video', size: MB, timestamp: daysAgo(1) }
+  ];
+  const report = await retention.sweep({ policies: { messages: { maxAgeDays: 30 }, media: { maxAgeDays: 60, byKind: { video: 3 } } } });
+
+  assert.deepEqual(removedMedia.sort(), ['m1', 'm3']);
+  assert.deepEqual(report.media.byReason, { message: 1, age: 1, size: 0 });
+  assert.equal(report.media.freedMB, 2);
+});
+
+test('files shared by several media IDs are freed only when none is kept', async () => {
+  media = [
+    { id: 'a1', hash: 'shared', kind: 'image', size: 2 * MB, timestamp: daysAgo(10) },
+    { id: 'a2', hash: 'shared', kind: 'document', size: 2 * MB, timestamp: daysAgo(10) },
+    { id: 'b1', hash: 'both', kind: 'image', size: MB, timestamp: daysAgo(10) },
+    { id: 'b2', hash: 'both', kind: 'image', size: MB, timestamp: daysAgo(9) }
+  ];
+  const report = await retention.sweep({ policies: { media: { byKind: { image: 7 } } } });
+
+  assert.deepEqual(removedMedia, ['a1', 'b1', 'b2']);
+  // "shared" is still used by a2; "both" is freed once
+  assert.equal(report.media.freedMB, 1);
+});
+
+test('the size cap removes the oldest media until the stored files fit, counting shared files once', async () => {
+  media = [
+    { id: 'old1', hash: 'x', kind: 'image', size: 3 * MB, timestamp: daysAgo(5) },
+    { id: 'old2', hash: 'x', kind: 'image', size: 3 * MB, timestamp: daysAgo(4) },
+    { id: 'mid', hash: 'y', kind: 'image', size: 2 * MB, timestamp: daysAgo(3) },
+    { id: 'new', hash: 'z', kind: 'image', size: 2 * MB, timestamp: daysAgo(1) }
+  ];
+  // Disk usage is 7 MB (x is stored once)
+  const report = await retention.sweep({ policies: { media: { maxTotalMB: 3 } } });
+
+  assert.deepEqual(removedMedia, ['old1', 'old2', 'mid']);
+  assert.deepEqual(report.media.byReason, { message: 0, age: 0, size: 3 });
+  assert.equal(report.media.freedMB, 5);
+
+  removedMedia = [];
+  assert.equal((await retention.sweep({ policies: { media: { maxTotalMB: 8 } } })).media.count, 0);
+});
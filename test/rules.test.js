@@ -0,0 +1,97 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+const rules = require('../services/rules');
+
+const at = (hours, minutes = 0) => new Date(2024, 0, 15, hours, minutes);
+const message = (changes = {}) => ({
+  sourceType: 'contact',
+  sourceId: '972501234567',
+  entityType: 'VIP',
+  listed: true,
+  messageType: 'text',
+  body: 'hello',
+  date: at(12),
+  ...changes
+});
+
+afterEach(() => rules.setRules(null));
+
+test('default rules allow listed senders and deny everything else', () => {
+  assert.equal(rules.isDefault(), true);
+  assert.equal(rules.evaluate(message()).action, 'allow');
+  assert.deepEqual(rules.evaluate(message({ listed: false })), { action: 'deny', rule: null });
+});
+
+test('the first matching rule decides, and no match is an implicit deny', () => {
+  rules.setRules([
+    { id: 'off', enabled: false, conditions: {}, action: 'allow' },
+    { id: 'spam', conditions: { bodyRegex: '^buy now' }, action: 'drop' },
+    { id: 'vip', conditions: { entityType: ['VIP', 'BUSINESS'] }, action: 'route', webhookUrl: 'http://vip.test/' },
+    { id: 'groups', conditions: { sourceType: 'group' }, action: 'allow' }
+  ]);
+
+  assert.equal(rules.evaluate(message({ body: 'BUY NOW cheap' })).rule.id, 'spam');
+  assert.equal(rules.evaluate(message()).rule.id, 'vip');
+  assert.equal(rules.evaluate(message({ sourceType: 'group', sourceId: '120363000000000001@g.us', entityType: 'GENERAL' })).rule.id, 'groups');
+  assert.deepEqual(rules.evaluate(message({ entityType: 'TEMP' })), { action: 'deny', rule: null });
+});
+
+test('all conditions of a rule must match', () => {
+  rules.setRules([{ id: 'r', conditions: { sourceType: 'contact', messageType: 'image', listed: false }, action: 'allow' }]);
+  assert.equal(rules.evaluate(message({ messageType: 'image', listed: false })).action, 'allow');
+  assert.equal(rules.evaluate(message({ messageType: 'image', listed: true })).rule, null);
+  assert.equal(rules.evaluate(message({ messageType: 'text', listed: false })).rule, null);
+});
+
+test('matches senders exactly or by prefix, in any notation', () => {
+  rules.setRules([{ id: 'r', conditions: { sender: ['+972 50-999-9999', '97254*'] }, action: 'allow' }]);
+  assert.equal(rules.evaluate(message({ sourceId: '972509999999@s.whatsapp.net' })).action, 'allow');
+  assert.equal(rules.evaluate(message({ sourceId: '972541112222' })).action, 'allow');
+  assert.equal(rules.evaluate(message({ sourceId: '972501234567' })).rule, null);
+});
+
+test('time windows include their start, exclude their end and wrap around midnight', () => {
+  rules.setRules([{ id: 'day', conditions: { timeOfDay: { from: '09:00', to: '17:00' } }, action: 'allow' }]);
+  assert.equal(rules.evaluate(message({ date: at(9) })).action, 'allow');
+  assert.equal(rules.evaluate(message({ date: at(16, 59) })).action, 'allow');
+  assert.equal(rules.evaluate(message({ date: at(17) })).rule, null);
+
+  rules.setRules([{ id: 'night', conditions: { timeOfDay: { from: '22:00', to: '06:00' } }, action: 'drop' }]);
+  assert.equal(rules.evaluate(message({ date: at(23, 30) })).action, 'drop');
+  assert.equal(rules.evaluate(message({ date: at(0) })).action, 'drop');
+  assert.equal(rules.evaluate(message({ date: at(5, 59) })).action, 'drop');
+  assert.equal(rules.evaluate(message({ date: at(6) })).rule, null);
+  assert.equal(rules.evaluate(message({ date: at(21, 59) })).rule, null);
+});
+
+test('a rule that fails to evaluate is skipped', () => {
+  rules.setRules([
+    { id: 'broken', conditions: { bodyRegex: '(' }, action: 'drop' },
+    { id: 'all', conditions: {}, action: 'allow' }
+  ]);
+  assert.equal(rules.evaluate(message()).rule.id, 'all');
+});
+
+test('validates rules', () => {
+  const valid = { action: 'allow', conditions: { sender: '972*', bodyRegex: 'hi', timeOfDay: { from: '22:00', to: '06:00' }, listed: true } };
+  assert.equal(rules.validateRule(valid), null);
+
+  const invalid = [
+    [null, /must be an object/],
+    [{ action: 'forward' }, /Invalid action/],
+    [{ action: 'route', webhookUrl: 'nope' }, /valid webhookUrl/],
+    [{ action: 'allow', conditions: [] }, /conditions must be an object/],
+    [{ action: 'allow', conditions: { color: 'red' } }, /Unknown conditions: color/],
+    [{ action: 'allow', conditions: { sender: ['972*', 5] } }, /sender must be a string/],
+    [{ action: 'allow', conditions: { messageType: '' } }, /messageType must be a string/],
+    [{ action: 'allow', conditions: { bodyRegex: {} } }, /bodyRegex must be a string/],
+    [{ action: 'allow', conditions: { bodyRegex: '(' } }, /Invalid bodyRegex/],
+    [{ action: 'allow', conditions: { timeOfDay: { from: '24:00', to: '06:00' } } }, /timeOfDay must be/],
+    [{ action: 'allow', conditions: { listed: 'yes' } }, /listed must be true or false/]
+  ];
+  for (const [rule, error] of invalid) {
+    assert.match(rules.validateRule(rule), error);
+  }
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeText, buildSearchText, buildMatchQuery, buildSnippet } = require('../utils/searchText');
+
+test('normalizes niqqud, final letters, acronym marks, width and case', () => {
+  assert.equal(normalizeText('שָׁלוֹם'), 'שלומ');
+  assert.equal(normalizeText('צה"ל צה״ל'), 'צהל צהל');
+  assert.equal(normalizeText('ＦＵＬＬ Width'), 'full width');
+  assert.equal(normalizeText(null), '');
+});
+
+test('indexes Hebrew words with and without up to two prefix letters', () => {
+  assert.equal(buildSearchText('והבית'), 'והבית הבית בית');
+  assert.equal(buildSearchText('שלום'), 'שלומ לומ');
+  // Stems stay at least three letters long
+  assert.equal(buildSearchText('ולא מה בית'), 'ולא מה בית');
+  // Only Hebrew words are stemmed
+  assert.equal(buildSearchText('Hello, world! 2024'), 'hello world 2024');
+});
+
+test('finds prefixed Hebrew words by their stem', () => {
+  const indexed = buildSearchText('ראיתי את הילדים בבית הספר').split(' ');
+  for (const word of ['ילדים', 'בית', 'ספר']) {
+    assert.ok(indexed.includes(normalizeText(word)), word);
+  }
+});
+
+test('builds FTS queries where every term must match as a prefix', () => {
+  assert.equal(buildMatchQuery('Hello בית'), '"hello"* AND "בית"*');
+  assert.equal(buildMatchQuery('שלום'), '"שלומ"*');
+  assert.equal(buildMatchQuery('  !!! '), null);
+});
+
+test('FTS syntax in a query is treated as plain words', () => {
+  assert.equal(buildMatchQuery('a" OR b* NEAR(c) -d'), '"a"* AND "or"* AND "b"* AND "near"* AND "c"* AND "d"*');
+});
+
+test('builds snippets with highlights around the first match', () => {
+  assert.deepEqual(buildSnippet('בוקר טוב לכם, שלום', 'שלום'), {
+    snippet: 'בוקר טוב לכם, שלום',
+    highlights: [{ start: 14, length: 4 }]
+  });
+
+  const long = `${'x'.repeat(200)} needle ${'y'.repeat(200)}`;
+  const { snippet, highlights } = buildSnippet(long, 'NEEDLE', 60);
+  assert.equal(snippet.length, 62);
+  assert.ok(snippet.startsWith('…') && snippet.endsWith('…'));
+  assert.equal(snippet.substr(highlights[0].start, highlights[0].length), 'needle');
+
+  assert.deepEqual(buildSnippet('no match here', 'zzz'), { snippet: 'no match here', highlights: [] });
+});
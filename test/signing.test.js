@@ -0,0 +1,80 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+process.env.LOG_LEVEL = 'error';
+delete process.env.WEBHOOK_SIGNING_SECRET;
+const signing = require('../services/signing');
+
+const SECRET_A = 'a'.repeat(32);
+const SECRET_B = 'b'.repeat(32);
+const body = JSON.stringify({ event: 'MESSAGES_UPSERT', data: { text: 'hi' } });
+
+/**
+ * Check a signature header as a receiver would
+ */
+function accepts(headers, secret) {
+  const expected = 'sha256=' + crypto.createHmac('sha256', secret).update(`${headers['X-Filter-Timestamp']}.${body}`).digest('hex');
+  return headers['X-Filter-Signature'].split(',').includes(expected);
+}
+
+beforeEach(() => {
+  signing.setSecrets({});
+  delete process.env.WEBHOOK_SIGNING_SECRET;
+});
+
+test('does not sign without a secret', () => {
+  assert.deepEqual(signing.sign('default', body), {});
+});
+
+test('signs the timestamp and body with the target secret', () => {
+  signing.setSecret('default', SECRET_A);
+  const headers = signing.sign('default', body);
+
+  assert.ok(Math.abs(Number(headers['X-Filter-Timestamp']) - Date.now() / 1000) < 2);
+  assert.equal(accepts(headers, SECRET_A), true);
+  assert.equal(accepts(headers, SECRET_B), false);
+  assert.equal(accepts({ ...headers, 'X-Filter-Timestamp': String(Number(headers['X-Filter-Timestamp']) - 1) }, SECRET_A), false);
+});
+
+test('signs with both secrets during a rotation until the previous one is retired', () => {
+  signing.setSecret('VIP', SECRET_A);
+  signing.rotate('VIP', SECRET_B);
+
+  let headers = signing.sign('VIP', body);
+  assert.equal(headers['X-Filter-Signature'].split(',').length, 2);
+  assert.equal(accepts(headers, SECRET_A), true);
+  assert.equal(accepts(headers, SECRET_B), true);
+
+  assert.equal(signing.retirePrevious('VIP'), true);
+  assert.equal(signing.retirePrevious('VIP'), false);
+  headers = signing.sign('VIP', body);
+  assert.equal(accepts(headers, SECRET_A), false);
+  assert.equal(accepts(headers, SECRET_B), true);
+});
+
+test('targets without secrets fall back to default, then WEBHOOK_SIGNING_SECRET', () => {
+  process.env.WEBHOOK_SIGNING_SECRET = SECRET_B;
+  assert.equal(accepts(signing.sign('VIP', body), SECRET_B), true);
+
+  signing.setSecret('default', SECRET_A);
+  assert.equal(accepts(signing.sign('VIP', body), SECRET_A), true);
+  assert.equal(accepts(signing.sign('VIP', body), SECRET_B), false);
+
+  signing.setSecret('VIP', SECRET_B);
+  assert.equal(signing.removeTarget('VIP'), true);
+  assert.equal(signing.removeTarget('VIP'), false);
+  assert.equal(accepts(signing.sign('VIP', body), SECRET_A), true);
+});
+
+test('masks secrets and validates their length', () => {
+  signing.setSecret('default', SECRET_A);
+  signing.rotate('default', SECRET_B);
+  const { default: masked } = signing.getMasked();
+  assert.equal(masked.current, 'bbbb...bbbb');
+  assert.equal(masked.previous, 'aaaa...aaaa');
+
+  assert.equal(signing.validateSecret(SECRET_A), null);
+  assert.match(signing.validateSecret('short'), /at least 16 characters/);
+  assert.match(signing.validateSecret(12345678901234567), /must be a string/);
+});
@@ -0,0 +1,191 @@
+/**
+ * Parser for WhatsApp "Export chat" text files
+ * Android: 15/01/2024, 14:05 - Sender: text   iOS: [15/01/2024, 14:05:12] Sender: text
+ * Day/month order is detected from the file (or given); 12-hour times and RTL (Hebrew) exports are supported.
+ */
+
+// Direction marks and isolates added around RTL names and attachments
+const BIDI_REGEX = /[\u200E\u200F\u202A-\u202E\u2066-\u2069]/g;
+// Narrow/no-break spaces used before AM/PM
+const SPACE_REGEX = /[\u202F\u00A0]/g;
+
+const DATE = '(\\d{1,4})[/.\\-](\\d{1,2})[/.\\-](\\d{1,4})';
+const TIME = '(\\d{1,2}):(\\d{2})(?::(\\d{2}))?(?: ?([AaPp])\\.? ?[Mm]\\.?)?';
+const ANDROID_HEADER = new RegExp(`^${DATE},? ${TIME} - (.*)$`);
+const IOS_HEADER = new RegExp(`^\\[${DATE},? ${TIME}\\] (.*)$`);
+const SENDER_REGEX = /^(.+?): ([\s\S]*)$/;
+
+// End-to-end encryption notice that iOS attributes to the chat
+const NOTICE_REGEX = /end-to-end encrypted|מוצפנות מקצה לקצה/;
+
+// Attachments: "IMG-20240115-WA0001.jpg (file attached)" (Android), "<attached: 00000012-PHOTO-....jpg>" (iOS)
+const ANDROID_ATTACHMENT_REGEX = /^(.+\.[A-Za-z0-9]{2,5}) \(([^()]+)\)$/;
+const ATTACHED_PHRASES = ['file attached', 'קובץ מצורף'];
+const IOS_ATTACHMENT_REGEX = /^<[^:<>]+: ([^<>]+\.[A-Za-z0-9]{2,5})>$/;
+const MEDIA_OMITTED_REGEX = /^<(Media omitted|המדיה לא נכללה)>$/i;
+const IOS_OMITTED_REGEX = /^(image|video|audio|sticker|GIF|document) omitted$/i;
+
+const DATE_ORDERS = ['dmy', 'mdy', 'ymd'];
+
+/**
+ * Detect day/month order from all dates in the file
+ */
+function detectDateOrder(dates) {
+  if (dates.some(([first]) => first.length === 4)) return 'ymd';
+  if (dates.some(([first]) => parseInt(first) > 12)) return 'dmy';
+  if (dates.some(([, second]) => parseInt(second) > 12)) return 'mdy';
+  return null;
+}
+
+/**
+ * Parse the attachment reference in a message's first line
+ * @returns {Object|null} { fileName, explicit } or { omitted: true, kind } - caption is added by the caller
+ */
+function parseAttachment(firstLine) {
+  if (MEDIA_OMITTED_REGEX.test(firstLine)) return { omitted: true, kind: null };
+
+  const iosOmitted = firstLine.match(IOS_OMITTED_REGEX);
+  if (iosOmitted) {
+    const kind = iosOmitted[1].toLowerCase();
+    return { omitted: true, kind: kind === 'gif' ? 'video' : kind };
+  }
+
+  const ios = firstLine.match(IOS_ATTACHMENT_REGEX);
+  if (ios) return { fileName: ios[1].trim(), explicit: true };
+
+  // Android phrase is localized - unknown phrases only count if the file is in the archive
+  const android = firstLine.match(ANDROID_ATTACHMENT_REGEX);
+  if (android) {
+    return { fileName: android[1].trim(), explicit: ATTACHED_PHRASES.includes(android[2].toLowerCase()) };
+  }
+
+  return null;
+}
+
+/**
+ * Parse an export
+ * @param {string} text - Export file content
+ * @param {Object} options - { dateOrder: dmy|mdy|ymd (detected if omitted) }
+ * @throws {Error} If a date does not fit the date order
+ * @returns {Object} { format, dateOrder, messages: [{ date, hasSeconds, sender, text, attachment }], skipped }
+ *   attachment: { fileName, explicit, caption } or { omitted, kind, caption }, null for plain text
+ */
+function parse(text, options = {}) {
+  const lines = text
+    .replace(/^\uFEFF/, '')
+    .replace(BIDI_REGEX, '')
+    .replace(SPACE_REGEX, ' ')
+    .split(/\r?\n/);
+
+  // Entries: header match + continuation lines
+  const entries = [];
+  let format = null;
+  for (const line of lines) {
+    const ios = line.match(IOS_HEADER);
+    const android = ios ? null : line.match(ANDROID_HEADER);
+    const match = ios || android;
+
+    if (match) {
+      format = format || (ios ? 'ios' : 'android');
+      entries.push({ match, content: [match[8]] });
+    } else if (entries.length > 0) {
+      entries[entries.length - 1].content.push(line);
+    }
+  }
+
+  const dateOrder = options.dateOrder || detectDateOrder(entries.map(entry => [entry.match[1], entry.match[2]])) || 'dmy';
+
+  const messages = [];
+  let skipped = 0;
+  for (const { match, content } of entries) {
+    const body = content.join('\n').replace(/\n+$/, '');
+    const senderMatch = body.match(SENDER_REGEX);
+
+    // System messages ("X joined", encryption notice) have no sender
+    if (!senderMatch || NOTICE_REGEX.test(senderMatch[2])) {
+      skipped++;
+      continue;
+    }
+
+    const [, a, b, c, hours, minutes, seconds, meridiem] = match;
+    const [year, month, day] = {
+      dmy: [c, b, a],
+      mdy: [c, a, b],
+      ymd: [a, b, c]
+    }[dateOrder].map(Number);
+
+    if (month < 1 || month > 12 || day < 1 || day > 31) {
+      throw new Error(`Invalid date "${a}/${b}/${c}" for date order ${dateOrder}`);
+    }
+
+    let hour = parseInt(hours);
+    if (meridiem) {
+      const pm = meridiem.toLowerCase() === 'p';
+      if (pm && hour < 12) hour += 12;
+      if (!pm && hour === 12) hour = 0;
+    }
+
+    const [firstLine, ...rest] = senderMatch[2].split('\n');
+    const attachment = parseAttachment(firstLine.trim());
+    if (attachment) attachment.caption = rest.join('\n').trim();
+
+    messages.push({
+      date: {
+        year: year < 100 ? 2000 + year : year,
+        month,
+        day,
+        hour,
+        minute: parseInt(minutes),
+        second: seconds ? parseInt(seconds) : 0
+      },
+      hasSeconds: !!seconds,
+      sender: senderMatch[1].trim(),
+      text: senderMatch[2],
+      attachment
+    });
+  }
+
+  return { format, dateOrder, messages, skipped };
+}
+
+/**
+ * Offset of a time zone from UTC at an instant (ms)
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  });
+  for (const { type, value } of formatter.formatToParts(new Date(timestamp))) {
+    parts[type] = parseInt(value);
+  }
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Convert a parsed local date to a Date (server time zone unless timeZone is given)
+ */
+function toDate({ year, month, day, hour, minute, second }, timeZone) {
+  if (!timeZone) return new Date(year, month - 1, day, hour, minute, second);
+
+  const wallTime = Date.UTC(year, month - 1, day, hour, minute, second);
+  let timestamp = wallTime - getTimeZoneOffset(wallTime, timeZone);
+  // Re-check once in case the guess crossed a DST change
+  const offset = getTimeZoneOffset(timestamp, timeZone);
+  timestamp = wallTime - offset;
+  return new Date(timestamp);
+}
+
+module.exports = {
+  parse,
+  toDate,
+  DATE_ORDERS
+};
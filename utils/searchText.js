@@ -0,0 +1,107 @@
+/**
+ * Text normalization for full-text search (Hebrew and English)
+ * Hebrew: strips niqqud/cantillation and geresh marks, folds final letters and
+ * indexes words without their one-letter prefixes (ו ה ב כ ל מ ש), so "והבית" is found by "בית".
+ */
+
+// Niqqud and cantillation marks
+const HEBREW_MARKS_REGEX = /[\u0591-\u05BD\u05BF\u05C1\u05C2\u05C4\u05C5\u05C7]/g;
+// Geresh/gershayim (and ASCII quotes used as such) between Hebrew letters, e.g. צה"ל
+const HEBREW_ACRONYM_REGEX = /([א-ת])["'\u05F3\u05F4]+(?=[א-ת])/g;
+const FINAL_LETTERS = { 'ך': 'כ', 'ם': 'מ', 'ן': 'נ', 'ף': 'פ', 'ץ': 'צ' };
+const FINAL_LETTERS_REGEX = /[ךםןףץ]/g;
+const HEBREW_PREFIXES = 'והבכלמש';
+const HEBREW_WORD_REGEX = /^[א-ת]+$/;
+const TOKEN_REGEX = /[\p{L}\p{N}]+/gu;
+const MIN_STEM_LENGTH = 3;
+
+/**
+ * Normalize text for indexing and querying
+ */
+function normalizeText(text) {
+  return (text || '')
+    .normalize('NFKC')
+    .replace(HEBREW_MARKS_REGEX, '')
+    .replace(HEBREW_ACRONYM_REGEX, '$1')
+    .replace(FINAL_LETTERS_REGEX, letter => FINAL_LETTERS[letter])
+    .toLowerCase();
+}
+
+/**
+ * Split normalized text into tokens
+ */
+function tokenize(text) {
+  return normalizeText(text).match(TOKEN_REGEX) || [];
+}
+
+/**
+ * Build the text stored in the search index for a message body
+ * Hebrew words are indexed with and without up to two prefix letters.
+ */
+function buildSearchText(body) {
+  const tokens = [];
+  for (const token of tokenize(body)) {
+    tokens.push(token);
+    if (!HEBREW_WORD_REGEX.test(token)) continue;
+
+    let stem = token;
+    for (let i = 0; i < 2; i++) {
+      if (!HEBREW_PREFIXES.includes(stem[0]) || stem.length - 1 < MIN_STEM_LENGTH) break;
+      stem = stem.slice(1);
+      tokens.push(stem);
+    }
+  }
+  return tokens.join(' ');
+}
+
+/**
+ * Build an FTS5 MATCH expression - every term must match, as a prefix
+ * @returns {string|null} null when the query has no searchable terms
+ */
+function buildMatchQuery(query) {
+  const terms = tokenize(query);
+  if (terms.length === 0) return null;
+  return terms.map(term => `"${term}"*`).join(' AND ');
+}
+
+/**
+ * Build a snippet around the first matching term
+ * @returns {Object} { snippet, highlights: [{ start, length }] } - offsets are into the snippet
+ */
+function buildSnippet(body, query, maxLength = 120) {
+  const text = body || '';
+  const terms = tokenize(query);
+  // Final-letter folding and lower-casing keep positions, so offsets map back to the original text
+  const haystack = text.replace(FINAL_LETTERS_REGEX, letter => FINAL_LETTERS[letter]).toLowerCase();
+
+  const matches = [];
+  for (const term of terms) {
+    let index = haystack.indexOf(term);
+    while (index !== -1) {
+      matches.push({ start: index, length: term.length });
+      index = haystack.indexOf(term, index + term.length);
+    }
+  }
+  matches.sort((a, b) => a.start - b.start);
+
+  const first = matches[0]?.start || 0;
+  const start = text.length <= maxLength ? 0 : Math.max(0, Math.min(first - Math.floor(maxLength / 3), text.length - maxLength));
+  const end = Math.min(text.length, start + maxLength);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+
+  return {
+    snippet: prefix + text.slice(start, end) + suffix,
+    highlights: matches
+      .filter(match => match.start >= start && match.start + match.length <= end)
+      .map(match => ({ start: match.start - start + prefix.length, length: match.length }))
+  };
+}
+
+module.exports = {
+  normalizeText,
+  tokenize,
+  buildSearchText,
+  buildMatchQuery,
+  buildSnippet
+};
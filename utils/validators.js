@@ -133,6 +133,53 @@ function parseRemoteJid(remoteJid) {
   };
 }
 
+/**
+ * Get contextInfo (quoted message, mentions) from any message type
+ * Looks inside ephemeral/viewOnce/documentWithCaption wrappers
+ */
+function getContextInfo(message) {
+  if (!message || typeof message !== 'object') return null;
+
+  for (const content of Object.values(message)) {
+    if (!content || typeof content !== 'object') continue;
+    if (content.contextInfo) return content.contextInfo;
+    if (content.message) {
+      const nested = getContextInfo(content.message);
+      if (nested) return nested;
+    }
+  }
+
+  return null;
+}
+
+// protocolMessage types (numeric in Baileys, names in Evolution API JSON)
+const PROTOCOL_ACTIONS = {
+  0: 'revoke',
+  REVOKE: 'revoke',
+  14: 'edit',
+  MESSAGE_EDIT: 'edit'
+};
+
+/**
+ * Get the edit/revoke a message carries (protocolMessage, possibly inside an editedMessage wrapper)
+ * Returns: { action: 'edit' | 'revoke', key, editedContent } or null for regular messages
+ */
+function getProtocolAction(message) {
+  if (!message || typeof message !== 'object') return null;
+
+  const protocol = message.protocolMessage || message.editedMessage?.message?.protocolMessage;
+  if (!protocol?.key?.id) return null;
+
+  const action = PROTOCOL_ACTIONS[protocol.type ?? 0];
+  if (!action) return null;
+
+  return {
+    action,
+    key: protocol.key,
+    editedContent: action === 'edit' ? protocol.editedMessage || null : null
+  };
+}
+
 module.exports = {
   isValidPhone,
   isValidGroupId,
@@ -142,6 +189,8 @@ module.exports = {
   normalizePhone,
   normalizeGroupId,
   parseRemoteJid,
+  getContextInfo,
+  getProtocolAction,
   setCustomTypes,
   getValidContactTypes,
   getValidGroupTypes,